@@ -1,5 +1,6 @@
-import { useState, useEffect, useCallback, useMemo, useRef } from "react";
-import { useActionData, useLoaderData, useNavigation, useSubmit, useFetcher } from "react-router";
+import { useState, useEffect, useCallback, useRef } from "react";
+import PropTypes from "prop-types";
+import { useActionData, useLoaderData, useNavigation, useSubmit, useFetcher, useRevalidator, useSearchParams, useNavigate } from "react-router";
 import {
   Page,
   Layout,
@@ -24,19 +25,45 @@ import {
   Divider,
   Icon,
   TextField,
-  Pagination
+  Pagination,
+  Modal,
+  Tabs,
+  RangeSlider
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
 import { optimizer } from "../services/optimizer.server";
+import { jobs } from "../services/jobs.server";
+import { imageIndex } from "../services/imageIndex.server";
+import { previews } from "../services/preview.server";
+import { history } from "../services/history.server";
+import { failures } from "../services/failures.server";
+import { exclusions } from "../services/exclusions.server";
 import prisma from "../db.server";
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-
-  // REVERTED: This will scan the shop on load so you see images immediately.
-  const results = await optimizer.scanShop(admin);
+  const { session } = await authenticate.admin(request);
+
+  // Served from the local image index; only "Rescan Shop" crawls Shopify.
+  const filters = imageIndex.parseFilters(new URL(request.url).searchParams);
+  const [page, stats, incompleteScans, failureCounts, isExcluded] = await Promise.all([
+    imageIndex.query(session.shop, filters),
+    imageIndex.stats(session.shop),
+    optimizer.incompleteScans(session.shop),
+    failures.counts(session.shop),
+    exclusions.matcher(session.shop)
+  ]);
+  const items = page.items.map(item => ({ ...item, excludedBy: isExcluded(item) }));
+
+  // Excluded images stay pending in the index, but the bulk job never picks them up
+  const pending = (await imageIndex.listByStatus(session.shop, "pending")).filter(item => !isExcluded(item));
+
+  // Reattach to a bulk job started in an earlier visit (and restart its worker if needed)
+  const job = await jobs.getLatestJob(session.shop);
+  if (job && jobs.ACTIVE_STATUSES.includes(job.status)) {
+    jobs.kick(session.shop);
+  }
 
-  return { results };
+  return { ...page, items, stats: { ...stats, pending: pending.length }, filters, incompleteScans, failedCount: failureCounts.open, job: jobs.toStatus(job) };
 };
 
 export const action = async ({ request }) => {
@@ -45,22 +72,28 @@ export const action = async ({ request }) => {
   }
 
   try {
-    const { admin, session } = await authenticate.admin(request);
+    const auth = await authenticate.admin(request);
+    const { admin, session } = auth;
     const formData = await request.formData();
     const intent = formData.get("intent");
+    const context = { ...history.actorFrom(auth), source: "manual" };
 
     console.log(`[Action] Intent: ${intent}`);
 
     if (intent === "scan") {
-      const results = await optimizer.scanShop(admin);
+      const scan = await optimizer.scanShop(admin, session.shop);
+      await exclusions.refreshCollections(admin, session.shop);
       const agg = await prisma.imageRecord.aggregate({
+        where: { shop: session.shop, status: "optimized" },
         _count: { shopifyImageId: true },
         _sum: { savingsKb: true }
       });
       return Response.json({
         status: "success",
         type: "scan",
-        results,
+        found: scan.items.length,
+        complete: scan.complete,
+        failures: scan.failures,
         stats: {
           totalOptimized: agg._count.shopifyImageId || 0,
           totalSavedKb: agg._sum.savingsKb || 0
@@ -74,18 +107,38 @@ export const action = async ({ request }) => {
         return Response.json({ status: "error", message: "Missing item data" });
       }
       const item = JSON.parse(itemData);
-      const result = await optimizer.commitImage(admin, session, item);
+      const result = await optimizer.commitImage(admin, session, item, context);
       return Response.json({ status: "success", type: "commit", id: item.id, data: result });
     }
 
+    if (intent === "preview") {
+      const itemData = formData.get("item");
+      if (!itemData) {
+        return Response.json({ status: "error", message: "Missing item data" });
+      }
+      const item = JSON.parse(itemData);
+      const preview = await previews.create(session, item);
+      return Response.json({ status: "success", type: "preview", id: item.id, preview });
+    }
+
+    if (intent === "commit-preview") {
+      const { item, result } = await previews.commit(admin, session, formData.get("token"), context);
+      return Response.json({ status: "success", type: "commit", id: item.id, data: result });
+    }
+
+    if (intent === "discard-preview") {
+      await previews.discard(session.shop, formData.get("token"));
+      return Response.json({ status: "success", type: "discard" });
+    }
+
     if (intent === "restore") {
       const itemData = formData.get("item");
       if (!itemData) {
         return Response.json({ status: "error", message: "Missing item data" });
       }
       const item = JSON.parse(itemData);
-      await optimizer.restoreImage(admin, session, item);
-      return Response.json({ status: "success", type: "restore", id: item.id });
+      const result = await optimizer.restoreImage(admin, session, item, context);
+      return Response.json({ status: "success", type: "restore", id: item.id, data: result });
     }
 
     return Response.json({ status: "error", message: `Unknown intent: ${intent}` });
@@ -100,149 +153,127 @@ export default function Index() {
   const actionData = useActionData();
   const nav = useNavigation();
   const submit = useSubmit();
-  const bulkFetcher = useFetcher();
-  const bulkFetcherRef = useRef(bulkFetcher);
+  const revalidator = useRevalidator();
+  const [, setSearchParams] = useSearchParams();
+  const jobFetcher = useFetcher();
+  const jobFetcherRef = useRef(jobFetcher);
 
   useEffect(() => {
-    bulkFetcherRef.current = bulkFetcher;
-  }, [bulkFetcher]);
+    jobFetcherRef.current = jobFetcher;
+  }, [jobFetcher]);
 
   // --- STATE ---
-  const [scanResults, setScanResults] = useState(loaderData?.results || []);
+  const [rows, setRows] = useState(loaderData?.items || []);
   const [dbStats, setDbStats] = useState({ totalOptimized: 0, totalSavedKb: 0 });
+  const [job, setJob] = useState(loaderData?.job || null);
 
   const [toastMessage, setToastMessage] = useState(null);
-  const [isBulkOptimizing, setIsBulkOptimizing] = useState(false);
-  const [isBulkRestoring, setIsBulkRestoring] = useState(false);
-  const [bulkProgress, setBulkProgress] = useState({ current: 0, total: 0 });
-
-  const stopBulkRef = useRef(false);
-  const isMountedRef = useRef(false);
-  const bulkRunIdRef = useRef(0);
-
-  // CRITICAL: Track which images are being processed in current bulk run
-  const processedIdsRef = useRef(new Set());
-  const initialBulkStateRef = useRef(null);
-
-  // Filters & Sorting
-  const [filterStatus, setFilterStatus] = useState('all');
-  const [sortOption, setSortOption] = useState('default');
-  const [queryValue, setQueryValue] = useState("");
-  const [currentPage, setCurrentPage] = useState(1);
-  const itemsPerPage = 10;
+  const previousJobStatusRef = useRef(loaderData?.job?.status);
+
+  // Filters, sorting and the page cursor live in the URL and are applied by the loader
+  const filters = loaderData.filters;
+  const stats = loaderData.stats;
+  const [queryValue, setQueryValue] = useState(filters.q);
   const [errorBanner, setErrorBanner] = useState(null);
 
   const toggleToast = useCallback(() => setToastMessage(null), []);
   const isScanning = nav.state === "submitting" && nav.formData?.get("intent") === "scan";
+  const isPageLoading = nav.state === "loading";
+
+  const updateParams = useCallback((changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      // A new filter or sort starts again from the first page
+      if (!("after" in changes) && !("before" in changes)) {
+        next.delete("after");
+        next.delete("before");
+      }
+      for (const [key, value] of Object.entries(changes)) {
+        if (value && value !== "all") next.set(key, value);
+        else next.delete(key);
+      }
+      return next;
+    });
+  }, [setSearchParams]);
 
-  // --- EFFECTS ---
-  useEffect(() => {
-    isMountedRef.current = true;
-    return () => {
-      isMountedRef.current = false;
-      stopBulkRef.current = true;
-    };
-  }, []);
+  const isJobActive = Boolean(job?.active);
+  const isBulkOptimizing = isJobActive && job.kind === "optimize";
+  const isBulkRestoring = isJobActive && job.kind === "restore";
+  const isJobPaused = isJobActive && job.status === "paused";
+  const isJobPending = jobFetcher.state === "submitting";
 
-  // CRITICAL FIX: Only update from loader when NOT in bulk mode
+  // --- EFFECTS ---
   useEffect(() => {
     if (actionData?.status === "success" && actionData.type === "scan") {
-      setScanResults(actionData.results || []);
       if (actionData.stats) setDbStats(actionData.stats);
-      setIsBulkOptimizing(false);
-      setIsBulkRestoring(false);
       setErrorBanner(null);
-      processedIdsRef.current.clear();
-      initialBulkStateRef.current = null;
     }
     if (actionData?.status === "error") {
       setErrorBanner(actionData.message);
-      setIsBulkOptimizing(false);
-      setIsBulkRestoring(false);
     }
   }, [actionData]);
 
-  // CRITICAL FIX: Don't let loader resets override bulk processing state
   useEffect(() => {
-    // If we're in bulk mode, preserve our local state and ignore loader updates
-    if ((isBulkOptimizing || isBulkRestoring) && loaderData?.results) {
-      console.log('[Bulk] Ignoring loader revalidation during bulk processing');
-      return;
-    }
-    // Only update from loader when not in bulk mode
-    if (!isBulkOptimizing && !isBulkRestoring && loaderData?.results) {
-      setScanResults(loaderData.results);
-    }
-  }, [loaderData, isBulkOptimizing, isBulkRestoring]);
+    setRows(loaderData?.items || []);
+    setJob(loaderData?.job || null);
+  }, [loaderData]);
 
   useEffect(() => {
-    setCurrentPage(1);
-  }, [filterStatus, sortOption, queryValue]);
-
-  // --- DERIVED STATE ---
-  const filteredResults = useMemo(() => {
-    let data = scanResults;
-
-    if (queryValue) {
-      const lower = queryValue.toLowerCase();
-      data = data.filter(i =>
-        (i.parentTitle && i.parentTitle.toLowerCase().includes(lower)) ||
-        (i.alt && i.alt.toLowerCase().includes(lower))
-      );
+    if (jobFetcher.data?.status === "error") {
+      setErrorBanner(jobFetcher.data.message);
+    } else if (jobFetcher.data && "job" in jobFetcher.data) {
+      setJob(jobFetcher.data.job);
     }
+  }, [jobFetcher.data]);
 
-    if (filterStatus === 'pending') data = data.filter(i => !i.optimized);
-    if (filterStatus === 'optimized') data = data.filter(i => i.optimized);
-
-    if (sortOption === 'size_desc') {
-      data = [...data].sort((a, b) => (b.width * b.height) - (a.width * a.height));
-    }
-    if (sortOption === 'savings_desc') {
-      data = [...data].sort((a, b) => (b.savedKb || 0) - (a.savedKb || 0));
-    }
-
-    return data;
-  }, [scanResults, filterStatus, sortOption, queryValue]);
-
-  const paginatedResults = filteredResults.slice(
-    (currentPage - 1) * itemsPerPage,
-    currentPage * itemsPerPage
-  );
+  // Poll the background job while it runs; the work itself happens on the server.
+  useEffect(() => {
+    if (!isJobActive) return;
+    const timer = setInterval(() => {
+      if (jobFetcherRef.current.state === "idle") {
+        jobFetcherRef.current.load("/app/jobs");
+      }
+    }, 2000);
+    return () => clearInterval(timer);
+  }, [isJobActive]);
 
-  const { sessionOptimizedCount, sessionPendingCount, sessionSavingsKb } = useMemo(() => {
-    let optimizedCount = 0;
-    let pendingCount = 0;
-    let savingsKb = 0;
+  // When a job finishes, reload the image list so statuses reflect the run.
+  useEffect(() => {
+    const previous = previousJobStatusRef.current;
+    previousJobStatusRef.current = job?.status;
+    if (!job || previous === job.status || job.active) return;
+    if (previous !== "queued" && previous !== "running" && previous !== "paused") return;
 
-    for (const r of scanResults) {
-      if (r.optimized) optimizedCount++;
-      else pendingCount++;
-      savingsKb += r.savedKb || 0;
-    }
+    const verb = job.status === "cancelled" ? "Cancelled" : "Complete!";
+    setToastMessage(`${verb} Processed: ${job.processed}, Errors: ${job.failed}`);
+    revalidator.revalidate();
+  }, [job, revalidator]);
 
-    return {
-      sessionOptimizedCount: optimizedCount,
-      sessionPendingCount: pendingCount,
-      sessionSavingsKb: savingsKb,
-    };
-  }, [scanResults]);
+  // Debounce the search box into the URL
+  useEffect(() => {
+    if (queryValue === filters.q) return;
+    const timer = setTimeout(() => updateParams({ q: queryValue.trim() }), 400);
+    return () => clearTimeout(timer);
+  }, [queryValue, filters.q, updateParams]);
 
+  // --- DERIVED STATE ---
   const displayStats = {
-    totalImages: scanResults.length,
-    optimizedConfig: sessionOptimizedCount,
-    pendingConfig: sessionPendingCount,
-    savings: sessionSavingsKb
+    totalImages: stats.total,
+    optimizedConfig: stats.optimized,
+    pendingConfig: stats.pending,
+    skippedConfig: stats.skipped,
+    savings: stats.savedKb
   };
 
   const progressValue = displayStats.totalImages > 0
     ? (displayStats.optimizedConfig / displayStats.totalImages) * 100
     : 0;
 
-  const isAllOptimized = scanResults.length > 0 && scanResults.every(r => r.optimized);
+  const isAllOptimized = stats.total > 0 && stats.pending === 0;
 
   // --- IMMEDIATE STATE UPDATE HELPER ---
   const updateImageState = useCallback((itemId, updates) => {
-    setScanResults(prev => {
+    setRows(prev => {
       const idx = prev.findIndex(r => r.id === itemId);
       if (idx === -1) return prev;
 
@@ -250,206 +281,66 @@ export default function Index() {
       next[idx] = { ...next[idx], ...updates };
       return next;
     });
-  }, []);
-
-  // --- OPTIMIZED BULK PROCESSOR ---
-  // --- OPTIMIZED BULK PROCESSOR ---
-  const runBulkQueue = useCallback(async (items, intent) => {
-    const runId = ++bulkRunIdRef.current;
-    stopBulkRef.current = false;
-    processedIdsRef.current.clear();
-
-    // Store initial state snapshot
-    initialBulkStateRef.current = new Map(items.map(i => [i.id, { ...i }]));
-
-    const queue = [...items];
-    const CONCURRENCY = 1; // IMPORTANT: Keep at 1 for Shopify rate limits and RAM safety
-
-    // Reset progress
-    let processedCount = 0;
-    let errorCount = 0;
-    setBulkProgress({ current: 0, total: queue.length });
-
-    // Helper: Submit via useFetcher and wait for result
-    const submitBulk = (intent, item) => {
-      return new Promise((resolve, reject) => {
-        const fetcher = bulkFetcherRef.current;
-
-        fetcher.submit(
-          {
-            intent,
-            item: JSON.stringify(item),
-          },
-          {
-            method: "POST",
-            action: "/app?index", // Explicit action to hit index route
-          }
-        );
-
-        // Poll for completion
-        const check = setInterval(() => {
-          const currentFetcher = bulkFetcherRef.current;
-          if (currentFetcher.state === "idle" && currentFetcher.data) {
-            clearInterval(check);
-            if (currentFetcher.data.status === "success") {
-              resolve(currentFetcher.data);
-            } else {
-              reject(new Error(currentFetcher.data.message || "Unknown error"));
-            }
-          }
-        }, 50);
-
-        // Safety timeout (30s)
-        setTimeout(() => {
-          clearInterval(check);
-          reject(new Error("Timeout waiting for action response"));
-        }, 30000);
-      });
-    };
-
-    const processItem = async (item) => {
-      // Check stop flag OR if a new run has started
-      if (stopBulkRef.current || bulkRunIdRef.current !== runId) {
-        return { skipped: true };
-      }
-
-      // CRITICAL: Skip if already processed in this run
-      if (processedIdsRef.current.has(item.id)) {
-        return { skipped: true };
-      }
-
-      try {
-        const data = await submitBulk(intent, item);
-
-        // CRITICAL: Mark as processed IMMEDIATELY
-        processedIdsRef.current.add(item.id);
-
-        if (intent === "optimize") {
-          const beforeKb = data.data?.beforeKb || 0;
-          const afterKb = data.data?.afterKb || 0;
-          const savedKb = beforeKb - afterKb;
-          const newId = data.data?.newId || item.id;
-
-          updateImageState(item.id, {
-            id: newId,
-            optimized: true,
-            originalKb: beforeKb,
-            optimizedKb: afterKb,
-            savedKb,
-            // Calculate percent
-            percent: beforeKb > 0
-              ? Math.round(((beforeKb - afterKb) / beforeKb) * 100)
-              : 0
-          });
-        }
-
-        if (intent === "restore") {
-          updateImageState(item.id, {
-            optimized: false,
-            savedKb: 0,
-            optimizedKb: 0,
-            percent: 0
-          });
-        }
-
-        return { success: true };
-      } catch (err) {
-        console.error(`[Bulk Error] ${item.id}:`, err);
-        return { error: err.message };
-      }
-    };
-
-    // Process queue with proper concurrency control
-    let activeRequests = 0;
-    let queueIndex = 0;
-
-    const worker = async () => {
-      while (queueIndex < queue.length && !stopBulkRef.current && bulkRunIdRef.current === runId) {
-        const currentIndex = queueIndex++;
-        const item = queue[currentIndex];
-
-        if (!item) break;
-
-        activeRequests++;
-        const result = await processItem(item);
-        activeRequests--;
-
-        if (result.skipped) continue;
-
-        if (result.success) {
-          processedCount++;
-        } else if (result.error) {
-          errorCount++;
-        }
-
-        // Update progress
-        const currentProgress = processedCount + errorCount;
-        setBulkProgress({ current: currentProgress, total: queue.length });
-      }
-    };
-
-    // Start concurrent workers
-    const workers = Array(CONCURRENCY).fill(null).map(() => worker());
-    await Promise.all(workers);
+    // Refresh the overview totals from the index
+    revalidator.revalidate();
+  }, [revalidator]);
 
-    // Cleanup
-    if (bulkRunIdRef.current !== runId || !isMountedRef.current) {
-      return;
-    }
-
-    if (stopBulkRef.current) {
-      setToastMessage(`Stopped. Processed: ${processedCount}, Errors: ${errorCount}`);
-    } else {
-      setToastMessage(`Complete! Processed: ${processedCount}, Errors: ${errorCount}`);
-    }
-
-    if (intent === "optimize") setIsBulkOptimizing(false);
-    if (intent === "restore") setIsBulkRestoring(false);
-
-    processedIdsRef.current.clear();
-    initialBulkStateRef.current = null;
-    setBulkProgress({ current: 0, total: 0 });
-  }, [updateImageState]);
+  // --- BACKGROUND BULK JOBS ---
+  const submitJob = useCallback((data) => {
+    jobFetcher.submit(data, { method: "POST", action: "/app/jobs" });
+  }, [jobFetcher]);
 
   const handleBulkOptimize = () => {
-    if (isBulkOptimizing || isBulkRestoring) return;
+    if (isJobActive) return;
 
-    const pendingItems = scanResults.filter(i => !i.optimized);
-    if (pendingItems.length === 0) {
+    if (stats.pending === 0) {
       setToastMessage("All images are already optimized!");
       return;
     }
 
-    setIsBulkOptimizing(true);
-    setToastMessage(`Starting optimization for ${pendingItems.length} images...`);
-    runBulkQueue(pendingItems, "optimize");
+    setToastMessage(`Starting optimization for ${stats.pending} images...`);
+    submitJob({ intent: "start", kind: "optimize" });
   };
 
   const handleBulkRestore = () => {
-    if (isBulkOptimizing || isBulkRestoring) return;
+    if (isJobActive) return;
 
-    const optimizedItems = scanResults.filter(i => i.optimized);
-    if (optimizedItems.length === 0) {
+    if (stats.optimized === 0) {
       setToastMessage("No optimized images to restore!");
       return;
     }
 
-    setIsBulkRestoring(true);
-    setToastMessage(`Restoring ${optimizedItems.length} images...`);
-    runBulkQueue(optimizedItems, "restore");
+    setToastMessage(`Restoring ${stats.optimized} images...`);
+    submitJob({ intent: "start", kind: "restore" });
   };
 
-  const handleStop = useCallback(() => {
-    stopBulkRef.current = true;
-    setIsBulkOptimizing(false);
-    setIsBulkRestoring(false);
-    setToastMessage("Stopping bulk process...");
-  }, []);
+  const handlePauseResume = () => {
+    if (!isJobActive) return;
+    submitJob({ intent: isJobPaused ? "resume" : "pause", jobId: job.id });
+  };
+
+  const handleCancel = () => {
+    if (!isJobActive) return;
+    setToastMessage("Cancelling bulk process...");
+    submitJob({ intent: "cancel", jobId: job.id });
+  };
+
+  const handleOptimizationSuccess = useCallback((itemId, beforeKb, afterKb, newId, skipReason) => {
+    if (skipReason) {
+      updateImageState(itemId, {
+        status: "skipped",
+        skipReason,
+        originalKb: beforeKb
+      });
+      return;
+    }
 
-  const handleOptimizationSuccess = useCallback((itemId, beforeKb, afterKb) => {
     const savedKb = beforeKb - afterKb;
     updateImageState(itemId, {
+      id: newId || itemId,
       optimized: true,
+      status: "optimized",
+      skipReason: null,
       originalKb: beforeKb,
       optimizedKb: afterKb,
       savedKb,
@@ -457,9 +348,11 @@ export default function Index() {
     });
   }, [updateImageState]);
 
-  const handleRestore = useCallback((itemId) => {
+  const handleRestore = useCallback((itemId, newId) => {
     updateImageState(itemId, {
+      id: newId || itemId,
       optimized: false,
+      status: "pending",
       savedKb: 0,
       optimizedKb: 0,
       percent: 0
@@ -478,22 +371,57 @@ export default function Index() {
             </Layout.Section>
           )}
 
+          {loaderData.incompleteScans.length > 0 && !isScanning && (
+            <Layout.Section>
+              <Banner tone="warning" title="The last scan did not finish">
+                <BlockStack gap="100">
+                  {loaderData.incompleteScans.map(s => (
+                    <Text key={s.type} variant="bodySm">{s.type}: {s.message}</Text>
+                  ))}
+                  <Text variant="bodySm">Images from those pages may be missing below. Rescan to continue from where it stopped.</Text>
+                </BlockStack>
+              </Banner>
+            </Layout.Section>
+          )}
+
+          {loaderData.failedCount > 0 && !isJobActive && (
+            <Layout.Section>
+              <Banner
+                tone="warning"
+                title={`${loaderData.failedCount} image${loaderData.failedCount === 1 ? "" : "s"} failed to process`}
+                action={{ content: "View failures", url: "/app/failures" }}
+              >
+                <p>See why each one failed, retry them, or exclude them from future runs.</p>
+              </Banner>
+            </Layout.Section>
+          )}
+
           {/* BULK PROGRESS BANNER */}
-          {(isBulkOptimizing || isBulkRestoring) && bulkProgress.total > 0 && (
+          {isJobActive && job.total > 0 && (
             <Layout.Section>
-              <Banner tone="info">
+              <Banner tone={isJobPaused ? "warning" : "info"}>
                 <BlockStack gap="200">
                   <Text variant="bodyMd" fontWeight="bold">
-                    {isBulkOptimizing ? 'Optimizing' : 'Restoring'} images... {bulkProgress.current} / {bulkProgress.total}
+                    {isBulkOptimizing ? 'Optimizing' : 'Restoring'} images{isJobPaused ? ' (paused)' : '...'} {job.processed + job.failed} / {job.total}
                   </Text>
                   <ProgressBar
-                    progress={(bulkProgress.current / bulkProgress.total) * 100}
+                    progress={((job.processed + job.failed) / job.total) * 100}
                     tone="primary"
                     size="small"
                   />
-                  <Text variant="bodySm" tone="subdued">
-                    Processing with {5} concurrent requests. Do not close this page.
-                  </Text>
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="bodySm" tone="subdued">
+                      Running in the background. You can close this page and come back later.
+                    </Text>
+                    <InlineStack gap="200">
+                      <Button size="slim" onClick={handlePauseResume} disabled={isJobPending}>
+                        {isJobPaused ? "Resume" : "Pause"}
+                      </Button>
+                      <Button size="slim" tone="critical" onClick={handleCancel} disabled={isJobPending}>
+                        Cancel
+                      </Button>
+                    </InlineStack>
+                  </InlineStack>
                 </BlockStack>
               </Banner>
             </Layout.Section>
@@ -508,6 +436,7 @@ export default function Index() {
                   <StatItem label="Total Images" value={displayStats.totalImages} />
                   <StatItem label="Optimized" value={displayStats.optimizedConfig} color="success" />
                   <StatItem label="Pending" value={displayStats.pendingConfig} color="attention" />
+                  <StatItem label="Skipped" value={displayStats.skippedConfig} />
                   <StatItem label="Total Saved" value={`${(displayStats.savings / 1024).toFixed(2)} MB`} />
                 </InlineStack>
                 <Box paddingBlockStart="200">
@@ -526,17 +455,16 @@ export default function Index() {
 
           {/* MAIN ACTIONS & TABLE */}
           <Layout.Section>
-            {sessionOptimizedCount > 0 && (
+            {stats.optimized > 0 && (
               <Box paddingBlockEnd="400">
                 <Card>
                   <BlockStack gap="200">
                     <Text variant="headingSm" as="h3">Restore Original Images</Text>
                     <Text variant="bodyMd">All original images are safely backed up. You can restore them anytime.</Text>
                     <InlineStack gap="200">
-                      <Button onClick={handleBulkRestore} disabled={isBulkRestoring || isBulkOptimizing} loading={isBulkRestoring}>
+                      <Button onClick={handleBulkRestore} disabled={isJobActive || isJobPending} loading={isBulkRestoring}>
                         Restore All Images
                       </Button>
-                      {isBulkRestoring && <Button onClick={handleStop} tone="critical">Stop</Button>}
                     </InlineStack>
                   </BlockStack>
                 </Card>
@@ -552,26 +480,27 @@ export default function Index() {
                         variant="primary"
                         onClick={() => submit({ intent: "scan" }, { method: "POST" })}
                         loading={isScanning}
-                        disabled={isBulkOptimizing || isAllOptimized || isBulkRestoring}
+                        disabled={isBulkOptimizing || isBulkRestoring}
                       >
-                        {scanResults.length > 0 ? "Rescan Shop" : "Scan Shop Images"}
+                        {stats.total > 0 ? "Rescan Shop" : "Scan Shop Images"}
                       </Button>
 
-                      {scanResults.length > 0 && !isAllOptimized && (
+                      {stats.total > 0 && !isAllOptimized && (
                         <InlineStack gap="200">
-                          {!isBulkOptimizing ? (
-                            <Button onClick={handleBulkOptimize} disabled={sessionPendingCount === 0 || isBulkRestoring} tone="success">
-                              Optimize All Images ({sessionPendingCount})
-                            </Button>
-                          ) : (
-                            <Button onClick={handleStop} tone="critical">Stop Optimization</Button>
-                          )}
+                          <Button
+                            onClick={handleBulkOptimize}
+                            disabled={stats.pending === 0 || isJobActive || isJobPending}
+                            loading={isBulkOptimizing}
+                            tone="success"
+                          >
+                            Optimize All Images ({stats.pending})
+                          </Button>
                         </InlineStack>
                       )}
                     </InlineStack>
                   </InlineStack>
 
-                  {scanResults.length > 0 && (
+                  {stats.total > 0 && (
                     <InlineStack gap="200">
                       <div style={{ width: '200px' }}>
                         <TextField
@@ -591,23 +520,68 @@ export default function Index() {
                             { label: 'All Status', value: 'all' },
                             { label: 'Pending', value: 'pending' },
                             { label: 'Optimized', value: 'optimized' },
+                            { label: 'Skipped', value: 'skipped' },
                           ]}
-                          value={filterStatus}
-                          onChange={setFilterStatus}
+                          value={filters.status}
+                          onChange={(value) => updateParams({ status: value })}
                           disabled={isBulkOptimizing || isBulkRestoring}
                         />
                       </div>
+                      <div style={{ width: '150px' }}>
+                        <Select
+                          label="Type"
+                          labelHidden
+                          options={[
+                            { label: 'All Types', value: 'all' },
+                            { label: 'Products', value: 'Product' },
+                            { label: 'Collections', value: 'Collection' },
+                            { label: 'Articles', value: 'Article' },
+                            { label: 'Files', value: 'File' },
+                          ]}
+                          value={filters.type}
+                          onChange={(value) => updateParams({ type: value })}
+                        />
+                      </div>
+                      <div style={{ width: '150px' }}>
+                        <Select
+                          label="Size"
+                          labelHidden
+                          options={[
+                            { label: 'All Sizes', value: 'all' },
+                            { label: 'Small (< 0.25 MP)', value: 'small' },
+                            { label: 'Medium', value: 'medium' },
+                            { label: 'Large (> 2 MP)', value: 'large' },
+                          ]}
+                          value={filters.size}
+                          onChange={(value) => updateParams({ size: value })}
+                        />
+                      </div>
+                      <div style={{ width: '150px' }}>
+                        <Select
+                          label="Savings"
+                          labelHidden
+                          options={[
+                            { label: 'Any Savings', value: 'all' },
+                            { label: 'Saved 10 KB+', value: '10' },
+                            { label: 'Saved 100 KB+', value: '100' },
+                            { label: 'Saved 500 KB+', value: '500' },
+                          ]}
+                          value={filters.savings}
+                          onChange={(value) => updateParams({ savings: value })}
+                        />
+                      </div>
                       <div style={{ width: '150px' }}>
                         <Select
                           label="Sort"
                           labelHidden
                           options={[
-                            { label: 'Default', value: 'default' },
+                            { label: 'Newest', value: 'newest' },
                             { label: 'Size (Desc)', value: 'size_desc' },
                             { label: 'Savings (Desc)', value: 'savings_desc' },
+                            { label: 'Title (A-Z)', value: 'title_asc' },
                           ]}
-                          value={sortOption}
-                          onChange={setSortOption}
+                          value={filters.sort}
+                          onChange={(value) => updateParams({ sort: value })}
                           disabled={isBulkOptimizing || isBulkRestoring}
                         />
                       </div>
@@ -617,7 +591,7 @@ export default function Index() {
               </Box>
               <Divider />
 
-              {scanResults.length === 0 && !isScanning && (
+              {stats.total === 0 && !isScanning && (
                 <Box padding="800">
                   <EmptyState
                     heading="No scan results"
@@ -628,16 +602,17 @@ export default function Index() {
                 </Box>
               )}
 
-              {scanResults.length > 0 && (
+              {stats.total > 0 && (
                 <IndexTable
                   resourceName={{ singular: "image", plural: "images" }}
-                  itemCount={filteredResults.length}
+                  itemCount={rows.length}
+                  loading={isPageLoading}
                   pagination={{
-                    hasNext: currentPage * itemsPerPage < filteredResults.length,
-                    hasPrevious: currentPage > 1,
-                    onNext: () => setCurrentPage(c => c + 1),
-                    onPrevious: () => setCurrentPage(c => c - 1),
-                    label: `${(currentPage - 1) * itemsPerPage + 1}-${Math.min(currentPage * itemsPerPage, filteredResults.length)} of ${filteredResults.length}`
+                    hasNext: loaderData.pageInfo.hasNext,
+                    hasPrevious: loaderData.pageInfo.hasPrevious,
+                    onNext: () => updateParams({ after: loaderData.pageInfo.endCursor, before: null }),
+                    onPrevious: () => updateParams({ before: loaderData.pageInfo.startCursor, after: null }),
+                    label: `${rows.length} of ${loaderData.total}`
                   }}
                   headings={[
                     { title: "Preview" },
@@ -648,7 +623,7 @@ export default function Index() {
                   ]}
                   selectable={false}
                 >
-                  {paginatedResults.map((item, i) => (
+                  {rows.map((item, i) => (
                     <ImageRow
                       key={item.id}
                       item={item}
@@ -687,26 +662,45 @@ function StatItem({ label, value, color }) {
   );
 }
 
+StatItem.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  color: PropTypes.string
+};
+
 function ImageRow({ item, position, isBulkOptimizing, isBulkRestoring, onSuccess, onRestore, onError }) {
   const fetcher = useFetcher();
+  const navigate = useNavigate();
   const isSubmitting = fetcher.state === "submitting" || fetcher.state === "loading";
-  const isOptimized = item.optimized;
+  const isOptimized = item.status === "optimized";
+  const isSkipped = item.status === "skipped";
+  const [preview, setPreview] = useState(null);
 
   useEffect(() => {
     if (fetcher.data?.status === "success") {
+      if (fetcher.data.type === 'preview' && fetcher.data.id === item.id) {
+        setPreview(fetcher.data.preview);
+      }
       if (fetcher.data.type === 'commit') {
         const { id, data } = fetcher.data;
-        if (id === item.id) onSuccess(id, data.beforeKb, data.afterKb);
+        setPreview(null);
+        if (id === item.id) onSuccess(id, data.beforeKb, data.afterKb, data.newId, data.skipped ? data.reason : null);
       }
       if (fetcher.data.type === 'restore') {
-        if (fetcher.data.id === item.id) onRestore(fetcher.data.id);
+        if (fetcher.data.id === item.id) onRestore(fetcher.data.id, fetcher.data.data?.newId);
       }
     }
     if (fetcher.data?.status === "error") {
+      setPreview(null);
       onError(fetcher.data.message);
     }
   }, [fetcher.data]);
 
+  const discardPreview = () => {
+    fetcher.submit({ intent: "discard-preview", token: preview.token }, { method: "POST" });
+    setPreview(null);
+  };
+
   return (
     <IndexTable.Row id={item.id} key={item.id} position={position}>
       <IndexTable.Cell>
@@ -717,7 +711,7 @@ function ImageRow({ item, position, isBulkOptimizing, isBulkRestoring, onSuccess
       <IndexTable.Cell>
         <BlockStack>
           <Text fontWeight="bold" truncate>{item.parentTitle}</Text>
-          <Text color="subdued" variant="bodySm">{item.width}x{item.height}</Text>
+          <Text color="subdued" variant="bodySm">{item.type} · {item.width}x{item.height}</Text>
         </BlockStack>
       </IndexTable.Cell>
 
@@ -727,6 +721,11 @@ function ImageRow({ item, position, isBulkOptimizing, isBulkRestoring, onSuccess
             <Text variant="bodySm" tone="success">Saved {item.percent}%</Text>
             <Text variant="bodyXs" tone="subdued">{item.originalKb}KB → {item.optimizedKb}KB</Text>
           </BlockStack>
+        ) : isSkipped ? (
+          <BlockStack gap="050">
+            <Text variant="bodySm" tone="subdued">Original: {item.originalKb} KB</Text>
+            <Text variant="bodyXs" tone="subdued">{item.skipReason}</Text>
+          </BlockStack>
         ) : (
           item.originalKb > 0 ? (
             <Text variant="bodySm" tone="subdued">Original: {item.originalKb} KB</Text>
@@ -737,33 +736,271 @@ function ImageRow({ item, position, isBulkOptimizing, isBulkRestoring, onSuccess
       </IndexTable.Cell>
 
       <IndexTable.Cell>
-        {isOptimized ? <Badge tone="success">Optimized</Badge> : <Badge tone="attention">Pending</Badge>}
+        {isOptimized && <Badge tone="success">Optimized</Badge>}
+        {isSkipped && <Badge tone="info">Skipped</Badge>}
+        {!isOptimized && !isSkipped && <Badge tone="attention">Pending</Badge>}
+        {item.excludedBy && (
+          <BlockStack gap="050">
+            <InlineStack>
+              <Badge>Excluded</Badge>
+            </InlineStack>
+            <Text variant="bodyXs" tone="subdued">{item.excludedBy}</Text>
+          </BlockStack>
+        )}
       </IndexTable.Cell>
 
       <IndexTable.Cell>
-        {isOptimized ? (
+        <InlineStack gap="200" wrap={false}>
           <Button
-            onClick={() => fetcher.submit({ intent: "restore", item: JSON.stringify(item) }, { method: "POST" })}
+            onClick={() => navigate(`/app/images/${encodeURIComponent(item.id)}`)}
             size="slim"
             variant="plain"
-            disabled={isSubmitting || isBulkOptimizing || isBulkRestoring}
-            loading={isSubmitting}
-          >
-            Restore
-          </Button>
-        ) : (
-          <Button
-            onClick={() => fetcher.submit({ intent: "optimize", item: JSON.stringify(item) }, { method: "POST" })}
-            size="slim"
-            variant="primary"
-            tone="success"
-            loading={isSubmitting}
-            disabled={isSubmitting || isBulkOptimizing || isBulkRestoring}
           >
-            Optimize
+            History
           </Button>
+          {isOptimized ? (
+            <Button
+              onClick={() => fetcher.submit({ intent: "restore", item: JSON.stringify(item) }, { method: "POST" })}
+              size="slim"
+              variant="plain"
+              disabled={isSubmitting || isBulkOptimizing || isBulkRestoring}
+              loading={isSubmitting}
+            >
+              Restore
+            </Button>
+          ) : item.excludedBy ? null : (
+            <>
+              <Button
+                onClick={() => fetcher.submit({ intent: "preview", item: JSON.stringify(item) }, { method: "POST" })}
+                size="slim"
+                variant="plain"
+                disabled={isSubmitting || isBulkOptimizing || isBulkRestoring}
+              >
+                Preview
+              </Button>
+              <Button
+                onClick={() => fetcher.submit({ intent: "optimize", item: JSON.stringify(item) }, { method: "POST" })}
+                size="slim"
+                variant="primary"
+                tone="success"
+                loading={isSubmitting}
+                disabled={isSubmitting || isBulkOptimizing || isBulkRestoring}
+              >
+                {isSkipped ? "Retry" : "Optimize"}
+              </Button>
+            </>
+          )}
+        </InlineStack>
+        {preview && (
+          <PreviewModal
+            preview={preview}
+            isSubmitting={isSubmitting}
+            onCommit={() => fetcher.submit({ intent: "commit-preview", token: preview.token }, { method: "POST" })}
+            onDiscard={discardPreview}
+          />
         )}
       </IndexTable.Cell>
     </IndexTable.Row>
   );
-}
\ No newline at end of file
+}
+
+// The item shape imageIndex.toItem builds, plus the exclusion reason the loader adds
+ImageRow.propTypes = {
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    url: PropTypes.string,
+    alt: PropTypes.string,
+    parentTitle: PropTypes.string,
+    type: PropTypes.string,
+    width: PropTypes.number,
+    height: PropTypes.number,
+    status: PropTypes.string,
+    skipReason: PropTypes.string,
+    percent: PropTypes.number,
+    originalKb: PropTypes.number,
+    optimizedKb: PropTypes.number,
+    excludedBy: PropTypes.string
+  }).isRequired,
+  position: PropTypes.number.isRequired,
+  isBulkOptimizing: PropTypes.bool,
+  isBulkRestoring: PropTypes.bool,
+  onSuccess: PropTypes.func.isRequired,
+  onRestore: PropTypes.func.isRequired,
+  onError: PropTypes.func.isRequired
+};
+
+// Preview assets are fetched rather than linked: App Bridge adds the session token to
+// same-origin fetch() calls, which a plain <img src> would not carry.
+function useAuthenticatedImage(src) {
+  const [objectUrl, setObjectUrl] = useState(null);
+
+  useEffect(() => {
+    if (!src) return;
+    let url = null;
+    let cancelled = false;
+
+    fetch(src)
+      .then((res) => (res.ok ? res.blob() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setObjectUrl(url);
+      })
+      .catch((err) => console.error("[Preview] Failed to load image:", err));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [src]);
+
+  return objectUrl;
+}
+
+function formatKb(bytes) {
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+function PreviewModal({ preview, isSubmitting, onCommit, onDiscard }) {
+  const [view, setView] = useState(0);
+  const [split, setSplit] = useState(50);
+  const base = `/app/preview/${preview.token}`;
+  const originalUrl = useAuthenticatedImage(`${base}/original`);
+  const candidateUrl = useAuthenticatedImage(`${base}/candidate`);
+  const heatmapUrl = useAuthenticatedImage(view === 2 ? `${base}/heatmap` : null);
+
+  const { original, candidate } = preview;
+  const savedPct = original.bytes > 0 ? Math.round((1 - candidate.bytes / original.bytes) * 100) : 0;
+  const frameStyle = {
+    position: "relative",
+    width: "100%",
+    aspectRatio: `${candidate.width} / ${candidate.height}`,
+    background: "#f1f1f1",
+    overflow: "hidden"
+  };
+  const imageStyle = { position: "absolute", inset: 0, width: "100%", height: "100%", objectFit: "contain" };
+
+  return (
+    <Modal
+      open
+      large
+      onClose={onDiscard}
+      title={`Preview: ${preview.item.parentTitle}`}
+      primaryAction={{
+        content: preview.skipReason ? "Mark as skipped" : "Use optimized image",
+        onAction: onCommit,
+        loading: isSubmitting
+      }}
+      secondaryActions={[{ content: "Discard", onAction: onDiscard, disabled: isSubmitting }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="400">
+          {preview.skipReason && (
+            <Banner tone="info">
+              <p>This image would be skipped: {preview.skipReason}</p>
+            </Banner>
+          )}
+          <InlineStack align="space-between" gap="400">
+            <StatItem label="Original" value={formatKb(original.bytes)} />
+            <StatItem label="Optimized" value={formatKb(candidate.bytes)} color="success" />
+            <StatItem label="Saved" value={`${savedPct}%`} />
+            <StatItem label="Changed pixels" value={`${preview.changedPct}%`} />
+          </InlineStack>
+          <Text variant="bodySm" tone="subdued">
+            {original.format?.toUpperCase()} {original.width}x{original.height} → {candidate.format.toUpperCase()} {candidate.width}x{candidate.height}{candidate.quality !== null && ` · quality ${candidate.quality}`}
+            {candidate.score !== null && ` · SSIM ${candidate.score.toFixed(4)}`} · {preview.profileName} profile
+            {preview.formatDecision && ` · ${preview.formatDecision}`}
+            {preview.metadataDecision && ` · ${preview.metadataDecision}`}
+            {preview.backgroundDecision && ` · ${preview.backgroundDecision}`}
+          </Text>
+
+          <Tabs
+            tabs={[
+              { id: "side", content: "Side by side" },
+              { id: "slider", content: "Slider" },
+              { id: "diff", content: "Difference" }
+            ]}
+            selected={view}
+            onSelect={setView}
+          />
+
+          {view === 0 && (
+            <InlineStack gap="400" wrap={false}>
+              <div style={{ flex: 1 }}>
+                <BlockStack gap="100">
+                  <Text variant="bodySm" tone="subdued">Original</Text>
+                  <div style={frameStyle}>{originalUrl && <img src={originalUrl} alt="Original" style={imageStyle} />}</div>
+                </BlockStack>
+              </div>
+              <div style={{ flex: 1 }}>
+                <BlockStack gap="100">
+                  <Text variant="bodySm" tone="subdued">Optimized</Text>
+                  <div style={frameStyle}>{candidateUrl && <img src={candidateUrl} alt="Optimized" style={imageStyle} />}</div>
+                </BlockStack>
+              </div>
+            </InlineStack>
+          )}
+
+          {view === 1 && (
+            <BlockStack gap="200">
+              <div style={frameStyle}>
+                {originalUrl && <img src={originalUrl} alt="Original" style={imageStyle} />}
+                {candidateUrl && (
+                  <img src={candidateUrl} alt="Optimized" style={{ ...imageStyle, clipPath: `inset(0 0 0 ${split}%)` }} />
+                )}
+                <div style={{ position: "absolute", top: 0, bottom: 0, left: `${split}%`, width: "2px", background: "#fff", boxShadow: "0 0 2px rgba(0,0,0,0.6)" }} />
+              </div>
+              <RangeSlider
+                label="Original ← → Optimized"
+                value={split}
+                min={0}
+                max={100}
+                onChange={setSplit}
+              />
+            </BlockStack>
+          )}
+
+          {view === 2 && (
+            <BlockStack gap="200">
+              <div style={frameStyle}>{heatmapUrl && <img src={heatmapUrl} alt="Difference heatmap" style={imageStyle} />}</div>
+              <Text variant="bodySm" tone="subdued">
+                White is unchanged; the redder a pixel, the more it differs from the original.
+              </Text>
+            </BlockStack>
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
+
+// What previews.create returns for the dashboard
+PreviewModal.propTypes = {
+  preview: PropTypes.shape({
+    token: PropTypes.string.isRequired,
+    item: PropTypes.shape({ parentTitle: PropTypes.string }).isRequired,
+    original: PropTypes.shape({
+      bytes: PropTypes.number.isRequired,
+      format: PropTypes.string,
+      width: PropTypes.number,
+      height: PropTypes.number
+    }).isRequired,
+    candidate: PropTypes.shape({
+      bytes: PropTypes.number.isRequired,
+      format: PropTypes.string.isRequired,
+      width: PropTypes.number,
+      height: PropTypes.number,
+      quality: PropTypes.number,
+      score: PropTypes.number
+    }).isRequired,
+    changedPct: PropTypes.number,
+    profileName: PropTypes.string,
+    skipReason: PropTypes.string,
+    formatDecision: PropTypes.string,
+    metadataDecision: PropTypes.string,
+    backgroundDecision: PropTypes.string
+  }).isRequired,
+  isSubmitting: PropTypes.bool,
+  onCommit: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired
+};
\ No newline at end of file
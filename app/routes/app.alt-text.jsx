@@ -0,0 +1,309 @@
+import { useState, useEffect } from "react";
+import { useLoaderData, useFetcher, useSearchParams } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  BlockStack,
+  InlineStack,
+  IndexTable,
+  Thumbnail,
+  TextField,
+  Badge,
+  Banner,
+  Toast,
+  Frame,
+  Tabs,
+  EmptyState,
+  Pagination,
+  ResourceList,
+  ResourceItem,
+  useIndexResourceState
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { altText } from "../services/altText.server";
+import { settings } from "../services/settings.server";
+import { history } from "../services/history.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+  const filter = altText.FILTERS.includes(params.get("filter")) ? params.get("filter") : "missing";
+  const page = Math.max(1, parseInt(params.get("page") || "1", 10) || 1);
+
+  const [audit, shopSettings, batches] = await Promise.all([
+    altText.audit(session.shop, { filter, page }),
+    settings.getSettings(session.shop),
+    altText.recentBatches(session.shop)
+  ]);
+
+  return {
+    ...audit,
+    filter,
+    template: shopSettings.altTextTemplate,
+    tokens: altText.TOKENS.map(token => ({ token, label: altText.TOKEN_LABELS[token] })),
+    maxLength: altText.MAX_LENGTH,
+    batches
+  };
+};
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    throw new Response("Method Not Allowed", { status: 405 });
+  }
+
+  try {
+    const auth = await authenticate.admin(request);
+    const { admin, session } = auth;
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    console.log(`[Alt Text Action] Intent: ${intent}`);
+
+    if (intent === "generate") {
+      const ids = JSON.parse(formData.get("ids") || "[]");
+      if (ids.length === 0) {
+        return Response.json({ status: "error", message: "No images selected" });
+      }
+      const template = altText.validateTemplate(formData.get("template"));
+      await settings.saveAltTextTemplate(session.shop, template);
+      const suggestions = await altText.generate(admin, session.shop, ids, template);
+      return Response.json({ status: "success", type: "generate", suggestions });
+    }
+
+    if (intent === "save") {
+      const changes = JSON.parse(formData.get("changes") || "[]");
+      const result = await altText.apply(admin, session.shop, changes, history.actorFrom(auth));
+      return Response.json({ status: "success", type: "save", ...result });
+    }
+
+    if (intent === "undo") {
+      const result = await altText.undo(admin, session.shop, formData.get("batchId"));
+      return Response.json({ status: "success", type: "undo", ...result });
+    }
+
+    return Response.json({ status: "error", message: `Unknown intent: ${intent}` });
+  } catch (error) {
+    console.error("[Alt Text Action Error]", error);
+    return Response.json({ status: "error", message: error.message });
+  }
+};
+
+const FILTER_TABS = [
+  { id: "missing", label: "Missing" },
+  { id: "duplicate", label: "Duplicate" },
+  { id: "all", label: "All" }
+];
+
+export default function AltText() {
+  const { items, total, page, hasNext, counts, filter, template, tokens, maxLength, batches } = useLoaderData();
+  const fetcher = useFetcher();
+  const [, setSearchParams] = useSearchParams();
+  const isSubmitting = fetcher.state !== "idle";
+
+  // Unsaved edits and generated suggestions, keyed by image ID
+  const [drafts, setDrafts] = useState({});
+  const [templateDraft, setTemplateDraft] = useState(template);
+  const [errorBanner, setErrorBanner] = useState(null);
+  const [toastMessage, setToastMessage] = useState(null);
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } = useIndexResourceState(items);
+
+  useEffect(() => {
+    if (fetcher.data?.status === "error") setErrorBanner(fetcher.data.message);
+    if (fetcher.data?.status === "success") {
+      const { type, count, failed } = fetcher.data;
+      setErrorBanner(failed?.length ? `${failed.length} image${failed.length === 1 ? "" : "s"} could not be updated: ${failed[0].message}` : null);
+      if (type === "generate") {
+        setDrafts(prev => ({ ...prev, ...Object.fromEntries(fetcher.data.suggestions.map(s => [s.id, s.alt])) }));
+        clearSelection();
+        setToastMessage(`Generated alt text for ${fetcher.data.suggestions.length} image${fetcher.data.suggestions.length === 1 ? "" : "s"}. Review and save.`);
+      }
+      if (type === "save") {
+        setDrafts({});
+        setToastMessage(count ? `Saved alt text for ${count} image${count === 1 ? "" : "s"}` : "Nothing changed");
+      }
+      if (type === "undo") setToastMessage(`Restored the previous alt text on ${count} image${count === 1 ? "" : "s"}`);
+    }
+  }, [fetcher.data, clearSelection]);
+
+  const changed = items.filter(item => item.id in drafts && drafts[item.id] !== (item.alt || ""));
+
+  const selectFilter = (index) => {
+    setDrafts({});
+    setSearchParams(index === 0 ? {} : { filter: FILTER_TABS[index].id });
+  };
+
+  const tabs = FILTER_TABS.map(t => ({
+    id: t.id,
+    content: t.id === "all" ? t.label : `${t.label} (${counts[t.id]})`
+  }));
+
+  return (
+    <Frame>
+      <Page title="Alt text" backAction={{ content: "Home", url: "/app" }}>
+        <Layout>
+          {errorBanner && (
+            <Layout.Section>
+              <Banner tone="critical" onDismiss={() => setErrorBanner(null)}>
+                <p>{errorBanner}</p>
+              </Banner>
+            </Layout.Section>
+          )}
+
+          <Layout.AnnotatedSection
+            title="Template"
+            description="Select images and choose Generate to fill in alt text from this template. Generated text is only a suggestion until you save it."
+          >
+            <Card>
+              <BlockStack gap="300">
+                <TextField
+                  label="Alt text template"
+                  value={templateDraft}
+                  onChange={setTemplateDraft}
+                  autoComplete="off"
+                  helpText="For example {title} in {variant} by {vendor}. An empty token is dropped together with the separator or word before it."
+                />
+                <BlockStack gap="100">
+                  {tokens.map(({ token, label }) => (
+                    <Text key={token} variant="bodySm" tone="subdued">
+                      <Text as="span" variant="bodySm" fontWeight="semibold">{`{${token}}`}</Text> {label}
+                    </Text>
+                  ))}
+                </BlockStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.Section>
+            <Card padding="0">
+              <Tabs tabs={tabs} selected={FILTER_TABS.findIndex(t => t.id === filter)} onSelect={selectFilter}>
+                {items.length === 0 ? (
+                  <EmptyState heading={filter === "missing" ? "Every image has alt text" : "No images to show"} image="">
+                    <p>{filter === "duplicate"
+                      ? "No two images share the same alt text."
+                      : "Images appear here after a scan."}</p>
+                  </EmptyState>
+                ) : (
+                  <IndexTable
+                    resourceName={{ singular: "image", plural: "images" }}
+                    itemCount={items.length}
+                    selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                    onSelectionChange={handleSelectionChange}
+                    promotedBulkActions={[
+                      {
+                        content: "Generate alt text",
+                        onAction: () => fetcher.submit({ intent: "generate", template: templateDraft, ids: JSON.stringify(selectedResources) }, { method: "POST" })
+                      }
+                    ]}
+                    loading={isSubmitting}
+                    headings={[
+                      { title: "Image" },
+                      { title: "Details" },
+                      { title: "Alt text" }
+                    ]}
+                  >
+                    {items.map((item, index) => {
+                      const value = item.id in drafts ? drafts[item.id] : (item.alt || "");
+                      const isChanged = value !== (item.alt || "");
+                      return (
+                        <IndexTable.Row id={item.id} key={item.id} position={index} selected={selectedResources.includes(item.id)}>
+                          <IndexTable.Cell>
+                            <Thumbnail source={item.url} alt={item.alt || ""} size="small" />
+                          </IndexTable.Cell>
+                          <IndexTable.Cell>
+                            <BlockStack>
+                              <Text fontWeight="bold" truncate>{item.parentTitle}</Text>
+                              <InlineStack gap="100">
+                                <Text tone="subdued" variant="bodySm">{item.type}</Text>
+                                {isChanged && <Badge tone="attention">Unsaved</Badge>}
+                              </InlineStack>
+                            </BlockStack>
+                          </IndexTable.Cell>
+                          <IndexTable.Cell>
+                            {/* Clicks in the field must not toggle the row's selection */}
+                            <div role="presentation" style={{ minWidth: "320px" }} onClick={(e) => e.stopPropagation()}>
+                              <TextField
+                                label="Alt text"
+                                labelHidden
+                                value={value}
+                                onChange={(next) => setDrafts(prev => ({ ...prev, [item.id]: next }))}
+                                placeholder="Describe the image"
+                                maxLength={maxLength}
+                                autoComplete="off"
+                              />
+                            </div>
+                          </IndexTable.Cell>
+                        </IndexTable.Row>
+                      );
+                    })}
+                  </IndexTable>
+                )}
+              </Tabs>
+              <div style={{ padding: "12px" }}>
+                <InlineStack align="space-between" blockAlign="center">
+                  <Pagination
+                    hasPrevious={page > 1}
+                    hasNext={hasNext}
+                    onPrevious={() => setSearchParams({ ...(filter !== "missing" && { filter }), page: String(page - 1) })}
+                    onNext={() => setSearchParams({ ...(filter !== "missing" && { filter }), page: String(page + 1) })}
+                    label={`${total} image${total === 1 ? "" : "s"}`}
+                  />
+                  <InlineStack gap="200">
+                    <Button onClick={() => setDrafts({})} disabled={changed.length === 0 || isSubmitting}>Discard</Button>
+                    <Button
+                      variant="primary"
+                      onClick={() => fetcher.submit({
+                        intent: "save",
+                        changes: JSON.stringify(changed.map(item => ({ id: item.id, alt: drafts[item.id] })))
+                      }, { method: "POST" })}
+                      disabled={changed.length === 0}
+                      loading={isSubmitting}
+                    >
+                      {changed.length ? `Save ${changed.length} change${changed.length === 1 ? "" : "s"}` : "Save"}
+                    </Button>
+                  </InlineStack>
+                </InlineStack>
+              </div>
+            </Card>
+          </Layout.Section>
+
+          {batches.length > 0 && (
+            <Layout.Section>
+              <Card padding="0">
+                <ResourceList
+                  resourceName={{ singular: "change", plural: "changes" }}
+                  items={batches}
+                  renderItem={(batch) => (
+                    <ResourceItem id={batch.batchId}>
+                      <InlineStack align="space-between" blockAlign="center">
+                        <BlockStack gap="050">
+                          <Text>{batch.count} alt text{batch.count === 1 ? "" : "s"} saved{batch.actor ? ` by ${batch.actor}` : ""}</Text>
+                          <Text variant="bodySm" tone="subdued">
+                            {new Date(batch.createdAt).toLocaleString()}{batch.active === 0 ? " · undone" : ""}
+                          </Text>
+                        </BlockStack>
+                        {batch.active > 0 && (
+                          <Button
+                            variant="plain"
+                            disabled={isSubmitting}
+                            onClick={() => fetcher.submit({ intent: "undo", batchId: batch.batchId }, { method: "POST" })}
+                          >
+                            Undo
+                          </Button>
+                        )}
+                      </InlineStack>
+                    </ResourceItem>
+                  )}
+                />
+              </Card>
+            </Layout.Section>
+          )}
+        </Layout>
+        {toastMessage && <Toast content={toastMessage} onDismiss={() => setToastMessage(null)} />}
+      </Page>
+    </Frame>
+  );
+}
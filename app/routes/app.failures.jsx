@@ -0,0 +1,258 @@
+import { useState, useEffect } from "react";
+import { useLoaderData, useFetcher, useSearchParams } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  BlockStack,
+  InlineStack,
+  IndexTable,
+  Thumbnail,
+  Badge,
+  Banner,
+  Toast,
+  Frame,
+  Tabs,
+  EmptyState,
+  useIndexResourceState
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { optimizer } from "../services/optimizer.server";
+import { jobs } from "../services/jobs.server";
+import { failures } from "../services/failures.server";
+import { history } from "../services/history.server";
+import { exclusions } from "../services/exclusions.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const status = new URL(request.url).searchParams.get("status") === "excluded" ? "excluded" : "open";
+
+  const [rows, counts] = await Promise.all([
+    failures.list(session.shop, status),
+    failures.counts(session.shop)
+  ]);
+
+  return { rows, counts, status };
+};
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    throw new Response("Method Not Allowed", { status: 405 });
+  }
+
+  try {
+    const auth = await authenticate.admin(request);
+    const { admin, session } = auth;
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+    const ids = JSON.parse(formData.get("ids") || "[]");
+    const context = { ...history.actorFrom(auth), source: "manual" };
+
+    console.log(`[Failures Action] Intent: ${intent} (${ids.length} images)`);
+
+    if (ids.length === 0) {
+      return Response.json({ status: "error", message: "No images selected" });
+    }
+
+    if (intent === "exclude" || intent === "include") {
+      const count = await failures.setStatus(session.shop, ids, intent === "exclude" ? "excluded" : "open");
+      return Response.json({ status: "success", type: intent, count });
+    }
+
+    if (intent === "retry") {
+      const rows = await failures.find(session.shop, ids);
+      const items = await failures.itemsFor(session.shop, rows);
+
+      // One image runs right away, like the dashboard's buttons
+      if (rows.length === 1) {
+        const result = rows[0].kind === "restore"
+          ? await optimizer.restoreImage(admin, session, items[0], context)
+          : await optimizer.commitImage(admin, session, items[0], context);
+        return Response.json({ status: "success", type: "retry", data: result });
+      }
+
+      // More go through the bulk job queue; a job runs a single kind
+      const kinds = new Set(rows.map(r => r.kind));
+      if (kinds.size > 1) {
+        return Response.json({ status: "error", message: "Retry failed optimizations and failed restores separately" });
+      }
+      // Exclusion rules keep images out of bulk optimization here too; restores still bring every image back
+      const kind = rows[0].kind;
+      const isExcluded = await exclusions.matcher(session.shop);
+      const queue = items.filter(item => kind === "restore" || !isExcluded(item));
+      if (queue.length === 0) {
+        return Response.json({ status: "error", message: "All selected images are excluded from bulk optimization" });
+      }
+      const job = await jobs.createJob(session.shop, kind, queue, history.actorFrom(auth));
+      return Response.json({ status: "success", type: "retry-job", job: jobs.toStatus(job), excluded: items.length - queue.length });
+    }
+
+    return Response.json({ status: "error", message: `Unknown intent: ${intent}` });
+  } catch (error) {
+    console.error("[Failures Action Error]", error);
+    return Response.json({ status: "error", message: error.message });
+  }
+};
+
+const CLASS_LABELS = {
+  download: "Download",
+  decode: "Decode",
+  encode: "Encode",
+  upload: "Upload",
+  permission: "Permission",
+  unknown: "Unknown"
+};
+
+const CLASS_HINTS = {
+  download: "The image could not be fetched from Shopify's CDN or the backup store.",
+  decode: "The file is corrupt or in a format the optimizer cannot read.",
+  encode: "Re-encoding the image failed.",
+  upload: "Shopify rejected the replacement upload.",
+  permission: "The app is missing an access scope for this resource. Reinstalling the app may fix it.",
+  unknown: null
+};
+
+export default function Failures() {
+  const { rows, counts, status } = useLoaderData();
+  const fetcher = useFetcher();
+  const [, setSearchParams] = useSearchParams();
+  const isSubmitting = fetcher.state !== "idle";
+  const [errorBanner, setErrorBanner] = useState(null);
+  const [toastMessage, setToastMessage] = useState(null);
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } = useIndexResourceState(rows);
+
+  useEffect(() => {
+    if (fetcher.data?.status === "error") setErrorBanner(fetcher.data.message);
+    if (fetcher.data?.status === "success") {
+      setErrorBanner(null);
+      clearSelection();
+      const { type, count } = fetcher.data;
+      if (type === "exclude") setToastMessage(`Excluded ${count} image${count === 1 ? "" : "s"}`);
+      if (type === "include") setToastMessage(`Included ${count} image${count === 1 ? "" : "s"} again`);
+      if (type === "retry") setToastMessage(fetcher.data.data?.skipped ? "Retried: skipped" : "Retry succeeded");
+      if (type === "retry-job") {
+        const { job, excluded } = fetcher.data;
+        setToastMessage(`Retrying ${job.total} images in the background${excluded > 0 ? ` (${excluded} excluded)` : ""}`);
+      }
+    }
+  }, [fetcher.data, clearSelection]);
+
+  const submit = (intent, ids) => {
+    fetcher.submit({ intent, ids: JSON.stringify(ids) }, { method: "POST" });
+  };
+
+  const tabs = [
+    { id: "open", content: `Failed (${counts.open})` },
+    { id: "excluded", content: `Excluded (${counts.excluded})` }
+  ];
+  const isExcludedTab = status === "excluded";
+
+  const bulkActions = isExcludedTab
+    ? [{ content: "Include again", onAction: () => submit("include", selectedResources) }]
+    : [
+      { content: "Retry", onAction: () => submit("retry", selectedResources) },
+      { content: "Exclude", onAction: () => submit("exclude", selectedResources) }
+    ];
+
+  return (
+    <Frame>
+      <Page title="Failures" backAction={{ content: "Home", url: "/app" }}>
+        <Layout>
+          {errorBanner && (
+            <Layout.Section>
+              <Banner tone="critical" onDismiss={() => setErrorBanner(null)}>
+                <p>{errorBanner}</p>
+              </Banner>
+            </Layout.Section>
+          )}
+
+          <Layout.Section>
+            <Card padding="0">
+              <Tabs
+                tabs={tabs}
+                selected={isExcludedTab ? 1 : 0}
+                onSelect={(index) => setSearchParams(index === 1 ? { status: "excluded" } : {})}
+              >
+                {rows.length === 0 ? (
+                  <EmptyState heading={isExcludedTab ? "No excluded images" : "No failed images"} image="">
+                    <p>{isExcludedTab
+                      ? "Excluded images are left out of bulk and automatic optimization."
+                      : "Images that fail to optimize or restore are listed here with the reason."}</p>
+                  </EmptyState>
+                ) : (
+                  <IndexTable
+                    resourceName={{ singular: "image", plural: "images" }}
+                    itemCount={rows.length}
+                    selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                    onSelectionChange={handleSelectionChange}
+                    promotedBulkActions={bulkActions}
+                    loading={isSubmitting}
+                    headings={[
+                      { title: "Image" },
+                      { title: "Details" },
+                      { title: "Error" },
+                      { title: "Attempts" },
+                      { title: "Actions" }
+                    ]}
+                  >
+                    {rows.map((row, index) => (
+                      <IndexTable.Row id={row.id} key={row.id} position={index} selected={selectedResources.includes(row.id)}>
+                        <IndexTable.Cell>
+                          <Thumbnail source={row.item?.url || ""} alt={row.item?.alt || ""} size="small" />
+                        </IndexTable.Cell>
+                        <IndexTable.Cell>
+                          <BlockStack>
+                            <Text fontWeight="bold" truncate>{row.item?.parentTitle || row.id}</Text>
+                            <Text tone="subdued" variant="bodySm">
+                              {row.item?.type || "Image"} · {row.kind === "restore" ? "Restore" : "Optimize"} · {new Date(row.lastFailedAt).toLocaleString()}
+                            </Text>
+                          </BlockStack>
+                        </IndexTable.Cell>
+                        <IndexTable.Cell>
+                          <BlockStack gap="100">
+                            <InlineStack>
+                              <Badge tone={row.errorClass === "permission" ? "warning" : "critical"}>{CLASS_LABELS[row.errorClass] || row.errorClass}</Badge>
+                            </InlineStack>
+                            <Text variant="bodySm" breakWord>{row.error}</Text>
+                            {CLASS_HINTS[row.errorClass] && (
+                              <Text variant="bodyXs" tone="subdued">{CLASS_HINTS[row.errorClass]}</Text>
+                            )}
+                          </BlockStack>
+                        </IndexTable.Cell>
+                        <IndexTable.Cell>
+                          <Text variant="bodySm">{row.attempts}</Text>
+                        </IndexTable.Cell>
+                        <IndexTable.Cell>
+                          <InlineStack gap="200" wrap={false}>
+                            {isExcludedTab ? (
+                              <Button size="slim" variant="plain" disabled={isSubmitting} onClick={() => submit("include", [row.id])}>
+                                Include again
+                              </Button>
+                            ) : (
+                              <>
+                                <Button size="slim" disabled={isSubmitting} onClick={() => submit("retry", [row.id])}>
+                                  Retry
+                                </Button>
+                                <Button size="slim" variant="plain" tone="critical" disabled={isSubmitting} onClick={() => submit("exclude", [row.id])}>
+                                  Exclude
+                                </Button>
+                              </>
+                            )}
+                          </InlineStack>
+                        </IndexTable.Cell>
+                      </IndexTable.Row>
+                    ))}
+                  </IndexTable>
+                )}
+              </Tabs>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage} onDismiss={() => setToastMessage(null)} />}
+      </Page>
+    </Frame>
+  );
+}
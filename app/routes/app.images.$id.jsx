@@ -0,0 +1,466 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { useLoaderData, useFetcher, useNavigate } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  BlockStack,
+  InlineStack,
+  Thumbnail,
+  Badge,
+  Banner,
+  Toast,
+  Frame,
+  Divider,
+  EmptyState,
+  Link
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { optimizer } from "../services/optimizer.server";
+import { imageIndex } from "../services/imageIndex.server";
+import { history } from "../services/history.server";
+import { sourceFormats } from "../services/sourceFormat.server";
+import { metadata } from "../services/metadata.server";
+import { derivatives } from "../services/derivatives.server";
+import { focalPoints } from "../services/focalPoint.server";
+import { backgrounds } from "../services/background.server";
+import { settings } from "../services/settings.server";
+import prisma from "../db.server";
+
+async function loadItem(shop, id) {
+  const row = await prisma.imageIndex.findUnique({
+    where: { shop_shopifyImageId: { shop, shopifyImageId: id } }
+  });
+  return row ? imageIndex.toItem(row) : null;
+}
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const id = params.id;
+
+  const [item, record, events, derivativeGroups, shopSettings] = await Promise.all([
+    loadItem(session.shop, id),
+    prisma.imageRecord.findUnique({
+      where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: id } }
+    }),
+    history.timeline(session.shop, id),
+    derivatives.list(session.shop, id),
+    settings.getSettings(session.shop)
+  ]);
+
+  if (!item && !record && events.length === 0) {
+    throw new Response("Image not found", { status: 404 });
+  }
+
+  // The newest event that put bytes on Shopify is what is live now
+  const currentId = events.find(e => e.versionKey)?.id || null;
+
+  return {
+    id,
+    item,
+    status: record?.status || item?.status || "pending",
+    formatDecision: record ? sourceFormats.describe(record) : null,
+    metadataDecision: record ? metadata.describe(record) : null,
+    backgroundDecision: record ? backgrounds.describe({ mode: record.backgroundMode, color: record.backgroundColor }) : null,
+    focalPoint: focalPoints.fromRecord(record),
+    // null when the image cannot have derivatives (shop files)
+    derivatives: derivatives.supports(item) ? {
+      configured: shopSettings.derivativeRatios.length > 0,
+      groups: derivativeGroups.map(g => ({
+        ratio: g.ratio,
+        label: g.label,
+        sizes: g.sizes.map(d => ({ width: d.width, height: d.height, url: d.url, bytes: d.bytes }))
+      }))
+    } : null,
+    // Storage keys stay on the server; the page only needs to know a version exists
+    timeline: events.map(e => ({
+      id: e.id,
+      action: e.action,
+      source: e.source,
+      actor: e.actor,
+      createdAt: e.createdAt,
+      settings: e.settings,
+      originalBytes: e.originalBytes,
+      resultBytes: e.resultBytes,
+      format: e.format,
+      quality: e.quality,
+      qualityScore: e.qualityScore,
+      error: e.error,
+      hasVersion: Boolean(e.versionKey),
+      isOriginal: history.isOriginal(e, record),
+      current: e.id === currentId
+    }))
+  };
+};
+
+export const action = async ({ request, params }) => {
+  if (request.method !== "POST") {
+    throw new Response("Method Not Allowed", { status: 405 });
+  }
+
+  try {
+    const auth = await authenticate.admin(request);
+    const { admin, session } = auth;
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+    const context = { ...history.actorFrom(auth), source: "manual" };
+
+    console.log(`[Image Action] Intent: ${intent}`);
+
+    const item = await loadItem(session.shop, params.id);
+    if (!item) {
+      return Response.json({ status: "error", message: "Image not found. Rescan the shop and try again." });
+    }
+
+    if (intent === "rollback") {
+      const result = await optimizer.rollbackImage(admin, session, item, formData.get("eventId"), context);
+      return Response.json({ status: "success", type: "rollback", data: result });
+    }
+
+    if (intent === "save-focal-point" || intent === "clear-focal-point") {
+      if (intent === "save-focal-point") {
+        await focalPoints.save(admin, session.shop, item, focalPoints.parse(formData.get("x"), formData.get("y")));
+      } else {
+        await focalPoints.clear(admin, session.shop, item);
+      }
+      // Existing derivatives were cropped around the old point
+      const existing = await derivatives.list(session.shop, item.id);
+      if (existing.length > 0) {
+        try {
+          await derivatives.generate(admin, session.shop, item);
+        } catch (error) {
+          console.error("[Image Action Error] Derivatives not rebuilt:", error);
+          return Response.json({ status: "error", message: `Focal point saved, but the derivatives could not be rebuilt: ${error.message}` });
+        }
+      }
+      return Response.json({ status: "success", type: intent, rebuilt: existing.length > 0 });
+    }
+
+    if (intent === "generate-derivatives") {
+      const rows = await derivatives.generate(admin, session.shop, item);
+      return Response.json({ status: "success", type: "generate-derivatives", count: rows.length });
+    }
+
+    if (intent === "remove-derivatives") {
+      const count = await derivatives.remove(admin, session.shop, item.id);
+      return Response.json({ status: "success", type: "remove-derivatives", count });
+    }
+
+    if (intent === "restore") {
+      const result = await optimizer.restoreImage(admin, session, item, context);
+      return Response.json({ status: "success", type: "restore", data: result });
+    }
+
+    return Response.json({ status: "error", message: `Unknown intent: ${intent}` });
+  } catch (error) {
+    console.error("[Image Action Error]", error);
+    return Response.json({ status: "error", message: error.message });
+  }
+};
+
+const ACTION_BADGES = {
+  optimize: { tone: "success", label: "Optimized" },
+  skip: { tone: "info", label: "Skipped" },
+  restore: { tone: "attention", label: "Restored" },
+  rollback: { tone: "warning", label: "Rolled back" },
+  fail: { tone: "critical", label: "Failed" }
+};
+
+const SOURCE_LABELS = { manual: "Manual", preview: "Preview", bulk: "Bulk job", auto: "Automatic" };
+
+function formatKb(bytes) {
+  return bytes ? `${Math.round(bytes / 1024)} KB` : "–";
+}
+
+// Click (or tap) the subject of the photo; the point is kept as fractions of the image's size
+function FocalPointPicker({ url, alt, point, onPick, disabled }) {
+  const pick = (event) => {
+    // Keyboard activation has no pointer position
+    if (event.detail === 0) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+    onPick({ x: clamp((event.clientX - rect.left) / rect.width), y: clamp((event.clientY - rect.top) / rect.height) });
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={pick}
+      disabled={disabled}
+      aria-label="Set focal point"
+      style={{ position: "relative", display: "block", width: "100%", padding: 0, border: 0, background: "none", cursor: "crosshair" }}
+    >
+      <img src={url} alt={alt || ""} style={{ display: "block", width: "100%", height: "auto" }} />
+      {point && (
+        <span
+          style={{
+            position: "absolute",
+            left: `${point.x * 100}%`,
+            top: `${point.y * 100}%`,
+            width: "20px",
+            height: "20px",
+            transform: "translate(-50%, -50%)",
+            borderRadius: "50%",
+            border: "2px solid #fff",
+            boxShadow: "0 0 0 2px rgba(0,0,0,0.6)",
+            pointerEvents: "none"
+          }}
+        />
+      )}
+    </button>
+  );
+}
+
+FocalPointPicker.propTypes = {
+  url: PropTypes.string.isRequired,
+  alt: PropTypes.string,
+  point: PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired }),
+  onPick: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+function describeSettings(settings) {
+  const profile = settings?.profile;
+  if (!profile) return null;
+  const parts = [profile.name && `${profile.name} profile`];
+  if (profile.qualityMode === "perceptual") {
+    parts.push(`target SSIM ${profile.targetScore}`);
+  }
+  if (profile.formats) parts.push(profile.formats.join("/"));
+  if (profile.maxWidth) parts.push(`max ${profile.maxWidth}px wide`);
+  if (profile.metadataPolicy) parts.push(`metadata: ${profile.metadataPolicy}`);
+  if (profile.backgroundMode && profile.backgroundMode !== "off") parts.push(`background: ${profile.backgroundMode}`);
+  if (settings.minSavingsPct !== undefined) parts.push(`skip under ${settings.minSavingsPct}% / ${settings.minSavingsKb} KB`);
+  return parts.filter(Boolean).join(" · ");
+}
+
+export default function ImageHistory() {
+  const { id, item, status, formatDecision, metadataDecision, backgroundDecision, focalPoint, derivatives, timeline } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigate = useNavigate();
+  const isSubmitting = fetcher.state !== "idle";
+  const [errorBanner, setErrorBanner] = useState(null);
+  const [toastMessage, setToastMessage] = useState(null);
+  const [focalDraft, setFocalDraft] = useState(focalPoint);
+
+  // Reset the draft when the saved point changes, not on every revalidation's new object
+  const savedX = focalPoint?.x ?? null;
+  const savedY = focalPoint?.y ?? null;
+  useEffect(() => {
+    setFocalDraft(savedX === null ? null : { x: savedX, y: savedY });
+  }, [savedX, savedY]);
+
+  useEffect(() => {
+    if (fetcher.data?.status === "error") {
+      setErrorBanner(fetcher.data.message);
+    }
+    if (fetcher.data?.status === "success") {
+      setErrorBanner(null);
+      if (fetcher.data.type === "generate-derivatives") {
+        setToastMessage(`Created ${fetcher.data.count} derivative${fetcher.data.count === 1 ? "" : "s"}`);
+        return;
+      }
+      if (fetcher.data.type === "save-focal-point" || fetcher.data.type === "clear-focal-point") {
+        const verb = fetcher.data.type === "save-focal-point" ? "saved" : "cleared";
+        setToastMessage(fetcher.data.rebuilt ? `Focal point ${verb} and derivatives rebuilt` : `Focal point ${verb}`);
+        return;
+      }
+      if (fetcher.data.type === "remove-derivatives") {
+        setToastMessage("Derivatives removed");
+        return;
+      }
+      setToastMessage(fetcher.data.type === "restore" ? "Original restored" : "Version restored");
+      // Collection and article images get a new ID on upload
+      const newId = fetcher.data.data?.newId;
+      if (newId && newId !== id) {
+        navigate(`/app/images/${encodeURIComponent(newId)}`, { replace: true });
+      }
+    }
+  }, [fetcher.data, id, navigate]);
+
+  const rollback = (eventId) => {
+    fetcher.submit({ intent: "rollback", eventId }, { method: "POST" });
+  };
+
+  return (
+    <Frame>
+      <Page
+        title={item?.parentTitle || "Image history"}
+        subtitle={item ? `${item.type} · ${item.width}x${item.height}` : undefined}
+        backAction={{ content: "Home", url: "/app" }}
+        primaryAction={status === "optimized" ? {
+          content: "Restore original",
+          loading: isSubmitting,
+          disabled: isSubmitting || !item,
+          onAction: () => fetcher.submit({ intent: "restore" }, { method: "POST" })
+        } : undefined}
+      >
+        <Layout>
+          {errorBanner && (
+            <Layout.Section>
+              <Banner tone="critical" onDismiss={() => setErrorBanner(null)}>
+                <p>{errorBanner}</p>
+              </Banner>
+            </Layout.Section>
+          )}
+
+          {item && (
+            <Layout.Section variant="oneThird">
+              <BlockStack gap="400">
+                <Card>
+                  <BlockStack gap="300">
+                    <Thumbnail source={item.url} alt={item.alt} size="large" />
+                    <InlineStack gap="200">
+                      {status === "optimized" && <Badge tone="success">Optimized</Badge>}
+                      {status === "skipped" && <Badge tone="info">Skipped</Badge>}
+                      {status === "pending" && <Badge tone="attention">Pending</Badge>}
+                    </InlineStack>
+                    {item.optimized && (
+                      <Text variant="bodySm" tone="subdued">{item.originalKb}KB → {item.optimizedKb}KB (saved {item.percent}%)</Text>
+                    )}
+                    {formatDecision && (
+                      <Text variant="bodySm" tone="subdued">{formatDecision}</Text>
+                    )}
+                    {metadataDecision && (
+                      <Text variant="bodySm" tone="subdued">{metadataDecision}</Text>
+                    )}
+                    {backgroundDecision && (
+                      <Text variant="bodySm" tone="subdued">{backgroundDecision}</Text>
+                    )}
+                  </BlockStack>
+                </Card>
+                <Card>
+                  <BlockStack gap="300">
+                    <Text variant="headingMd" as="h2">Focal point</Text>
+                    <FocalPointPicker url={item.url} alt={item.alt} point={focalDraft} onPick={setFocalDraft} disabled={isSubmitting} />
+                    <Text variant="bodySm" tone="subdued">
+                      {focalDraft
+                        ? `Crops center on ${Math.round(focalDraft.x * 100)}% across, ${Math.round(focalDraft.y * 100)}% down.`
+                        : "Click the subject of the photo. Until then, crops use the strategy chosen in Settings."}
+                    </Text>
+                    <InlineStack gap="200">
+                      <Button
+                        size="slim"
+                        onClick={() => fetcher.submit({ intent: "save-focal-point", x: String(focalDraft.x), y: String(focalDraft.y) }, { method: "POST" })}
+                        loading={isSubmitting}
+                        disabled={isSubmitting || !focalDraft || (focalDraft.x === focalPoint?.x && focalDraft.y === focalPoint?.y)}
+                      >
+                        Save
+                      </Button>
+                      {focalPoint && (
+                        <Button
+                          size="slim"
+                          variant="plain"
+                          onClick={() => fetcher.submit({ intent: "clear-focal-point" }, { method: "POST" })}
+                          disabled={isSubmitting}
+                        >
+                          Clear
+                        </Button>
+                      )}
+                    </InlineStack>
+                  </BlockStack>
+                </Card>
+                {derivatives && (
+                  <Card>
+                    <BlockStack gap="300">
+                      <Text variant="headingMd" as="h2">Derivatives</Text>
+                      {derivatives.groups.length === 0 ? (
+                        <Text variant="bodySm" tone="subdued">
+                          {derivatives.configured ? "None yet. They are made when the image is optimized." : "Select crops under Settings > Responsive derivatives."}
+                        </Text>
+                      ) : derivatives.groups.map(group => (
+                        <BlockStack gap="100" key={group.ratio}>
+                          <Text variant="bodySm" fontWeight="semibold">{group.label}</Text>
+                          <InlineStack gap="200">
+                            {group.sizes.map(size => (
+                              <Link key={size.width} url={size.url} target="_blank" removeUnderline>
+                                <Text variant="bodySm">{size.width}x{size.height} · {formatKb(size.bytes)}</Text>
+                              </Link>
+                            ))}
+                          </InlineStack>
+                        </BlockStack>
+                      ))}
+                      <InlineStack gap="200">
+                        <Button
+                          size="slim"
+                          onClick={() => fetcher.submit({ intent: "generate-derivatives" }, { method: "POST" })}
+                          loading={isSubmitting}
+                          disabled={isSubmitting || !derivatives.configured}
+                        >
+                          {derivatives.groups.length ? "Regenerate" : "Generate"}
+                        </Button>
+                        {derivatives.groups.length > 0 && (
+                          <Button
+                            size="slim"
+                            tone="critical"
+                            variant="plain"
+                            onClick={() => fetcher.submit({ intent: "remove-derivatives" }, { method: "POST" })}
+                            disabled={isSubmitting}
+                          >
+                            Remove
+                          </Button>
+                        )}
+                      </InlineStack>
+                    </BlockStack>
+                  </Card>
+                )}
+              </BlockStack>
+            </Layout.Section>
+          )}
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">History</Text>
+                {timeline.length === 0 ? (
+                  <EmptyState heading="No history yet" image="">
+                    <p>Optimizations, restores and rollbacks of this image will show up here.</p>
+                  </EmptyState>
+                ) : timeline.map((event, index) => (
+                  <BlockStack gap="200" key={event.id}>
+                    {index > 0 && <Divider />}
+                    <InlineStack align="space-between" blockAlign="center">
+                      <InlineStack gap="200" blockAlign="center">
+                        <Badge tone={ACTION_BADGES[event.action]?.tone}>{ACTION_BADGES[event.action]?.label || event.action}</Badge>
+                        {event.current && <Badge>Live</Badge>}
+                        <Text variant="bodySm" tone="subdued">
+                          {new Date(event.createdAt).toLocaleString()} · {SOURCE_LABELS[event.source] || event.source}{event.actor ? ` · ${event.actor}` : ""}
+                        </Text>
+                      </InlineStack>
+                      {event.hasVersion && !event.current && (
+                        <Button size="slim" onClick={() => rollback(event.id)} loading={isSubmitting} disabled={isSubmitting || !item}>
+                          {event.isOriginal ? "Roll back to original" : "Roll back to this version"}
+                        </Button>
+                      )}
+                    </InlineStack>
+                    {event.action === "fail" ? (
+                      <Text variant="bodySm" tone="critical">{event.error}</Text>
+                    ) : (
+                      <BlockStack gap="100">
+                        <Text variant="bodySm">
+                          {event.isOriginal
+                            ? `Original · ${formatKb(event.resultBytes)}`
+                            : `${formatKb(event.originalBytes)} → ${formatKb(event.resultBytes)}${event.format ? ` · ${event.format.toUpperCase()}` : ""}${event.quality ? ` q${event.quality}` : ""}${event.qualityScore ? ` · SSIM ${event.qualityScore.toFixed(4)}` : ""}`}
+                        </Text>
+                        {event.action === "skip" && event.error && (
+                          <Text variant="bodySm" tone="subdued">{event.error}</Text>
+                        )}
+                        {describeSettings(event.settings) && (
+                          <Text variant="bodyXs" tone="subdued">{describeSettings(event.settings)}</Text>
+                        )}
+                      </BlockStack>
+                    )}
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage} onDismiss={() => setToastMessage(null)} />}
+      </Page>
+    </Frame>
+  );
+}
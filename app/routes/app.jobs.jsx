@@ -0,0 +1,69 @@
+import { authenticate } from "../shopify.server";
+import { imageIndex } from "../services/imageIndex.server";
+import { jobs } from "../services/jobs.server";
+import { history } from "../services/history.server";
+import { exclusions } from "../services/exclusions.server";
+
+// Polled by the dashboard while a bulk job is active.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await jobs.getLatestJob(session.shop);
+
+  if (job && jobs.ACTIVE_STATUSES.includes(job.status)) {
+    jobs.kick(session.shop);
+  }
+
+  return { job: jobs.toStatus(job) };
+};
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    throw new Response("Method Not Allowed", { status: 405 });
+  }
+
+  try {
+    const auth = await authenticate.admin(request);
+    const { session } = auth;
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+    const jobId = formData.get("jobId");
+
+    console.log(`[Jobs Action] Intent: ${intent}`);
+
+    if (intent === "start") {
+      const kind = formData.get("kind");
+      // Only bulk kinds go through the one-active-job guard; "auto" jobs are for webhooks alone
+      if (!jobs.BULK_KINDS.includes(kind)) {
+        return Response.json({ status: "error", message: `Unknown job kind: ${kind}` }, { status: 400 });
+      }
+      // Skipped images would only be skipped again; they can still be retried one at a time
+      // Exclusion rules keep images out of bulk optimization; restores still bring every image back
+      const isExcluded = await exclusions.matcher(session.shop);
+      const items = (await imageIndex.listByStatus(session.shop, kind === "restore" ? "optimized" : "pending"))
+        .filter(item => kind === "restore" || !isExcluded(item));
+
+      const job = await jobs.createJob(session.shop, kind, items, history.actorFrom(auth));
+      return Response.json({ status: "success", job: jobs.toStatus(job) });
+    }
+
+    if (intent === "pause") {
+      const job = await jobs.pause(session.shop, jobId);
+      return Response.json({ status: "success", job: jobs.toStatus(job) });
+    }
+
+    if (intent === "resume") {
+      const job = await jobs.resume(session.shop, jobId);
+      return Response.json({ status: "success", job: jobs.toStatus(job) });
+    }
+
+    if (intent === "cancel") {
+      const job = await jobs.cancel(session.shop, jobId);
+      return Response.json({ status: "success", job: jobs.toStatus(job) });
+    }
+
+    return Response.json({ status: "error", message: `Unknown intent: ${intent}` });
+  } catch (error) {
+    console.error("[Jobs Action Error]", error);
+    return Response.json({ status: "error", message: error.message });
+  }
+};
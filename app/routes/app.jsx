@@ -23,7 +23,10 @@ export default function App() {
       <PolarisAppProvider i18n={translations}>
         <s-app-nav>
           <s-link href="/app">Home</s-link>
-          <s-link href="/app/additional">Additional page</s-link>
+          <s-link href="/app/reports">Reports</s-link>
+          <s-link href="/app/alt-text">Alt text</s-link>
+          <s-link href="/app/failures">Failures</s-link>
+          <s-link href="/app/settings">Settings</s-link>
         </s-app-nav>
         <Outlet />
       </PolarisAppProvider>
@@ -0,0 +1,22 @@
+import { authenticate } from "../shopify.server";
+import { previews } from "../services/preview.server";
+
+// Serves the cached original, candidate and heatmap images of a preview.
+// Only a missing or expired preview is a 404; anything else is a real failure and surfaces as a 500.
+// An original can be a merchant's SVG, so assets are sandboxed: opened directly, no script runs in the app's origin.
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const asset = await previews.readAsset(session.shop, params.token, params.asset);
+  if (!asset) {
+    throw new Response("Not Found", { status: 404 });
+  }
+  return new Response(asset.buffer, {
+    headers: {
+      "Content-Type": asset.contentType,
+      "Cache-Control": "private, max-age=600",
+      "Content-Security-Policy": "sandbox",
+      "X-Content-Type-Options": "nosniff"
+    }
+  });
+};
@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { reports } from "../services/reports.server";
+
+// CSV download of one savings report table: ?group=day|productType|vendor
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const group = new URL(request.url).searchParams.get("group") || "day";
+
+  if (!reports.GROUPS.includes(group)) {
+    throw new Response(`Unknown report group: ${group}`, { status: 400 });
+  }
+
+  const report = await reports.load(session.shop);
+  return new Response(reports.toCsv(report, group), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="savings-by-${group}.csv"`,
+      "Cache-Control": "no-store"
+    }
+  });
+};
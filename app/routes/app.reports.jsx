@@ -0,0 +1,287 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { useLoaderData, useFetcher } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  BlockStack,
+  InlineStack,
+  TextField,
+  DataTable,
+  Tabs,
+  Banner,
+  Toast,
+  Frame,
+  EmptyState
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { reports } from "../services/reports.server";
+import { settings } from "../services/settings.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [report, shopSettings] = await Promise.all([
+    reports.load(session.shop),
+    settings.getSettings(session.shop)
+  ]);
+
+  const assumptions = {
+    monthlyPageviews: shopSettings.monthlyPageviews,
+    imagesPerPageview: shopSettings.imagesPerPageview
+  };
+
+  return { ...report, assumptions, bandwidth: reports.bandwidth(report.totals, assumptions) };
+};
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    throw new Response("Method Not Allowed", { status: 405 });
+  }
+
+  try {
+    const { session } = await authenticate.admin(request);
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    console.log(`[Reports Action] Intent: ${intent}`);
+
+    if (intent === "save-assumptions") {
+      await settings.saveReportAssumptions(session.shop, {
+        monthlyPageviews: formData.get("monthlyPageviews"),
+        imagesPerPageview: formData.get("imagesPerPageview")
+      });
+      return Response.json({ status: "success", type: "assumptions" });
+    }
+
+    return Response.json({ status: "error", message: `Unknown intent: ${intent}` });
+  } catch (error) {
+    console.error("[Reports Action Error]", error);
+    return Response.json({ status: "error", message: error.message });
+  }
+};
+
+const TABS = [
+  { id: "day", content: "By day" },
+  { id: "productType", content: "By product type" },
+  { id: "vendor", content: "By vendor" }
+];
+
+function formatSize(kb) {
+  if (kb >= 1024 * 1024) return `${(kb / 1024 / 1024).toFixed(2)} GB`;
+  if (kb >= 1024) return `${(kb / 1024).toFixed(1)} MB`;
+  return `${Math.round(kb)} KB`;
+}
+
+// Cumulative KB saved per day as a plain SVG line; one point per day with optimizations.
+function CumulativeChart({ days }) {
+  const width = 600;
+  const height = 160;
+  const max = days[days.length - 1]?.cumulativeKb || 0;
+  if (days.length < 2 || max <= 0) return null;
+
+  const points = days.map((day, i) => {
+    const x = (i / (days.length - 1)) * width;
+    const y = height - (day.cumulativeKb / max) * height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return (
+    <BlockStack gap="100">
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%" height={height} preserveAspectRatio="none" role="img" aria-label="Cumulative savings over time">
+        <polygon points={`0,${height} ${points.join(" ")} ${width},${height}`} fill="rgba(0, 128, 96, 0.12)" />
+        <polyline points={points.join(" ")} fill="none" stroke="rgb(0, 128, 96)" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <InlineStack align="space-between">
+        <Text variant="bodyXs" tone="subdued">{days[0].key}</Text>
+        <Text variant="bodyXs" tone="subdued">{days[days.length - 1].key}</Text>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+// The byDay rows of reports.load
+CumulativeChart.propTypes = {
+  days: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    cumulativeKb: PropTypes.number.isRequired
+  })).isRequired
+};
+
+// The export route needs the session token, which App Bridge only adds to fetch(); a plain link would not carry it.
+async function downloadCsv(group) {
+  const res = await fetch(`/app/reports/export?group=${group}`);
+  if (!res.ok) throw new Error(`Export failed (HTTP ${res.status})`);
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `savings-by-${group}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function Reports() {
+  const { totals, byDay, byProductType, byVendor, assumptions, bandwidth } = useLoaderData();
+  const fetcher = useFetcher();
+  const isSaving = fetcher.state !== "idle";
+
+  const [tab, setTab] = useState(0);
+  const [draft, setDraft] = useState({
+    monthlyPageviews: String(assumptions.monthlyPageviews),
+    imagesPerPageview: String(assumptions.imagesPerPageview)
+  });
+  const [isExporting, setIsExporting] = useState(false);
+  const [errorBanner, setErrorBanner] = useState(null);
+  const [toastMessage, setToastMessage] = useState(null);
+
+  useEffect(() => {
+    if (fetcher.data?.status === "error") setErrorBanner(fetcher.data.message);
+    if (fetcher.data?.status === "success") {
+      setErrorBanner(null);
+      setToastMessage("Assumptions saved");
+    }
+  }, [fetcher.data]);
+
+  const group = TABS[tab].id;
+  const rows = { day: byDay, productType: byProductType, vendor: byVendor }[group];
+  // Newest day first in the table; the chart reads oldest first
+  const tableRows = (group === "day" ? [...rows].reverse() : rows).map(row => [
+    row.key,
+    row.images,
+    formatSize(row.originalKb),
+    formatSize(row.optimizedKb),
+    formatSize(row.savedKb),
+    ...(group === "day" ? [formatSize(row.cumulativeKb)] : [])
+  ]);
+  const headings = [TABS[tab].content.replace("By ", ""), "Images", "Original", "Optimized", "Saved", ...(group === "day" ? ["Cumulative"] : [])];
+
+  const exportCsv = async () => {
+    setIsExporting(true);
+    try {
+      await downloadCsv(group);
+    } catch (error) {
+      setErrorBanner(error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Frame>
+      <Page title="Savings reports" backAction={{ content: "Home", url: "/app" }}>
+        <Layout>
+          {errorBanner && (
+            <Layout.Section>
+              <Banner tone="critical" onDismiss={() => setErrorBanner(null)}>
+                <p>{errorBanner}</p>
+              </Banner>
+            </Layout.Section>
+          )}
+
+          <Layout.Section>
+            <InlineStack gap="400" wrap={false}>
+              <Card>
+                <BlockStack gap="100">
+                  <Text variant="bodySm" tone="subdued">Images optimized</Text>
+                  <Text variant="headingLg" as="p">{totals.images} / {totals.indexedImages}</Text>
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="100">
+                  <Text variant="bodySm" tone="subdued">Total saved</Text>
+                  <Text variant="headingLg" as="p">{formatSize(totals.savedKb)}</Text>
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="100">
+                  <Text variant="bodySm" tone="subdued">Estimated bandwidth saved / month</Text>
+                  <Text variant="headingLg" as="p">{formatSize(bandwidth.monthlySavedKb)}</Text>
+                </BlockStack>
+              </Card>
+            </InlineStack>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Cumulative savings</Text>
+                {byDay.length < 2 ? (
+                  <Text tone="subdued">The chart appears once images have been optimized on at least two days.</Text>
+                ) : (
+                  <CumulativeChart days={byDay} />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          <Layout.AnnotatedSection
+            title="Bandwidth estimate"
+            description="Monthly pageviews × images loaded per pageview × average KB saved per image. Browser and CDN caching are ignored, so treat it as an upper bound."
+          >
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack gap="400" wrap={false}>
+                  <TextField
+                    label="Monthly pageviews"
+                    type="number"
+                    min={0}
+                    value={draft.monthlyPageviews}
+                    onChange={(value) => setDraft(prev => ({ ...prev, monthlyPageviews: value }))}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Images per pageview"
+                    type="number"
+                    min={0}
+                    value={draft.imagesPerPageview}
+                    onChange={(value) => setDraft(prev => ({ ...prev, imagesPerPageview: value }))}
+                    autoComplete="off"
+                  />
+                </InlineStack>
+                <Text variant="bodySm" tone="subdued">
+                  Average saved per image: {bandwidth.avgSavedKb.toFixed(1)} KB across {totals.indexedImages} images
+                </Text>
+                <InlineStack align="end">
+                  <Button
+                    onClick={() => fetcher.submit({ intent: "save-assumptions", ...draft }, { method: "POST" })}
+                    loading={isSaving}
+                  >
+                    Save
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.Section>
+            <Card padding="0">
+              <Tabs tabs={TABS} selected={tab} onSelect={setTab}>
+                {rows.length === 0 ? (
+                  <EmptyState heading="No optimized images yet" image="">
+                    <p>Savings show up here once images have been optimized.</p>
+                  </EmptyState>
+                ) : (
+                  <BlockStack>
+                    <DataTable
+                      columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", ...(group === "day" ? ["numeric"] : [])]}
+                      headings={headings}
+                      rows={tableRows}
+                    />
+                    <InlineStack align="end">
+                      <div style={{ padding: "12px" }}>
+                        <Button onClick={exportCsv} loading={isExporting}>Export CSV</Button>
+                      </div>
+                    </InlineStack>
+                  </BlockStack>
+                )}
+              </Tabs>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage} onDismiss={() => setToastMessage(null)} />}
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,658 @@
+import { useState, useEffect, useCallback } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  BlockStack,
+  InlineStack,
+  Select,
+  TextField,
+  ChoiceList,
+  Checkbox,
+  Badge,
+  Banner,
+  Toast,
+  Frame,
+  ResourceList,
+  ResourceItem,
+  DataTable
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { settings, DEFAULT_PROFILE } from "../services/settings.server";
+import { exclusions } from "../services/exclusions.server";
+import { filenames } from "../services/filenames.server";
+import { derivatives } from "../services/derivatives.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shopSettings = await settings.getSettings(session.shop);
+  const profiles = await settings.listProfiles(session.shop);
+  const rules = await exclusions.list(session.shop);
+
+  return {
+    profiles,
+    activeProfileId: shopSettings.activeProfileId,
+    shopSettings: {
+      minSavingsPct: shopSettings.minSavingsPct,
+      minSavingsKb: shopSettings.minSavingsKb,
+      autoOptimize: shopSettings.autoOptimize
+    },
+    filenameTemplate: shopSettings.filenameTemplate,
+    filenameTokens: filenames.TOKENS.map(token => ({ token, label: filenames.TOKEN_LABELS[token] })),
+    derivativeSettings: {
+      ratios: shopSettings.derivativeRatios,
+      widths: shopSettings.derivativeWidths.join(", "),
+      crop: shopSettings.derivativeCrop
+    },
+    derivativeRatios: derivatives.RATIOS.map(ratio => ({ label: derivatives.RATIO_LABELS[ratio], value: ratio })),
+    cropStrategies: derivatives.CROP_STRATEGIES.map(strategy => ({ label: derivatives.CROP_LABELS[strategy], value: strategy })),
+    formats: settings.FORMATS,
+    defaults: DEFAULT_PROFILE,
+    rules: rules.map(rule => ({ id: rule.id, field: rule.field, description: exclusions.describe(rule), productCount: rule.productIds.length })),
+    ruleFields: exclusions.FIELDS.map(field => ({ label: exclusions.FIELD_LABELS[field], value: field }))
+  };
+};
+
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    throw new Response("Method Not Allowed", { status: 405 });
+  }
+
+  try {
+    const { admin, session } = await authenticate.admin(request);
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    console.log(`[Settings Action] Intent: ${intent}`);
+
+    if (intent === "save-profile") {
+      const profile = JSON.parse(formData.get("profile") || "{}");
+      const saved = await settings.saveProfile(session.shop, formData.get("id") || null, profile);
+      return Response.json({ status: "success", type: "save", profile: saved });
+    }
+
+    if (intent === "save-settings") {
+      const input = JSON.parse(formData.get("settings") || "{}");
+      await settings.saveSettings(session.shop, input);
+      return Response.json({ status: "success", type: "settings" });
+    }
+
+    if (intent === "delete-profile") {
+      await settings.deleteProfile(session.shop, formData.get("id"));
+      return Response.json({ status: "success", type: "delete" });
+    }
+
+    if (intent === "activate-profile") {
+      await settings.setActiveProfile(session.shop, formData.get("id"));
+      return Response.json({ status: "success", type: "activate" });
+    }
+
+    if (intent === "preview-filenames") {
+      const template = filenames.validateTemplate(formData.get("template"));
+      const samples = await filenames.preview(admin, session.shop, template);
+      return Response.json({ status: "success", type: "preview-filenames", samples });
+    }
+
+    if (intent === "save-filename-template") {
+      await settings.saveFilenameTemplate(session.shop, formData.get("template"));
+      return Response.json({ status: "success", type: "filename-template" });
+    }
+
+    if (intent === "save-derivatives") {
+      const data = derivatives.validateSettings(JSON.parse(formData.get("derivatives")));
+      await settings.saveDerivativeSettings(session.shop, data);
+      return Response.json({ status: "success", type: "derivatives" });
+    }
+
+    if (intent === "add-rule") {
+      await exclusions.create(admin, session.shop, { field: formData.get("field"), value: formData.get("value") });
+      return Response.json({ status: "success", type: "add-rule" });
+    }
+
+    if (intent === "delete-rule") {
+      await exclusions.remove(session.shop, formData.get("id"));
+      return Response.json({ status: "success", type: "delete-rule" });
+    }
+
+    return Response.json({ status: "error", message: `Unknown intent: ${intent}` });
+  } catch (error) {
+    console.error("[Settings Action Error]", error);
+    return Response.json({ status: "error", message: error.message });
+  }
+};
+
+const FORMAT_LABELS = { webp: "WebP", avif: "AVIF", jpeg: "JPEG" };
+
+const RULE_HINTS = {
+  tag: "Exact product tag, e.g. line-art",
+  vendor: "Exact vendor name",
+  productType: "Exact product type",
+  collection: "Collection handle, e.g. size-charts",
+  alt: "Use * as a wildcard, e.g. *size chart*",
+  imageId: "Media ID (numeric or full gid://)"
+};
+
+function toDraft(profile) {
+  return {
+    ...profile,
+    maxWidth: String(profile.maxWidth),
+    maxHeight: String(profile.maxHeight),
+    webpQuality: String(profile.webpQuality),
+    avifQuality: String(profile.avifQuality),
+    jpegQuality: String(profile.jpegQuality),
+    avifMinKb: String(profile.avifMinKb),
+    targetScore: String(profile.targetScore),
+    minQuality: String(profile.minQuality),
+    maxQuality: String(profile.maxQuality),
+    backgroundTolerance: String(profile.backgroundTolerance),
+    backgroundMargin: String(profile.backgroundMargin)
+  };
+}
+
+export default function Settings() {
+  const { profiles, activeProfileId, shopSettings, formats, defaults, rules, ruleFields, filenameTemplate, filenameTokens, derivativeSettings, derivativeRatios, cropStrategies } = useLoaderData();
+  const fetcher = useFetcher();
+  const isSaving = fetcher.state !== "idle";
+
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [generalDraft, setGeneralDraft] = useState({
+    minSavingsPct: String(shopSettings.minSavingsPct),
+    minSavingsKb: String(shopSettings.minSavingsKb),
+    autoOptimize: shopSettings.autoOptimize
+  });
+  const [ruleDraft, setRuleDraft] = useState({ field: "tag", value: "" });
+  const [templateDraft, setTemplateDraft] = useState(filenameTemplate);
+  const [filenameSamples, setFilenameSamples] = useState(null);
+  const [derivativeDraft, setDerivativeDraft] = useState(derivativeSettings);
+  const [errorBanner, setErrorBanner] = useState(null);
+  const [toastMessage, setToastMessage] = useState(null);
+
+  useEffect(() => {
+    if (fetcher.data?.status === "error") {
+      setErrorBanner(fetcher.data.message);
+    }
+    if (fetcher.data?.status === "success") {
+      setErrorBanner(null);
+      if (fetcher.data.type === "save") {
+        setDraft(null);
+        setEditingId(null);
+        setToastMessage("Profile saved");
+      }
+      if (fetcher.data.type === "delete") setToastMessage("Profile deleted");
+      if (fetcher.data.type === "activate") setToastMessage("Active profile updated");
+      if (fetcher.data.type === "settings") setToastMessage("Settings saved");
+      if (fetcher.data.type === "add-rule") {
+        setRuleDraft(prev => ({ ...prev, value: "" }));
+        setToastMessage("Exclusion rule added");
+      }
+      if (fetcher.data.type === "delete-rule") setToastMessage("Exclusion rule deleted");
+      if (fetcher.data.type === "preview-filenames") setFilenameSamples(fetcher.data.samples);
+      if (fetcher.data.type === "filename-template") setToastMessage("File name template saved");
+      if (fetcher.data.type === "derivatives") setToastMessage("Derivative settings saved");
+    }
+  }, [fetcher.data]);
+
+  const startEdit = useCallback((profile) => {
+    setEditingId(profile?.id || null);
+    setDraft(toDraft(profile || { ...defaults, name: "" }));
+  }, [defaults]);
+
+  const updateDraft = useCallback((field) => (value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  const saveGeneral = (next) => {
+    fetcher.submit({ intent: "save-settings", settings: JSON.stringify(next) }, { method: "POST" });
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "save-profile", id: editingId || "", profile: JSON.stringify(draft) },
+      { method: "POST" }
+    );
+  };
+
+  return (
+    <Frame>
+      <Page title="Settings" backAction={{ content: "Home", url: "/app" }}>
+        <Layout>
+          {errorBanner && (
+            <Layout.Section>
+              <Banner tone="critical" onDismiss={() => setErrorBanner(null)}>
+                <p>{errorBanner}</p>
+              </Banner>
+            </Layout.Section>
+          )}
+
+          <Layout.AnnotatedSection
+            title="Active profile"
+            description="Every optimization (single, bulk and automatic) uses the active profile."
+          >
+            <Card>
+              <Select
+                label="Profile"
+                options={profiles.map(p => ({ label: p.name, value: p.id }))}
+                value={activeProfileId || ""}
+                onChange={(id) => fetcher.submit({ intent: "activate-profile", id }, { method: "POST" })}
+                disabled={isSaving}
+              />
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title="Automatic optimization"
+            description="Optimize product images as soon as they are added or replaced, using the active profile and skip rules."
+          >
+            <Card>
+              <Checkbox
+                label="Optimize new product images automatically"
+                checked={generalDraft.autoOptimize}
+                disabled={isSaving}
+                onChange={(checked) => {
+                  const next = { ...generalDraft, autoOptimize: checked };
+                  setGeneralDraft(next);
+                  saveGeneral(next);
+                }}
+              />
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title="Skip rules"
+            description="When a re-encode saves less than either minimum, the image is marked Skipped and Shopify is left untouched."
+          >
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack gap="400" wrap={false}>
+                  <TextField
+                    label="Minimum savings (%)"
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={generalDraft.minSavingsPct}
+                    onChange={(value) => setGeneralDraft(prev => ({ ...prev, minSavingsPct: value }))}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Minimum savings (KB)"
+                    type="number"
+                    min={0}
+                    value={generalDraft.minSavingsKb}
+                    onChange={(value) => setGeneralDraft(prev => ({ ...prev, minSavingsKb: value }))}
+                    autoComplete="off"
+                  />
+                </InlineStack>
+                <InlineStack align="end">
+                  <Button
+                    onClick={() => saveGeneral(generalDraft)}
+                    loading={isSaving}
+                  >
+                    Save
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title="File names"
+            description="Optimized images are uploaded under a descriptive, SEO-friendly file name built from this template. Names are lowercased, accents and punctuation become hyphens, and duplicates get -2, -3, ... Restoring an image brings back its original file name."
+          >
+            <Card>
+              <BlockStack gap="400">
+                <TextField
+                  label="Template"
+                  value={templateDraft}
+                  onChange={(value) => { setTemplateDraft(value); setFilenameSamples(null); }}
+                  autoComplete="off"
+                  monospaced
+                  helpText="For example {handle}-{variant}-{position}. The file extension is added automatically."
+                />
+                <BlockStack gap="100">
+                  {filenameTokens.map(({ token, label }) => (
+                    <Text key={token} variant="bodySm" tone="subdued">
+                      <Text as="span" variant="bodySm" fontWeight="semibold">{`{${token}}`}</Text> {label}
+                    </Text>
+                  ))}
+                </BlockStack>
+                {filenameSamples && (
+                  filenameSamples.length === 0 ? (
+                    <Text tone="subdued">Scan the shop to preview file names.</Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={["text", "text", "text"]}
+                      headings={["Image", "Current", "New"]}
+                      rows={filenameSamples.map(s => [s.parentTitle, s.current, s.next])}
+                    />
+                  )
+                )}
+                <InlineStack gap="200" align="end">
+                  <Button
+                    onClick={() => fetcher.submit({ intent: "preview-filenames", template: templateDraft }, { method: "POST" })}
+                    disabled={isSaving}
+                  >
+                    Preview
+                  </Button>
+                  <Button
+                    variant="primary"
+                    onClick={() => fetcher.submit({ intent: "save-filename-template", template: templateDraft }, { method: "POST" })}
+                    disabled={templateDraft === filenameTemplate}
+                    loading={isSaving}
+                  >
+                    Save
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title="Responsive derivatives"
+            description="Extra crops of each product, collection and article image at several widths, for banners and theme sections. They are made from the original whenever an image is optimized, uploaded under Content > Files and listed in the image owner's image_optimizer.derivatives metafield."
+          >
+            <Card>
+              <BlockStack gap="400">
+                <ChoiceList
+                  title="Crops"
+                  allowMultiple
+                  choices={derivativeRatios}
+                  selected={derivativeDraft.ratios}
+                  onChange={(ratios) => setDerivativeDraft(prev => ({ ...prev, ratios }))}
+                />
+                <TextField
+                  label="Widths (px)"
+                  value={derivativeDraft.widths}
+                  onChange={(widths) => setDerivativeDraft(prev => ({ ...prev, widths }))}
+                  autoComplete="off"
+                  helpText="Comma-separated. Widths larger than the image are left out."
+                />
+                <Select
+                  label="Crop to"
+                  options={cropStrategies}
+                  value={derivativeDraft.crop}
+                  onChange={(crop) => setDerivativeDraft(prev => ({ ...prev, crop }))}
+                />
+                <InlineStack align="end">
+                  <Button
+                    onClick={() => fetcher.submit({ intent: "save-derivatives", derivatives: JSON.stringify(derivativeDraft) }, { method: "POST" })}
+                    loading={isSaving}
+                  >
+                    Save
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title="Optimization profiles"
+            description="Named presets for maximum dimensions, encoder quality, output formats and metadata."
+          >
+            <Card padding="0">
+              <ResourceList
+                resourceName={{ singular: "profile", plural: "profiles" }}
+                items={profiles}
+                renderItem={(profile) => (
+                  <ResourceItem id={profile.id} onClick={() => startEdit(profile)}>
+                    <InlineStack align="space-between" blockAlign="center">
+                      <BlockStack gap="050">
+                        <InlineStack gap="200">
+                          <Text fontWeight="bold">{profile.name}</Text>
+                          {profile.id === activeProfileId && <Badge tone="success">Active</Badge>}
+                        </InlineStack>
+                        <Text variant="bodySm" tone="subdued">
+                          {profile.maxWidth || "∞"}×{profile.maxHeight || "∞"}px · {profile.formats.map(f => FORMAT_LABELS[f]).join(", ")} · {profile.qualityMode === "perceptual"
+                            ? `SSIM ≥ ${profile.targetScore} (q${profile.minQuality}–${profile.maxQuality})`
+                            : `WebP ${profile.webpQuality} / AVIF ${profile.avifQuality} / JPEG ${profile.jpegQuality}`}
+                        </Text>
+                      </BlockStack>
+                      {profile.id !== activeProfileId && (
+                        <Button
+                          variant="plain"
+                          tone="critical"
+                          disabled={isSaving}
+                          onClick={() => fetcher.submit({ intent: "delete-profile", id: profile.id }, { method: "POST" })}
+                        >
+                          Delete
+                        </Button>
+                      )}
+                    </InlineStack>
+                  </ResourceItem>
+                )}
+              />
+            </Card>
+            {!draft && (
+              <InlineStack align="end">
+                <div style={{ paddingTop: "12px" }}>
+                  <Button onClick={() => startEdit(null)}>New profile</Button>
+                </div>
+              </InlineStack>
+            )}
+          </Layout.AnnotatedSection>
+
+          {draft && (
+            <Layout.AnnotatedSection
+              title={editingId ? `Edit "${profiles.find(p => p.id === editingId)?.name}"` : "New profile"}
+              description="Set a dimension to 0 for no limit. Images are never enlarged."
+            >
+              <Card>
+                <BlockStack gap="400">
+                  <TextField label="Name" value={draft.name} onChange={updateDraft("name")} autoComplete="off" />
+                  <InlineStack gap="400" wrap={false}>
+                    <TextField label="Max width (px)" type="number" value={draft.maxWidth} onChange={updateDraft("maxWidth")} autoComplete="off" />
+                    <TextField label="Max height (px)" type="number" value={draft.maxHeight} onChange={updateDraft("maxHeight")} autoComplete="off" />
+                  </InlineStack>
+                  <InlineStack gap="400" wrap={false}>
+                    <TextField label="WebP quality" type="number" min={1} max={100} value={draft.webpQuality} onChange={updateDraft("webpQuality")} autoComplete="off" />
+                    <TextField label="AVIF quality" type="number" min={1} max={100} value={draft.avifQuality} onChange={updateDraft("avifQuality")} autoComplete="off" />
+                    <TextField label="JPEG quality" type="number" min={1} max={100} value={draft.jpegQuality} onChange={updateDraft("jpegQuality")} autoComplete="off" />
+                  </InlineStack>
+                  <Select
+                    label="Quality mode"
+                    options={[
+                      { label: "Fixed quality", value: "fixed" },
+                      { label: "Perceptual target (SSIM)", value: "perceptual" }
+                    ]}
+                    value={draft.qualityMode}
+                    onChange={updateDraft("qualityMode")}
+                    helpText="Perceptual mode searches for the lowest quality that still looks like the original."
+                  />
+                  {draft.qualityMode === "perceptual" && (
+                    <InlineStack gap="400" wrap={false}>
+                      <TextField
+                        label="Target similarity (SSIM)"
+                        type="number"
+                        step={0.001}
+                        min={0.5}
+                        max={0.999}
+                        value={draft.targetScore}
+                        onChange={updateDraft("targetScore")}
+                        helpText="1.0 is identical. 0.98 is hard to tell apart."
+                        autoComplete="off"
+                      />
+                      <TextField label="Min quality" type="number" min={1} max={100} value={draft.minQuality} onChange={updateDraft("minQuality")} autoComplete="off" />
+                      <TextField label="Max quality" type="number" min={1} max={100} value={draft.maxQuality} onChange={updateDraft("maxQuality")} autoComplete="off" />
+                    </InlineStack>
+                  )}
+                  <ChoiceList
+                    title="Allowed output formats"
+                    allowMultiple
+                    choices={formats.map(f => ({ label: FORMAT_LABELS[f], value: f }))}
+                    selected={draft.formats}
+                    onChange={updateDraft("formats")}
+                  />
+                  <TextField
+                    label="Try AVIF only for originals larger than (KB)"
+                    type="number"
+                    value={draft.avifMinKb}
+                    onChange={updateDraft("avifMinKb")}
+                    helpText="The smallest allowed format wins. AVIF is slow to encode, so small images skip it."
+                    autoComplete="off"
+                  />
+                  <InlineStack gap="400" wrap={false}>
+                    <Select
+                      label="Animated GIF and WebP"
+                      options={[
+                        { label: "Convert to animated WebP", value: "animated-webp" },
+                        { label: "Leave as-is", value: "keep" }
+                      ]}
+                      value={draft.animatedPolicy}
+                      onChange={updateDraft("animatedPolicy")}
+                    />
+                    <Select
+                      label="Transparent PNG and GIF"
+                      options={[
+                        { label: "Lossless WebP", value: "lossless-webp" },
+                        { label: "Palette PNG (256 colors)", value: "palette-png" },
+                        { label: "Lossy, like photos", value: "lossy" }
+                      ]}
+                      value={draft.alphaPolicy}
+                      onChange={updateDraft("alphaPolicy")}
+                    />
+                  </InlineStack>
+                  <Text variant="bodySm" tone="subdued">SVGs are always left as-is. CMYK images are converted to sRGB.</Text>
+                  <InlineStack gap="400" wrap={false}>
+                    <Select
+                      label="Metadata"
+                      options={[
+                        { label: "Strip all", value: "strip" },
+                        { label: "Keep copyright (artist, rights, credit)", value: "copyright" },
+                        { label: "Keep all (EXIF, XMP, IPTC)", value: "all" }
+                      ]}
+                      value={draft.metadataPolicy}
+                      onChange={updateDraft("metadataPolicy")}
+                    />
+                    <Select
+                      label="Color profile"
+                      options={[
+                        { label: "Convert to sRGB, embed sRGB", value: "srgb" },
+                        { label: "Convert to sRGB, no profile", value: "srgb-untagged" },
+                        { label: "Keep source profile", value: "keep" }
+                      ]}
+                      value={draft.iccMode}
+                      onChange={updateDraft("iccMode")}
+                      helpText="Converting renders Display P3 and Adobe RGB photos correctly in every browser. Keeping the profile preserves wide gamut where supported."
+                    />
+                  </InlineStack>
+                  <InlineStack gap="400" wrap={false}>
+                    <Select
+                      label="Background"
+                      options={[
+                        { label: "Leave as-is", value: "off" },
+                        { label: "Replace with pure white", value: "white" },
+                        { label: "Replace with transparency", value: "transparent" }
+                      ]}
+                      value={draft.backgroundMode}
+                      onChange={updateDraft("backgroundMode")}
+                      helpText="For product shots on a near-uniform backdrop. The product is trimmed and re-padded to an even margin; busy backgrounds are left alone."
+                    />
+                    {draft.backgroundMode !== "off" && (
+                      <>
+                        <TextField
+                          label="Color tolerance"
+                          type="number"
+                          min={1}
+                          max={100}
+                          value={draft.backgroundTolerance}
+                          onChange={updateDraft("backgroundTolerance")}
+                          helpText="How far a pixel may be from the backdrop color and still count as background"
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Margin"
+                          type="number"
+                          min={0}
+                          max={50}
+                          suffix="%"
+                          value={draft.backgroundMargin}
+                          onChange={updateDraft("backgroundMargin")}
+                          helpText="Space around the product, relative to its longer side"
+                          autoComplete="off"
+                        />
+                      </>
+                    )}
+                  </InlineStack>
+                  <InlineStack gap="200" align="end">
+                    <Button onClick={() => { setDraft(null); setEditingId(null); }} disabled={isSaving}>Cancel</Button>
+                    <Button variant="primary" onClick={handleSave} loading={isSaving}>Save profile</Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </Layout.AnnotatedSection>
+          )}
+
+          <Layout.AnnotatedSection
+            title="Exclusion rules"
+            description="Images matching any rule are left out of bulk and automatic optimization, e.g. line art, size charts or images with text. They can still be optimized one at a time."
+          >
+            <BlockStack gap="300">
+              {rules.length > 0 && (
+                <Card padding="0">
+                  <ResourceList
+                    resourceName={{ singular: "rule", plural: "rules" }}
+                    items={rules}
+                    renderItem={(rule) => (
+                      <ResourceItem id={rule.id}>
+                        <InlineStack align="space-between" blockAlign="center">
+                          <BlockStack gap="050">
+                            <Text>{rule.description}</Text>
+                            {rule.field === "collection" && (
+                              <Text variant="bodySm" tone="subdued">{rule.productCount} products</Text>
+                            )}
+                          </BlockStack>
+                          <Button
+                            variant="plain"
+                            tone="critical"
+                            disabled={isSaving}
+                            onClick={() => fetcher.submit({ intent: "delete-rule", id: rule.id }, { method: "POST" })}
+                          >
+                            Delete
+                          </Button>
+                        </InlineStack>
+                      </ResourceItem>
+                    )}
+                  />
+                </Card>
+              )}
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack gap="400" wrap={false} blockAlign="end">
+                    <Select
+                      label="Match on"
+                      options={ruleFields}
+                      value={ruleDraft.field}
+                      onChange={(field) => setRuleDraft(prev => ({ ...prev, field }))}
+                    />
+                    <div style={{ flexGrow: 1 }}>
+                      <TextField
+                        label="Value"
+                        value={ruleDraft.value}
+                        onChange={(value) => setRuleDraft(prev => ({ ...prev, value }))}
+                        placeholder={RULE_HINTS[ruleDraft.field]}
+                        autoComplete="off"
+                      />
+                    </div>
+                  </InlineStack>
+                  <InlineStack align="end">
+                    <Button
+                      onClick={() => fetcher.submit({ intent: "add-rule", ...ruleDraft }, { method: "POST" })}
+                      disabled={!ruleDraft.value.trim()}
+                      loading={isSaving}
+                    >
+                      Add rule
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.AnnotatedSection>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage} onDismiss={() => setToastMessage(null)} />}
+      </Page>
+    </Frame>
+  );
+}
@@ -1,16 +1,14 @@
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { purge } from "../services/purge.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, topic, webhookId } = await authenticate.webhook(request);
 
   console.log(`Received ${topic} webhook for ${shop}`);
 
   // Webhook requests can trigger multiple times and after an app has already been uninstalled.
-  // If this webhook already ran, the session may have been deleted previously.
-  if (session) {
-    await db.session.deleteMany({ where: { shop } });
-  }
+  // The purge (sessions included) is idempotent, and a repeated delivery only finds its audit row.
+  await purge.purgeShop(shop, { topic, webhookId });
 
   return new Response();
 };
@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { autoOptimizer } from "../services/auto.server";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // No offline session means the app was uninstalled; there is nothing to optimize with.
+  if (session) {
+    await autoOptimizer.handleProductWebhook(shop, payload);
+  }
+
+  return new Response();
+};
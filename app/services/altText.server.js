@@ -0,0 +1,240 @@
+import { randomUUID } from "node:crypto";
+import prisma from "../db.server";
+import { media } from "./media.server";
+import { filenames } from "./filenames.server";
+import { imageIndex } from "./imageIndex.server";
+
+const TOKEN_LABELS = {
+    title: "Product, collection or article title",
+    vendor: "Product vendor",
+    product_type: "Product type",
+    variant: "Option values shared by the variants using the image (e.g. Red)",
+    position: "Image position within the product (1, 2, ...)"
+};
+
+// Shopify's limit for image alt text
+const MAX_LENGTH = 512;
+// Product media and files are updated in batches of this size
+const FILE_BATCH = 25;
+
+// A token with the separator or connecting word before it: " - {variant}", " by {vendor}"
+const TOKEN_WITH_LEAD = /(\s*(?:\b(?:by|in|for|with|from|of)\b|[-–—|,·:/])?\s*)\{([a-z_]+)\}/g;
+// Separators left at either end, e.g. by a leading empty token in "{variant} - {title}"
+const DANGLING = /^[\s\-–—|,·:/]+|[\s\-–—|,·:/]+$/g;
+
+// Alt-text audit and editor. Suggestions come from templates over the same product data the
+// file name templates use (no image recognition). Every write is stored as an AltTextChange
+// so a whole save can be undone.
+export const altText = {
+    PAGE_SIZE: 50,
+    FILTERS: ["missing", "duplicate", "all"],
+    TOKENS: Object.keys(TOKEN_LABELS),
+    TOKEN_LABELS,
+    MAX_LENGTH,
+
+    validateTemplate(input) {
+        const template = String(input || "").trim();
+        if (!template) throw new Error("The alt text template cannot be empty");
+        const unknown = filenames.tokensIn(template).filter(t => !this.TOKENS.includes(t));
+        if (unknown.length > 0) throw new Error(`Unknown token: {${unknown.join("}, {")}}`);
+        return template;
+    },
+
+    // Alt texts used by more than one image in the shop
+    async duplicateValues(shop) {
+        const groups = await prisma.imageIndex.groupBy({
+            by: ["alt"],
+            where: { shop, alt: { not: null }, NOT: { alt: "" } },
+            _count: { _all: true },
+            having: { alt: { _count: { gt: 1 } } }
+        });
+        return groups.map(g => g.alt);
+    },
+
+    whereFor(shop, filter, duplicates) {
+        if (filter === "missing") return { shop, OR: [{ alt: null }, { alt: "" }] };
+        if (filter === "duplicate") return { shop, alt: { in: duplicates } };
+        return { shop };
+    },
+
+    async audit(shop, { filter = "missing", page = 1 } = {}) {
+        const duplicates = await this.duplicateValues(shop);
+        const where = this.whereFor(shop, filter, duplicates);
+
+        const [rows, total, missing, duplicate] = await Promise.all([
+            prisma.imageIndex.findMany({
+                where,
+                // Duplicates sort together so the repeated text is easy to spot
+                orderBy: filter === "duplicate" ? [{ alt: "asc" }, { parentTitle: "asc" }] : [{ parentTitle: "asc" }, { id: "asc" }],
+                skip: (page - 1) * this.PAGE_SIZE,
+                take: this.PAGE_SIZE
+            }),
+            prisma.imageIndex.count({ where }),
+            prisma.imageIndex.count({ where: this.whereFor(shop, "missing") }),
+            prisma.imageIndex.count({ where: this.whereFor(shop, "duplicate", duplicates) })
+        ]);
+
+        return {
+            items: rows.map(row => imageIndex.toItem(row)),
+            total,
+            page,
+            hasNext: page * this.PAGE_SIZE < total,
+            counts: { missing, duplicate }
+        };
+    },
+
+    render(template, values) {
+        return template
+            // An empty token takes its lead with it, so "{title} by {vendor}" never ends in "by"
+            .replace(TOKEN_WITH_LEAD, (_, lead, token) => (values[token] ? `${lead}${values[token]}` : ""))
+            .replace(/\(\s*\)/g, "")
+            .replace(/\s+/g, " ")
+            .replace(DANGLING, "")
+            .slice(0, MAX_LENGTH);
+    },
+
+    // Suggested alt text per image; nothing is written
+    async generate(admin, shop, ids, template) {
+        const rows = await prisma.imageIndex.findMany({ where: { shop, shopifyImageId: { in: ids } } });
+        const suggestions = [];
+        for (const row of rows) {
+            const item = imageIndex.toItem(row);
+            const values = await filenames.values(admin, item, template);
+            suggestions.push({ id: item.id, alt: this.render(template, values) });
+        }
+        return suggestions;
+    },
+
+    // Writes alt text to Shopify. Returns the IDs written and the ones that failed, with why.
+    async write(admin, items) {
+        const written = [];
+        const failed = [];
+
+        const files = items.filter(i => i.type === "Product" || i.type === "File");
+        for (let i = 0; i < files.length; i += FILE_BATCH) {
+            const batch = files.slice(i, i + FILE_BATCH);
+            try {
+                await media.updateFileAlts(admin, batch.map(item => ({ id: item.id, alt: item.alt })));
+                written.push(...batch.map(item => item.id));
+            } catch (error) {
+                failed.push(...batch.map(item => ({ id: item.id, message: error.message })));
+            }
+        }
+
+        for (const item of items.filter(i => i.type === "Collection" || i.type === "Article")) {
+            try {
+                if (item.type === "Collection") {
+                    await media.updateCollectionImageAlt(admin, item.parentId, item.alt);
+                } else {
+                    await media.updateArticleImageAlt(admin, item.parentId, item.alt);
+                }
+                written.push(item.id);
+            } catch (error) {
+                failed.push({ id: item.id, message: error.message });
+            }
+        }
+
+        return { written, failed };
+    },
+
+    // `changes` is [{ id, alt }]. Unchanged values are ignored; the rest share one undo batch.
+    async apply(admin, shop, changes, context = {}) {
+        const rows = await prisma.imageIndex.findMany({
+            where: { shop, shopifyImageId: { in: changes.map(c => c.id) } }
+        });
+        const byId = new Map(rows.map(row => [row.shopifyImageId, row]));
+
+        const items = [];
+        for (const change of changes) {
+            const row = byId.get(change.id);
+            const alt = String(change.alt ?? "").trim();
+            if (!row || (row.alt || "") === alt) continue;
+            if (alt.length > MAX_LENGTH) {
+                throw new Error(`Alt text must be ${MAX_LENGTH} characters or fewer`);
+            }
+            items.push({ id: row.shopifyImageId, type: row.resourceType, parentId: row.parentId, alt, previousAlt: row.alt });
+        }
+        if (items.length === 0) return { batchId: null, count: 0, failed: [] };
+
+        const { written, failed } = await this.write(admin, items);
+        const batchId = randomUUID();
+        await this.recordWrites(shop, batchId, items.filter(i => written.includes(i.id)), context);
+
+        console.log(`[AltText] Wrote ${written.length} alt texts (${failed.length} failed), batch ${batchId}`);
+        return { batchId, count: written.length, failed };
+    },
+
+    async recordWrites(shop, batchId, items, context) {
+        if (items.length === 0) return;
+        await prisma.altTextChange.createMany({
+            data: items.map(item => ({
+                shop,
+                batchId,
+                shopifyImageId: item.id,
+                resourceType: item.type,
+                parentId: item.parentId,
+                previousAlt: item.previousAlt,
+                newAlt: item.alt,
+                actor: context.actor || null,
+                actorId: context.actorId || null
+            }))
+        });
+        for (const item of items) {
+            await prisma.imageIndex.updateMany({
+                where: { shop, shopifyImageId: item.id },
+                data: { alt: item.alt || null }
+            });
+        }
+    },
+
+    // Puts back the alt text each image had before the batch
+    async undo(admin, shop, batchId) {
+        const changes = await prisma.altTextChange.findMany({ where: { shop, batchId, undoneAt: null } });
+        if (changes.length === 0) {
+            throw new Error("Nothing to undo for that change");
+        }
+
+        const items = changes.map(c => ({ id: c.shopifyImageId, type: c.resourceType, parentId: c.parentId, alt: c.previousAlt || "" }));
+        const { written, failed } = await this.write(admin, items);
+
+        await prisma.altTextChange.updateMany({
+            where: { shop, batchId, shopifyImageId: { in: written } },
+            data: { undoneAt: new Date() }
+        });
+        for (const item of items.filter(i => written.includes(i.id))) {
+            await prisma.imageIndex.updateMany({
+                where: { shop, shopifyImageId: item.id },
+                data: { alt: item.alt || null }
+            });
+        }
+
+        console.log(`[AltText] Undid ${written.length} alt texts from batch ${batchId}`);
+        return { count: written.length, failed };
+    },
+
+    // The latest saves, newest first, with how many of their writes are still in place
+    async recentBatches(shop, limit = 10) {
+        const latest = await prisma.altTextChange.groupBy({
+            by: ["batchId"],
+            where: { shop },
+            _max: { createdAt: true },
+            orderBy: { _max: { createdAt: "desc" } },
+            take: limit
+        });
+        const rows = await prisma.altTextChange.findMany({
+            where: { shop, batchId: { in: latest.map(b => b.batchId) } },
+            select: { batchId: true, actor: true, createdAt: true, undoneAt: true }
+        });
+
+        return latest.map(({ batchId }) => {
+            const changes = rows.filter(r => r.batchId === batchId);
+            return {
+                batchId,
+                actor: changes[0]?.actor || null,
+                createdAt: changes[0]?.createdAt,
+                count: changes.length,
+                active: changes.filter(r => !r.undoneAt).length
+            };
+        });
+    }
+};
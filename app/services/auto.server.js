@@ -0,0 +1,100 @@
+import prisma from "../db.server";
+import { settings } from "./settings.server";
+import { jobs } from "./jobs.server";
+import { optimizer } from "./optimizer.server";
+import { imageIndex } from "./imageIndex.server";
+import { exclusions } from "./exclusions.server";
+
+// An upload mark older than this belongs to an upload that failed before clearing it
+const UPLOAD_MARK_MS = 10 * 60 * 1000;
+
+// Queues product images from products/create and products/update webhooks.
+export const autoOptimizer = {
+    // Product webhook payloads list media in REST shape; only images with a processed preview can be downloaded.
+    imagesFromPayload(payload) {
+        const productId = payload.admin_graphql_api_id;
+        return (payload.media || [])
+            .filter(m => m.media_content_type === "IMAGE" && m.admin_graphql_api_id && m.preview_image?.src)
+            .map(m => ({
+                id: m.admin_graphql_api_id,
+                url: m.preview_image.src,
+                parentId: productId,
+                parentTitle: payload.title,
+                type: "Product",
+                width: m.preview_image.width,
+                height: m.preview_image.height,
+                alt: m.alt,
+                productType: payload.product_type,
+                vendor: payload.vendor,
+                // REST payloads send tags as one comma-separated string
+                tags: String(payload.tags || "").split(",").map(t => t.trim()).filter(Boolean)
+            }));
+    },
+
+    // Our own fileUpdate triggers products/update too. An image is only queued when its URL is one
+    // we have not produced or already evaluated, no upload of ours is in flight for it, and no job is
+    // about to process it. Images never evaluated are only queued when this webhook added or replaced
+    // them, so editing a product does not re-queue all of its images.
+    async selectNewImages(shop, images) {
+        if (images.length === 0) return [];
+        const ids = images.map(i => i.id);
+
+        const records = await prisma.imageRecord.findMany({
+            where: { shop, shopifyImageId: { in: ids } },
+            select: { shopifyImageId: true, status: true, originalUrl: true, optimizedUrl: true, liveUrl: true, uploadStartedAt: true }
+        });
+        const recordMap = new Map(records.map(r => [r.shopifyImageId, r]));
+
+        const indexed = await prisma.imageIndex.findMany({
+            where: { shop, shopifyImageId: { in: ids } },
+            select: { shopifyImageId: true, url: true }
+        });
+        const indexMap = new Map(indexed.map(i => [i.shopifyImageId, optimizer.stripQuery(i.url)]));
+
+        const queued = await prisma.jobItem.findMany({
+            where: {
+                imageId: { in: ids },
+                status: { in: ["pending", "processing"] },
+                job: { shop, status: { in: jobs.ACTIVE_STATUSES } }
+            },
+            select: { imageId: true }
+        });
+        const queuedIds = new Set(queued.map(q => q.imageId));
+
+        return images.filter(img => {
+            if (queuedIds.has(img.id)) return false;
+
+            const record = recordMap.get(img.id);
+            const url = optimizer.stripQuery(img.url);
+            if (record) {
+                if (record.uploadStartedAt && Date.now() - record.uploadStartedAt.getTime() < UPLOAD_MARK_MS) return false;
+                // Bytes we put back ourselves by a restore or rollback
+                if (record.liveUrl && url === optimizer.stripQuery(record.liveUrl)) return false;
+                // Without an optimized URL our upload is still processing (see optimizer.settleUploads)
+                if (record.status === "optimized") return Boolean(record.optimizedUrl) && url !== optimizer.stripQuery(record.optimizedUrl);
+                if (record.status === "skipped") return url !== optimizer.stripQuery(record.originalUrl);
+            }
+            return indexMap.get(img.id) !== url;
+        });
+    },
+
+    async handleProductWebhook(shop, payload) {
+        const incoming = this.imagesFromPayload(payload);
+        await optimizer.settleUploads(shop, incoming);
+        const images = await this.selectNewImages(shop, incoming);
+
+        // New or replaced images show up on the dashboard without waiting for a rescan
+        await imageIndex.upsertItems(shop, images);
+
+        const shopSettings = await settings.getSettings(shop);
+        if (!shopSettings.autoOptimize) return null;
+
+        // Excluded images are indexed but never queued
+        const isExcluded = await exclusions.matcher(shop);
+        const queue = images.filter(img => !isExcluded(img));
+        if (queue.length === 0) return null;
+
+        console.log(`[Auto] Queueing ${queue.length} image(s) from ${payload.admin_graphql_api_id}`);
+        return jobs.createJob(shop, "auto", queue);
+    }
+};
@@ -0,0 +1,201 @@
+import sharp from "sharp";
+
+const MODE_LABELS = {
+    off: "Leave as-is",
+    white: "Pure white",
+    transparent: "Transparent"
+};
+
+// Share of the border that has to match the background color before anything is replaced.
+// Lifestyle shots and busy scenes fall below it and are left alone.
+const MIN_BORDER_MATCH = 0.8;
+// Pixels this transparent already count as background
+const CLEAR_ALPHA = 16;
+
+// Solid-background normalization for product shots. The background is the region connected to the
+// image border whose color stays within `backgroundTolerance` of the border's median color; it is
+// replaced with white or transparency, and the product is trimmed and re-padded to an even margin.
+export const backgrounds = {
+    MODES: Object.keys(MODE_LABELS),
+    MODE_LABELS,
+
+    // Median color of the opaque border pixels, and the share of the border within `tolerance` of it
+    borderColor(data, width, height, tolerance) {
+        const border = [];
+        const push = (x, y) => border.push((y * width + x) * 4);
+        for (let x = 0; x < width; x++) {
+            push(x, 0);
+            push(x, height - 1);
+        }
+        for (let y = 1; y < height - 1; y++) {
+            push(0, y);
+            push(width - 1, y);
+        }
+
+        const opaque = border.filter(i => data[i + 3] >= CLEAR_ALPHA);
+        const median = (channel) => {
+            const values = opaque.map(i => data[i + channel]).sort((a, b) => a - b);
+            return values[Math.floor(values.length / 2)];
+        };
+        const color = opaque.length > 0 ? [median(0), median(1), median(2)] : [255, 255, 255];
+
+        const limit = tolerance * tolerance;
+        const matching = border.filter(i => data[i + 3] < CLEAR_ALPHA || this.distanceSq(data, i, color) <= limit).length;
+        return { color, match: matching / border.length };
+    },
+
+    distanceSq(data, i, color) {
+        const dr = data[i] - color[0];
+        const dg = data[i + 1] - color[1];
+        const db = data[i + 2] - color[2];
+        return dr * dr + dg * dg + db * db;
+    },
+
+    // 4-connected flood fill from every matching border pixel. Returns a mask with 1 for background.
+    floodFill(data, width, height, color, tolerance) {
+        const limit = tolerance * tolerance;
+        const mask = new Uint8Array(width * height);
+        const stack = new Int32Array(width * height);
+        let top = 0;
+
+        const visit = (p) => {
+            if (mask[p]) return;
+            const i = p * 4;
+            if (data[i + 3] >= CLEAR_ALPHA && this.distanceSq(data, i, color) > limit) return;
+            mask[p] = 1;
+            stack[top++] = p;
+        };
+
+        for (let x = 0; x < width; x++) {
+            visit(x);
+            visit((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            visit(y * width);
+            visit(y * width + width - 1);
+        }
+
+        while (top > 0) {
+            const p = stack[--top];
+            const x = p % width;
+            if (x > 0) visit(p - 1);
+            if (x < width - 1) visit(p + 1);
+            if (p >= width) visit(p - width);
+            if (p < width * (height - 1)) visit(p + width);
+        }
+        return mask;
+    },
+
+    // Smallest box holding every non-background pixel, or null when nothing is left
+    boundingBox(mask, width, height) {
+        let left = width;
+        let right = -1;
+        let top = height;
+        let bottom = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (mask[y * width + x]) continue;
+                if (x < left) left = x;
+                if (x > right) right = x;
+                if (y < top) top = y;
+                if (y > bottom) bottom = y;
+            }
+        }
+        return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1 };
+    },
+
+    // Replaces masked pixels in place. Subject pixels touching the background and only just outside
+    // the tolerance are the anti-aliased edge; they are blended toward the new background.
+    paint(data, mask, width, height, color, tolerance, mode) {
+        const limit = tolerance * tolerance;
+        const edge = 4 * limit;
+
+        for (let p = 0; p < width * height; p++) {
+            const i = p * 4;
+            if (mask[p]) {
+                if (mode === "white") {
+                    data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 255;
+                } else {
+                    data[i + 3] = 0;
+                }
+                continue;
+            }
+
+            const x = p % width;
+            const touches = (x > 0 && mask[p - 1]) || (x < width - 1 && mask[p + 1]) ||
+                (p >= width && mask[p - width]) || (p < width * (height - 1) && mask[p + width]);
+            const d = touches ? this.distanceSq(data, i, color) : edge;
+            if (d >= edge) continue;
+
+            // 0 at the tolerance, 1 at twice the tolerance
+            const keep = (Math.sqrt(d) - tolerance) / tolerance;
+            if (mode === "white") {
+                for (let c = 0; c < 3; c++) data[i + c] = Math.round(data[i + c] * keep + 255 * (1 - keep));
+            } else {
+                data[i + 3] = Math.round(data[i + 3] * keep);
+            }
+        }
+    },
+
+    // Returns { buffer, info } with the normalized image as a lossless PNG (the encoder takes it from
+    // there), or null when the profile has it off or no near-uniform background was found.
+    // `info.frame` is the window of the source the result shows, in fractions of the source; the
+    // margin can reach past its edges, so x and y may be negative and width and height above 1.
+    async normalize(buffer, profile) {
+        const mode = profile.backgroundMode;
+        if (!mode || mode === "off") return null;
+        const tolerance = profile.backgroundTolerance;
+
+        // Raw pixels in sRGB, as displayed (EXIF rotation applied)
+        const { data, info } = await sharp(buffer)
+            .rotate()
+            .toColourspace("srgb")
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const { width, height } = info;
+
+        const background = this.borderColor(data, width, height, tolerance);
+        if (background.match < MIN_BORDER_MATCH) {
+            console.log(`[Background] Border is not uniform (${Math.round(background.match * 100)}% match); left as-is`);
+            return null;
+        }
+
+        const mask = this.floodFill(data, width, height, background.color, tolerance);
+        const box = this.boundingBox(mask, width, height);
+        if (!box) return null;
+
+        this.paint(data, mask, width, height, background.color, tolerance, mode);
+        const replaced = mask.reduce((sum, v) => sum + v, 0);
+
+        // The same margin on every side, relative to the product's longer edge
+        const margin = Math.round(Math.max(box.width, box.height) * profile.backgroundMargin / 100);
+        const fill = mode === "white" ? { r: 255, g: 255, b: 255, alpha: 1 } : { r: 0, g: 0, b: 0, alpha: 0 };
+        let instance = sharp(data, { raw: { width, height, channels: 4 } })
+            .extract(box)
+            .extend({ top: margin, bottom: margin, left: margin, right: margin, background: fill });
+        if (mode === "white") instance = instance.removeAlpha();
+
+        const output = await instance.png({ compressionLevel: 1 }).toBuffer();
+        const result = {
+            mode,
+            color: `#${background.color.map(c => c.toString(16).padStart(2, "0")).join("")}`,
+            replacedPct: Math.round((replaced / (width * height)) * 1000) / 10,
+            width: box.width + 2 * margin,
+            height: box.height + 2 * margin,
+            frame: {
+                x: (box.left - margin) / width,
+                y: (box.top - margin) / height,
+                width: (box.width + 2 * margin) / width,
+                height: (box.height + 2 * margin) / height
+            }
+        };
+        console.log(`[Background] Replaced ${result.color} (${result.replacedPct}% of the image) with ${mode}; ${width}x${height} -> ${result.width}x${result.height}`);
+        return { buffer: output, info: result };
+    },
+
+    describe(info) {
+        if (!info?.mode) return null;
+        return `Background: ${info.color ? `${info.color} → ` : ""}${MODE_LABELS[info.mode].toLowerCase()}${info.replacedPct != null ? ` (${info.replacedPct}% replaced)` : ""}`;
+    }
+};
@@ -0,0 +1,183 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command
+} from "@aws-sdk/client-s3";
+
+// Every backend implements: put(key, buffer, meta), get(key) -> Buffer, delete(key),
+// and deletePrefix(prefix) -> number of backups removed under `prefix/`.
+
+export function createFilesystemStore(rootDir) {
+    const resolve = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid backup key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: "filesystem",
+
+        async put(key, buffer) {
+            const filePath = resolve(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            // Write then rename so a crash never leaves a truncated backup behind
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, buffer);
+            await fs.rename(tmpPath, filePath);
+        },
+
+        async get(key) {
+            return fs.readFile(resolve(key));
+        },
+
+        async delete(key) {
+            await fs.rm(resolve(key), { force: true });
+        },
+
+        async deletePrefix(prefix) {
+            const dirPath = resolve(prefix);
+            const entries = await fs.readdir(dirPath).catch((err) => {
+                if (err.code === "ENOENT") return [];
+                throw err;
+            });
+            await fs.rm(dirPath, { recursive: true, force: true });
+            return entries.length;
+        }
+    };
+}
+
+// Works with AWS S3 and S3-compatible servers (MinIO, R2, a local stand-in) via `endpoint`.
+export function createS3Store({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    if (!bucket) {
+        throw new Error("S3 backup store requires a bucket");
+    }
+
+    const client = new S3Client({
+        region: region || "us-east-1",
+        endpoint: endpoint || undefined,
+        forcePathStyle: Boolean(forcePathStyle),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: "s3",
+
+        async put(key, buffer, meta = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: meta.contentType || "application/octet-stream",
+                Metadata: meta.checksum ? { sha256: meta.checksum } : undefined
+            }));
+        },
+
+        async get(key) {
+            const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await res.Body.transformToByteArray());
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        async deletePrefix(prefix) {
+            let deleted = 0;
+            let token;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: `${prefix}/`,
+                    ContinuationToken: token
+                }));
+                const objects = (page.Contents || []).map(o => ({ Key: o.Key }));
+                if (objects.length > 0) {
+                    await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: objects, Quiet: true } }));
+                    deleted += objects.length;
+                }
+                token = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (token);
+            return deleted;
+        }
+    };
+}
+
+function createStoreFromEnv(env = process.env) {
+    if (env.BACKUP_STORE === "s3") {
+        return createS3Store({
+            bucket: env.BACKUP_S3_BUCKET,
+            region: env.BACKUP_S3_REGION,
+            endpoint: env.BACKUP_S3_ENDPOINT,
+            accessKeyId: env.BACKUP_S3_ACCESS_KEY_ID,
+            secretAccessKey: env.BACKUP_S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.BACKUP_S3_FORCE_PATH_STYLE === "true"
+        });
+    }
+    return createFilesystemStore(env.BACKUP_DIR || path.join(process.cwd(), "storage", "backups"));
+}
+
+export const backups = {
+    store: null,
+
+    getStore() {
+        if (!this.store) {
+            this.store = createStoreFromEnv();
+            console.log(`[Backup] Using ${this.store.name} store`);
+        }
+        return this.store;
+    },
+
+    // Swap the backend, e.g. to point at a local S3 stand-in.
+    setStore(store) {
+        this.store = store;
+    },
+
+    checksum(buffer) {
+        return createHash("sha256").update(buffer).digest("hex");
+    },
+
+    // Content-addressed per shop, so re-backing up the same original is a no-op overwrite.
+    keyFor(shop, imageId, checksum) {
+        const safeId = String(imageId).split("/").pop().replace(/[^a-zA-Z0-9_-]/g, "_");
+        return `${this.prefixFor(shop)}/${safeId}-${checksum}`;
+    },
+
+    prefixFor(shop) {
+        return shop.replace(/[^a-zA-Z0-9.-]/g, "_");
+    },
+
+    async save(shop, imageId, buffer, { contentType } = {}) {
+        const checksum = this.checksum(buffer);
+        const key = this.keyFor(shop, imageId, checksum);
+        await this.getStore().put(key, buffer, { contentType, checksum });
+        console.log(`[Backup] Stored ${key} (${buffer.length} bytes)`);
+        return { key, checksum, bytes: buffer.length, contentType: contentType || null };
+    },
+
+    async load(key, expectedChecksum) {
+        const buffer = await this.getStore().get(key);
+        if (expectedChecksum && this.checksum(buffer) !== expectedChecksum) {
+            throw new Error(`Backup checksum mismatch for ${key}`);
+        }
+        return buffer;
+    },
+
+    async remove(key) {
+        await this.getStore().delete(key);
+    },
+
+    // Deletes every backup stored for the shop; returns how many were removed.
+    async removeShop(shop) {
+        const removed = await this.getStore().deletePrefix(this.prefixFor(shop));
+        console.log(`[Backup] Removed ${removed} backups for ${shop}`);
+        return removed;
+    }
+};
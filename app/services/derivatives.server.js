@@ -0,0 +1,253 @@
+import sharp from "sharp";
+import prisma from "../db.server";
+import { media } from "./media.server";
+import { backups } from "./backup.server";
+import { requests } from "./request.server";
+import { settings } from "./settings.server";
+import { filenames } from "./filenames.server";
+import { sourceFormats } from "./sourceFormat.server";
+import { metadata } from "./metadata.server";
+import { focalPoints } from "./focalPoint.server";
+import { backgrounds } from "./background.server";
+
+const RATIOS = {
+    square: { label: "Square (1:1)", width: 1, height: 1 },
+    portrait: { label: "Portrait (4:5)", width: 4, height: 5 },
+    landscape: { label: "Landscape (16:9)", width: 16, height: 9 }
+};
+
+const CROP_LABELS = {
+    attention: "Attention (faces, skin tones and saturated detail)",
+    entropy: "Entropy (the most detailed region)",
+    center: "Center"
+};
+
+// Where themes find the derivatives: a JSON metafield on the image's product, collection or article
+const METAFIELD = { namespace: "image_optimizer", key: "derivatives" };
+
+const MAX_WIDTHS = 6;
+
+// Extra crops of an image (square, 4:5, 16:9) at several widths for banners and theme sections.
+// They are uploaded as new shop files, so the image itself is never touched.
+export const derivatives = {
+    RATIOS: Object.keys(RATIOS),
+    RATIO_LABELS: Object.fromEntries(Object.entries(RATIOS).map(([key, r]) => [key, r.label])),
+    CROP_STRATEGIES: Object.keys(CROP_LABELS),
+    CROP_LABELS,
+    METAFIELD,
+
+    // Shop files have no owner to hold the metafield
+    supports(item) {
+        return ["Product", "Collection", "Article"].includes(item?.type) && Boolean(item.parentId);
+    },
+
+    // Settings form input -> { derivativeRatios, derivativeWidths, derivativeCrop }
+    validateSettings(input) {
+        const ratios = [...new Set(input.ratios || [])];
+        const unknown = ratios.filter(r => !RATIOS[r]);
+        if (unknown.length > 0) throw new Error(`Unknown ratio: ${unknown.join(", ")}`);
+
+        const widths = [...new Set(String(input.widths || "").split(/[\s,]+/).filter(Boolean).map(Number))];
+        if (widths.some(w => !Number.isInteger(w) || w < 100 || w > 4000)) {
+            throw new Error("Widths must be whole numbers between 100 and 4000");
+        }
+        if (ratios.length > 0 && widths.length === 0) throw new Error("Enter at least one width");
+        if (widths.length > MAX_WIDTHS) throw new Error(`Enter at most ${MAX_WIDTHS} widths`);
+
+        if (!CROP_LABELS[input.crop]) throw new Error(`Unknown crop strategy: ${input.crop}`);
+
+        return {
+            derivativeRatios: this.RATIOS.filter(r => ratios.includes(r)),
+            derivativeWidths: widths.sort((a, b) => a - b),
+            derivativeCrop: input.crop
+        };
+    },
+
+    // The largest window of `ratio` that fits in a sourceWidth x sourceHeight image
+    cropSize(sourceWidth, sourceHeight, ratio) {
+        const { width: rw, height: rh } = RATIOS[ratio];
+        const width = Math.min(sourceWidth, Math.floor(sourceHeight * rw / rh));
+        return { width, height: Math.min(sourceHeight, Math.round(width * rh / rw)) };
+    },
+
+    // The sizes to build from a sourceWidth x sourceHeight image. Widths larger than the biggest crop
+    // that fits are dropped (no upscaling); if none fit, that crop is used at its full size.
+    plan(sourceWidth, sourceHeight, ratios, widths) {
+        const specs = [];
+        for (const ratio of ratios) {
+            const { width: rw, height: rh } = RATIOS[ratio];
+            const maxWidth = this.cropSize(sourceWidth, sourceHeight, ratio).width;
+            const fitting = widths.filter(w => w <= maxWidth);
+            for (const width of fitting.length > 0 ? fitting : [maxWidth]) {
+                specs.push({ ratio, width, height: Math.round(width * rh / rw) });
+            }
+        }
+        return specs;
+    },
+
+    // A focal point overrides the crop strategy: the largest window of the ratio is cut around it
+    // (`width`/`height` are the source's displayed size), then scaled down.
+    async render(buffer, spec, strategy, profile, source, focal = null) {
+        let instance = sharp(buffer).rotate();
+        if (focal) {
+            const crop = this.cropSize(focal.width, focal.height, spec.ratio);
+            instance = instance
+                .extract(focalPoints.region(focal.width, focal.height, crop.width, crop.height, focal.point))
+                .resize(spec.width, spec.height);
+        } else {
+            instance = instance.resize({
+                width: spec.width,
+                height: spec.height,
+                fit: "cover",
+                position: strategy === "center" ? "centre" : sharp.strategy[strategy]
+            });
+        }
+        return metadata.apply(instance, profile, source).webp({ quality: profile.webpQuality }).toBuffer();
+    },
+
+    // The backed-up original when there is one; its full resolution makes for better crops
+    async loadSource(record, item) {
+        if (record?.backupKey) return backups.load(record.backupKey, record.backupChecksum);
+
+        const res = await requests.fetchWithRetry(item.url, {}, { label: "Download" });
+        if (!res.ok) throw new Error(`Download failed: ${res.status}`);
+        return Buffer.from(await res.arrayBuffer());
+    },
+
+    // Builds and uploads every configured derivative of `item`, replacing any it had before.
+    // `buffer` is the original's bytes when the caller already has them.
+    async generate(admin, shop, item, { buffer = null } = {}) {
+        if (!this.supports(item)) {
+            throw new Error("Only product, collection and article images can have derivatives");
+        }
+        const [shopSettings, profile] = await Promise.all([settings.getSettings(shop), settings.getActiveProfile(shop)]);
+        if (shopSettings.derivativeRatios.length === 0) {
+            throw new Error("No derivative ratios are selected in Settings");
+        }
+
+        const record = await prisma.imageRecord.findUnique({
+            where: { shop_shopifyImageId: { shop, shopifyImageId: item.id } }
+        });
+        let original = buffer || await this.loadSource(record, item);
+        const source = await sourceFormats.detect(original);
+        if (source.format === "svg" || source.animated) {
+            throw new Error(`${source.animated ? "Animated images" : "SVGs"} do not get derivatives`);
+        }
+
+        // Crops of a normalized image come from the same trimmed, re-padded frame as the live image
+        if (record?.backgroundMode) {
+            const normalized = await backgrounds.normalize(original, { ...profile, backgroundMode: record.backgroundMode });
+            if (normalized) original = normalized.buffer;
+        }
+
+        // Crops are planned on the image as displayed, after EXIF rotation
+        const meta = await sharp(original).metadata();
+        const { width, height } = meta.autoOrient || meta;
+        const specs = this.plan(width, height, shopSettings.derivativeRatios, shopSettings.derivativeWidths);
+        const point = focalPoints.fromRecord(record);
+        const focal = point ? { point, width, height } : null;
+        const cropStrategy = point ? "focal" : shopSettings.derivativeCrop;
+        const template = shopSettings.filenameTemplate;
+        const base = filenames.render(template, await filenames.values(admin, item, template));
+
+        const uploads = [];
+        for (const spec of specs) {
+            const output = await this.render(original, spec, shopSettings.derivativeCrop, profile, source, focal);
+            const filename = `${base}-${spec.ratio}-${spec.width}.webp`;
+            const originalSource = await media.stagedUpload(admin, { buffer: output, filename, mimeType: "image/webp" });
+            uploads.push({ spec, bytes: output.length, originalSource, filename, alt: item.alt });
+        }
+        const files = await media.createFiles(admin, uploads);
+
+        const previous = await prisma.imageDerivative.findMany({ where: { shop, shopifyImageId: item.id } });
+        const rows = uploads.map(({ spec, bytes }, index) => ({
+            shop,
+            shopifyImageId: item.id,
+            resourceType: item.type,
+            parentId: item.parentId,
+            ratio: spec.ratio,
+            width: spec.width,
+            height: spec.height,
+            fileId: files[index].id,
+            url: files[index].image?.url || null,
+            bytes,
+            cropStrategy
+        }));
+        await prisma.$transaction([
+            prisma.imageDerivative.deleteMany({ where: { shop, shopifyImageId: item.id } }),
+            prisma.imageDerivative.createMany({ data: rows })
+        ]);
+
+        await this.syncMetafield(admin, shop, item.parentId);
+        // The old files go last, once the metafield no longer points at them
+        await this.deleteFiles(admin, previous.map(d => d.fileId));
+
+        console.log(`[Derivatives] Created ${rows.length} derivatives of ${item.id}`);
+        return rows;
+    },
+
+    async remove(admin, shop, imageId) {
+        const rows = await prisma.imageDerivative.findMany({ where: { shop, shopifyImageId: imageId } });
+        if (rows.length === 0) return 0;
+
+        await prisma.imageDerivative.deleteMany({ where: { shop, shopifyImageId: imageId } });
+        await this.syncMetafield(admin, shop, rows[0].parentId);
+        await this.deleteFiles(admin, rows.map(d => d.fileId));
+
+        console.log(`[Derivatives] Removed ${rows.length} derivatives of ${imageId}`);
+        return rows.length;
+    },
+
+    // A file left behind is only clutter under Content > Files, so this never fails the caller
+    async deleteFiles(admin, fileIds) {
+        try {
+            await media.deleteFiles(admin, fileIds);
+        } catch (error) {
+            console.error("[Derivatives] Could not delete old files:", error.message);
+        }
+    },
+
+    // Collection and article images get a new ID when replaced. Their metafield entry is keyed
+    // "image" rather than by ID, so only the rows need to follow.
+    async rename(shop, oldId, newId) {
+        if (oldId === newId) return;
+        await prisma.imageDerivative.updateMany({
+            where: { shop, shopifyImageId: oldId },
+            data: { shopifyImageId: newId }
+        });
+    },
+
+    // Product media are keyed by their numeric ID (Liquid's media.id); a collection or article has one image
+    metafieldKey(row) {
+        return row.resourceType === "Product" ? row.shopifyImageId.split("/").pop() : "image";
+    },
+
+    // Rewrites the owner's metafield from the stored rows:
+    // { "<media id>": { "square": [{ "width": 480, "height": 480, "url": "...", "file": "gid://..." }] } }
+    async syncMetafield(admin, shop, ownerId) {
+        const rows = await prisma.imageDerivative.findMany({
+            where: { shop, parentId: ownerId },
+            orderBy: [{ shopifyImageId: "asc" }, { width: "asc" }]
+        });
+        if (rows.length === 0) {
+            return media.deleteMetafield(admin, ownerId, METAFIELD.namespace, METAFIELD.key);
+        }
+
+        const value = {};
+        for (const row of rows) {
+            const image = (value[this.metafieldKey(row)] ??= {});
+            (image[row.ratio] ??= []).push({ width: row.width, height: row.height, url: row.url, file: row.fileId });
+        }
+        await media.setJsonMetafield(admin, ownerId, METAFIELD.namespace, METAFIELD.key, value);
+    },
+
+    async list(shop, imageId) {
+        const rows = await prisma.imageDerivative.findMany({
+            where: { shop, shopifyImageId: imageId },
+            orderBy: { width: "asc" }
+        });
+        return this.RATIOS
+            .map(ratio => ({ ratio, label: RATIOS[ratio].label, sizes: rows.filter(r => r.ratio === ratio) }))
+            .filter(group => group.sizes.length > 0);
+    }
+};
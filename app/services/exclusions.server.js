@@ -0,0 +1,141 @@
+import prisma from "../db.server";
+import { failures } from "./failures.server";
+import { requests } from "./request.server";
+
+const FIELD_LABELS = {
+    tag: "Product tag",
+    vendor: "Vendor",
+    productType: "Product type",
+    collection: "Collection",
+    alt: "Alt text",
+    imageId: "Image ID"
+};
+
+// "size chart*" -> /size chart.*/i; only * is special, so a pattern can never be a slow regex
+function wildcardToRegExp(pattern) {
+    const escaped = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(escaped, "i");
+}
+
+// Rules that keep images out of bulk and automatic optimization (line art, size charts, images
+// with text). Product fields come from the image index; collection rules store the collection's
+// product IDs, refreshed when the rule is saved and on every scan.
+export const exclusions = {
+    FIELDS: Object.keys(FIELD_LABELS),
+    FIELD_LABELS,
+
+    async list(shop) {
+        return prisma.exclusionRule.findMany({ where: { shop }, orderBy: { createdAt: "asc" } });
+    },
+
+    async create(admin, shop, { field, value }) {
+        if (!this.FIELDS.includes(field)) {
+            throw new Error(`Unknown rule field: ${field}`);
+        }
+        const trimmed = String(value || "").trim();
+        if (!trimmed) {
+            throw new Error("Rule value is required");
+        }
+
+        const data = { shop, field, value: trimmed, label: null, collectionId: null, productIds: [] };
+        if (field === "collection") {
+            Object.assign(data, await this.resolveCollection(admin, trimmed));
+        }
+
+        return prisma.exclusionRule.create({ data });
+    },
+
+    async remove(shop, id) {
+        const { count } = await prisma.exclusionRule.deleteMany({ where: { id, shop } });
+        if (count === 0) {
+            throw new Error("Rule not found");
+        }
+    },
+
+    // Collection rules are written as a handle; the products are looked up once and cached on the rule
+    async resolveCollection(admin, handle) {
+        const body = await requests.graphql(admin, `#graphql
+            query collectionByHandle($query: String!) {
+                collections(first: 1, query: $query) { nodes { id title handle } }
+            }`, { query: `handle:${JSON.stringify(handle)}` }, { label: "Fetch collection" });
+        const collection = body.data?.collections?.nodes?.find(c => c.handle === handle);
+        if (!collection) {
+            throw new Error(`No collection with the handle "${handle}"`);
+        }
+
+        const productIds = [];
+        let cursor = null;
+        let hasNextPage = true;
+        while (hasNextPage) {
+            const page = await requests.graphql(admin, `#graphql
+                query collectionProducts($id: ID!, $cursor: String) {
+                    collection(id: $id) {
+                        products(first: 250, after: $cursor) {
+                            pageInfo { hasNextPage endCursor }
+                            nodes { id }
+                        }
+                    }
+                }`, { id: collection.id, cursor }, { label: "Fetch collection products" });
+            const products = page.data?.collection?.products;
+            if (!products) break;
+            productIds.push(...products.nodes.map(p => p.id));
+            hasNextPage = products.pageInfo.hasNextPage;
+            cursor = products.pageInfo.endCursor;
+        }
+
+        return { collectionId: collection.id, label: collection.title, productIds };
+    },
+
+    // Called after each scan so collection membership follows the shop
+    async refreshCollections(admin, shop) {
+        const rules = await prisma.exclusionRule.findMany({ where: { shop, field: "collection" } });
+        for (const rule of rules) {
+            try {
+                const resolved = await this.resolveCollection(admin, rule.value);
+                await prisma.exclusionRule.update({ where: { id: rule.id }, data: resolved });
+            } catch (error) {
+                console.error(`[Exclusions] Could not refresh collection rule "${rule.value}":`, error.message);
+            }
+        }
+    },
+
+    describe(rule) {
+        return `${FIELD_LABELS[rule.field]}: ${rule.label || rule.value}`;
+    },
+
+    test(rule, item) {
+        const value = rule.value.toLowerCase();
+        switch (rule.field) {
+            case "tag":
+                return (item.tags || []).some(tag => tag.toLowerCase() === value);
+            case "vendor":
+                return (item.vendor || "").toLowerCase() === value;
+            case "productType":
+                return (item.productType || "").toLowerCase() === value;
+            case "collection":
+                return rule.productIds.includes(item.parentId) || (item.type === "Collection" && item.parentId === rule.collectionId);
+            case "alt":
+                return Boolean(item.alt) && wildcardToRegExp(rule.value).test(item.alt);
+            case "imageId":
+                // Accepts the full GID or just the numeric ID
+                return item.id === rule.value || item.id.endsWith(`/${rule.value}`);
+            default:
+                return false;
+        }
+    },
+
+    // Loads the shop's rules once; the returned function gives the reason an item is excluded, or null.
+    // Images excluded from the Failures page count as excluded too.
+    async matcher(shop) {
+        const [rules, excludedFailures] = await Promise.all([
+            this.list(shop),
+            failures.excludedIds(shop)
+        ]);
+
+        return (item) => {
+            if (excludedFailures.has(item.id)) return "Excluded on the Failures page";
+            const rule = rules.find(r => this.test(r, item));
+            return rule ? this.describe(rule) : null;
+        };
+    }
+};
@@ -0,0 +1,118 @@
+import prisma from "../db.server";
+import { imageIndex } from "./imageIndex.server";
+
+// sharp messages for bytes it cannot read, as opposed to failing to write the output
+const DECODE_PATTERN = /unsupported image format|corrupt header|premature end|vipsjpeg|vipspng|vipsgif|bad seek|pixel limit|invalid (png|jpeg|webp)/i;
+const PERMISSION_PATTERN = /access denied|not approved to access|required? access scope|forbidden|unauthorized/i;
+
+// Dead-letter queue: one row per image whose last optimize or restore failed, with what kind of
+// failure it was and how often it has happened. Rows clear when the image next succeeds.
+// "excluded" rows are left out of bulk and automatic runs until they are included again.
+export const failures = {
+    CLASSES: ["download", "decode", "encode", "upload", "permission", "unknown"],
+    STATUSES: ["open", "excluded"],
+
+    // Marks the stage an error came from; the first (innermost) tag wins.
+    tag(error, errorClass) {
+        if (!error.errorClass) error.errorClass = errorClass;
+        return error;
+    },
+
+    isDecodeError(error) {
+        return DECODE_PATTERN.test(error?.message || "");
+    },
+
+    classify(error) {
+        const status = error?.response?.code ?? error?.status ?? error?.cause?.response?.code;
+        // A 403 from the CDN is a broken download; from the Admin API it is a missing scope
+        if (error?.errorClass !== "download" && (status === 401 || status === 403 || PERMISSION_PATTERN.test(error?.message || ""))) {
+            return "permission";
+        }
+        return this.CLASSES.includes(error?.errorClass) ? error.errorClass : "unknown";
+    },
+
+    // `kind` is the operation to retry ("optimize" or "restore"). Never hides the original error.
+    async record(shop, item, kind, error) {
+        try {
+            const data = {
+                kind,
+                payload: item,
+                errorClass: this.classify(error),
+                error: error.message,
+                lastFailedAt: new Date()
+            };
+            await prisma.imageFailure.upsert({
+                where: { shop_shopifyImageId: { shop, shopifyImageId: item.id } },
+                update: { ...data, attempts: { increment: 1 } },
+                create: { ...data, shop, shopifyImageId: item.id, attempts: 1 }
+            });
+        } catch (e) {
+            console.error("[Failures] Could not record failure:", e);
+        }
+    },
+
+    async clear(shop, imageId) {
+        await prisma.imageFailure.deleteMany({ where: { shop, shopifyImageId: imageId } });
+    },
+
+    async list(shop, status = "open") {
+        const rows = await prisma.imageFailure.findMany({
+            where: { shop, status },
+            orderBy: { lastFailedAt: "desc" }
+        });
+        const items = await this.itemsFor(shop, rows);
+        return rows.map((row, i) => ({
+            id: row.shopifyImageId,
+            kind: row.kind,
+            errorClass: row.errorClass,
+            error: row.error,
+            attempts: row.attempts,
+            status: row.status,
+            lastFailedAt: row.lastFailedAt,
+            item: items[i]
+        }));
+    },
+
+    // The index row is fresher than the payload stored at failure time (URL, title)
+    async itemsFor(shop, rows) {
+        const indexed = await prisma.imageIndex.findMany({
+            where: { shop, shopifyImageId: { in: rows.map(r => r.shopifyImageId) } }
+        });
+        const byId = new Map(indexed.map(row => [row.shopifyImageId, imageIndex.toItem(row)]));
+        return rows.map(r => byId.get(r.shopifyImageId) || r.payload);
+    },
+
+    async find(shop, ids) {
+        return prisma.imageFailure.findMany({ where: { shop, shopifyImageId: { in: ids } } });
+    },
+
+    async setStatus(shop, ids, status) {
+        if (!this.STATUSES.includes(status)) {
+            throw new Error(`Unknown failure status: ${status}`);
+        }
+        const { count } = await prisma.imageFailure.updateMany({
+            where: { shop, shopifyImageId: { in: ids } },
+            data: { status }
+        });
+        return count;
+    },
+
+    async excludedIds(shop) {
+        const rows = await prisma.imageFailure.findMany({
+            where: { shop, status: "excluded" },
+            select: { shopifyImageId: true }
+        });
+        return new Set(rows.map(r => r.shopifyImageId));
+    },
+
+    async counts(shop) {
+        const groups = await prisma.imageFailure.groupBy({
+            by: ["status"],
+            where: { shop },
+            _count: { _all: true }
+        });
+        const counts = { open: 0, excluded: 0 };
+        for (const g of groups) counts[g.status] = g._count._all;
+        return counts;
+    }
+};
@@ -0,0 +1,173 @@
+import prisma from "../db.server";
+import { requests } from "./request.server";
+import { imageIndex } from "./imageIndex.server";
+
+const TOKEN_PATTERN = /\{([a-z_]+)\}/g;
+
+const TOKEN_LABELS = {
+    handle: "Product, collection or article handle",
+    title: "Product, collection or article title",
+    vendor: "Product vendor",
+    product_type: "Product type",
+    position: "Image position within the product (1, 2, ...)",
+    variant: "Option values shared by the variants using the image (e.g. red)",
+    alt: "Alt text",
+    original: "Current file name, without its extension"
+};
+
+// Tokens that need a lookup on Shopify; the rest come from the image index
+const REMOTE_TOKENS = ["handle", "position", "variant"];
+
+const MAX_LENGTH = 80;
+
+function nameFromUrl(url) {
+    try {
+        return decodeURIComponent(new URL(url).pathname.split("/").pop() || "");
+    } catch {
+        return "";
+    }
+}
+
+// File names for uploaded images, built from a per-shop template such as "{handle}-{variant}-{position}".
+// Names are slugified and made unique among the images this app has renamed in the shop.
+export const filenames = {
+    DEFAULT_TEMPLATE: "{original}",
+    TOKENS: Object.keys(TOKEN_LABELS),
+    TOKEN_LABELS,
+    EXTENSIONS: { jpeg: "jpg", jpg: "jpg", webp: "webp", avif: "avif", png: "png", gif: "gif" },
+
+    tokensIn(template) {
+        return [...template.matchAll(TOKEN_PATTERN)].map(m => m[1]);
+    },
+
+    validateTemplate(input) {
+        const template = String(input || "").trim();
+        if (!template) throw new Error("The file name template cannot be empty");
+        if (template.length > 200) throw new Error("The file name template must be 200 characters or fewer");
+        const tokens = this.tokensIn(template);
+        const unknown = tokens.filter(t => !this.TOKENS.includes(t));
+        if (unknown.length > 0) throw new Error(`Unknown token: {${unknown.join("}, {")}}`);
+        if (tokens.length === 0) throw new Error("The file name template needs at least one token, e.g. {handle}");
+        return template;
+    },
+
+    // "Crème Brûlée Mug / 12oz" -> "creme-brulee-mug-12oz"
+    slugify(text) {
+        return String(text || "")
+            .normalize("NFKD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .slice(0, MAX_LENGTH)
+            .replace(/^-+|-+$/g, "");
+    },
+
+    stripExtension(name) {
+        return name.replace(/\.[a-z0-9]+$/i, "");
+    },
+
+    // Handle, image position and variant options for `item`. Only queried when the template uses them;
+    // a failed lookup leaves those tokens empty rather than failing the upload.
+    async remoteValues(admin, item) {
+        try {
+            const body = await requests.graphql(admin, `#graphql
+                query filenameContext($id: ID!) {
+                    node(id: $id) {
+                        ... on Product {
+                            handle
+                            media(first: 250, query: "media_type:IMAGE") { nodes { id } }
+                            variants(first: 100) {
+                                nodes {
+                                    selectedOptions { value }
+                                    media(first: 1) { nodes { id } }
+                                }
+                            }
+                        }
+                        ... on Collection { handle }
+                        ... on Article { handle }
+                    }
+                }`, { id: item.parentId }, { label: "Fetch file name context" });
+            const node = body.data?.node;
+            if (!node) return {};
+
+            const position = (node.media?.nodes || []).findIndex(m => m.id === item.id);
+            // Values every variant showing this image has in common: "Red" for Red / S and Red / M
+            const optionSets = (node.variants?.nodes || [])
+                .filter(v => v.media?.nodes?.some(m => m.id === item.id))
+                .map(v => v.selectedOptions.map(o => o.value));
+            const shared = optionSets.length > 0
+                ? optionSets[0].filter(value => optionSets.every(set => set.includes(value)))
+                : [];
+
+            return {
+                handle: node.handle || "",
+                position: position >= 0 ? String(position + 1) : "",
+                variant: shared.join(" ")
+            };
+        } catch (error) {
+            console.error(`[Filenames] Could not look up ${item.parentId}:`, error.message);
+            return {};
+        }
+    },
+
+    async values(admin, item, template) {
+        const values = {
+            title: item.type === "File" ? "" : item.parentTitle,
+            vendor: item.vendor,
+            product_type: item.productType,
+            alt: item.alt,
+            original: this.stripExtension(nameFromUrl(item.url))
+        };
+        const needsRemote = item.type !== "File" && item.parentId && this.tokensIn(template).some(t => REMOTE_TOKENS.includes(t));
+        return needsRemote ? { ...values, ...await this.remoteValues(admin, item) } : values;
+    },
+
+    // Slug for the template, falling back to the original name when every token is empty
+    render(template, values) {
+        const slug = this.slugify(template.replace(TOKEN_PATTERN, (_, token) => ` ${values[token] || ""} `));
+        return slug || this.slugify(values.original) || "image";
+    },
+
+    // Appends -2, -3, ... while another image in the shop (or in `reserved`) already has the name
+    async unique(shop, imageId, base, reserved = new Set()) {
+        const rows = await prisma.imageRecord.findMany({
+            where: { shop, filename: { startsWith: base }, NOT: { shopifyImageId: imageId } },
+            select: { filename: true }
+        });
+        const taken = new Set([...rows.map(r => this.stripExtension(r.filename)), ...reserved]);
+
+        let name = base;
+        for (let n = 2; taken.has(name); n++) {
+            name = `${base}-${n}`;
+        }
+        return name;
+    },
+
+    async forImage(admin, shop, item, template, format, reserved = new Set()) {
+        const base = this.render(template || this.DEFAULT_TEMPLATE, await this.values(admin, item, template || ""));
+        const name = await this.unique(shop, item.id, base, reserved);
+        reserved.add(name);
+        return `${name}.${this.EXTENSIONS[format] || format}`;
+    },
+
+    // What the template would produce for a few indexed images, for the settings page
+    async preview(admin, shop, template, count = 5) {
+        const rows = await prisma.imageIndex.findMany({
+            where: { shop },
+            orderBy: [{ resourceType: "desc" }, { parentTitle: "asc" }],
+            take: count
+        });
+        const reserved = new Set();
+        const samples = [];
+        for (const row of rows) {
+            const item = imageIndex.toItem(row);
+            samples.push({
+                id: item.id,
+                parentTitle: item.parentTitle,
+                current: nameFromUrl(item.url),
+                next: await this.forImage(admin, shop, item, template, "webp", reserved)
+            });
+        }
+        return samples;
+    }
+};
@@ -0,0 +1,102 @@
+import prisma from "../db.server";
+import { media } from "./media.server";
+
+// Where themes find the point: on the MediaImage itself, or on the collection or article for their image
+const METAFIELD = { namespace: "image_optimizer", key: "focal_point" };
+
+// The subject of a photo as a point in fractions of the displayed (EXIF-rotated) image, 0..1 from
+// the top left. It is stored on the image record and decides where crops are taken from.
+export const focalPoints = {
+    METAFIELD,
+
+    parse(x, y) {
+        const point = { x: Number(x), y: Number(y) };
+        if (![point.x, point.y].every(v => Number.isFinite(v) && v >= 0 && v <= 1)) {
+            throw new Error("The focal point must lie within the image");
+        }
+        return { x: Math.round(point.x * 10000) / 10000, y: Math.round(point.y * 10000) / 10000 };
+    },
+
+    fromRecord(record) {
+        return record?.focalX != null && record?.focalY != null ? { x: record.focalX, y: record.focalY } : null;
+    },
+
+    async get(shop, imageId) {
+        const record = await prisma.imageRecord.findUnique({
+            where: { shop_shopifyImageId: { shop, shopifyImageId: imageId } },
+            select: { focalX: true, focalY: true }
+        });
+        return this.fromRecord(record);
+    },
+
+    // Images that were never optimized get a pending record to hold the point
+    async save(admin, shop, item, point) {
+        await prisma.imageRecord.upsert({
+            where: { shop_shopifyImageId: { shop, shopifyImageId: item.id } },
+            update: { focalX: point.x, focalY: point.y },
+            create: {
+                shop,
+                shopifyImageId: item.id,
+                productId: item.parentId || "",
+                resourceType: item.type || "Product",
+                originalUrl: item.url,
+                status: "pending",
+                focalX: point.x,
+                focalY: point.y
+            }
+        });
+        await this.sync(admin, item, point);
+        console.log(`[Focal] Set ${point.x}, ${point.y} for ${item.id}`);
+    },
+
+    async clear(admin, shop, item) {
+        await prisma.imageRecord.updateMany({
+            where: { shop, shopifyImageId: item.id },
+            data: { focalX: null, focalY: null }
+        });
+        await this.sync(admin, item, null);
+        console.log(`[Focal] Cleared for ${item.id}`);
+    },
+
+    // Product media and shop files are MediaImages with metafields of their own
+    ownerOf(item) {
+        return item.type === "Collection" || item.type === "Article" ? item.parentId : item.id;
+    },
+
+    async sync(admin, item, point) {
+        const owner = this.ownerOf(item);
+        if (point) {
+            await media.setJsonMetafield(admin, owner, METAFIELD.namespace, METAFIELD.key, point);
+        } else {
+            await media.deleteMetafield(admin, owner, METAFIELD.namespace, METAFIELD.key);
+        }
+    },
+
+    // Where a point of the source lands in an image showing `frame` of it (see backgrounds.normalize).
+    // A point in a strip that was trimmed away moves to the nearest edge.
+    toFrame(point, frame) {
+        return this.clamp({ x: (point.x - frame.x) / frame.width, y: (point.y - frame.y) / frame.height });
+    },
+
+    fromFrame(point, frame) {
+        return this.clamp({ x: frame.x + point.x * frame.width, y: frame.y + point.y * frame.height });
+    },
+
+    clamp({ x, y }) {
+        const fit = (v) => Math.round(Math.min(Math.max(v, 0), 1) * 10000) / 10000;
+        return { x: fit(x), y: fit(y) };
+    },
+
+    // The cropWidth x cropHeight window of a width x height image that centers the point
+    // as far as the edges allow. Without a point the window is centered.
+    region(width, height, cropWidth, cropHeight, point) {
+        const { x, y } = point || { x: 0.5, y: 0.5 };
+        const clamp = (value, max) => Math.min(Math.max(Math.round(value), 0), max);
+        return {
+            left: clamp(x * width - cropWidth / 2, width - cropWidth),
+            top: clamp(y * height - cropHeight / 2, height - cropHeight),
+            width: cropWidth,
+            height: cropHeight
+        };
+    }
+};
@@ -0,0 +1,83 @@
+import prisma from "../db.server";
+import { DEFAULT_PROFILE } from "./settings.server";
+
+// Append-only log of everything done to an image. ImageRecord holds the current state;
+// ImageEvent keeps each step, and the bytes each step left live (versionKey) for rollbacks.
+export const history = {
+    ACTIONS: ["optimize", "skip", "restore", "rollback", "fail"],
+
+    // The staff member behind an admin request. Online sessions carry their name; with offline
+    // sessions the session token's `sub` is the staff user ID.
+    actorFrom({ session, sessionToken } = {}) {
+        const user = session?.onlineAccessInfo?.associated_user;
+        if (user) {
+            const name = [user.first_name, user.last_name].filter(Boolean).join(" ");
+            return { actor: name || user.email || `Staff ${user.id}`, actorId: String(user.id) };
+        }
+        if (sessionToken?.sub) {
+            return { actor: `Staff ${sessionToken.sub}`, actorId: String(sessionToken.sub) };
+        }
+        return { actor: null, actorId: null };
+    },
+
+    // Profile fields plus skip thresholds, as they were when the event happened
+    settingsSnapshot(profile, shopSettings) {
+        const snapshot = { profile: {} };
+        for (const key of Object.keys(DEFAULT_PROFILE)) {
+            if (profile && key in profile) snapshot.profile[key] = profile[key];
+        }
+        if (shopSettings) {
+            snapshot.minSavingsPct = shopSettings.minSavingsPct;
+            snapshot.minSavingsKb = shopSettings.minSavingsKb;
+        }
+        return snapshot;
+    },
+
+    // Restores put the original back; so does a rollback to the backed-up original bytes
+    isOriginal(event, record) {
+        return event.action === "restore" || (Boolean(event.versionKey) && event.versionKey === record?.backupKey);
+    },
+
+    // `context` is { actor, actorId, source } from the request or job that did the work.
+    async record(shop, imageId, action, context = {}, data = {}) {
+        if (!this.ACTIONS.includes(action)) {
+            throw new Error(`Unknown image event: ${action}`);
+        }
+        return prisma.imageEvent.create({
+            data: {
+                shop,
+                shopifyImageId: imageId,
+                action,
+                source: context.source || "manual",
+                actor: context.actor || null,
+                actorId: context.actorId || null,
+                ...data
+            }
+        });
+    },
+
+    // Logging a failure must never hide the error that caused it
+    async recordFailure(shop, imageId, context, error) {
+        try {
+            await this.record(shop, imageId, "fail", context, { error: error.message });
+        } catch (e) {
+            console.error("[History] Could not record failure:", e);
+        }
+    },
+
+    async timeline(shop, imageId) {
+        return prisma.imageEvent.findMany({
+            where: { shop, shopifyImageId: imageId },
+            orderBy: { createdAt: "desc" }
+        });
+    },
+
+    // Collection and article images get a new ID on every upload; the timeline follows the image.
+    async rename(shop, oldId, newId) {
+        if (oldId === newId) return;
+        await prisma.imageEvent.updateMany({
+            where: { shop, shopifyImageId: oldId },
+            data: { shopifyImageId: newId }
+        });
+    }
+};
@@ -0,0 +1,233 @@
+import prisma from "../db.server";
+
+// Local copy of every image the crawler has seen, with its optimization state denormalized
+// from ImageRecord, so the dashboard can search, filter, sort and page without calling Shopify.
+export const imageIndex = {
+    PAGE_SIZE: 25,
+    STATUSES: ["pending", "optimized", "skipped"],
+    TYPES: ["Product", "Collection", "Article", "File"],
+    SORTS: {
+        newest: { createdAt: "desc" },
+        size_desc: { pixels: "desc" },
+        savings_desc: { savingsKb: "desc" },
+        title_asc: { parentTitle: "asc" }
+    },
+    // Buckets on width x height
+    SIZES: {
+        small: { lt: 250000 },
+        medium: { gte: 250000, lt: 2000000 },
+        large: { gte: 2000000 }
+    },
+    // Minimum saved KB
+    SAVINGS: ["10", "100", "500"],
+
+    stateFromRecord(record) {
+        const status = record?.status === "optimized" || record?.status === "skipped" ? record.status : "pending";
+        return {
+            status,
+            skipReason: status === "skipped" ? record.skipReason : null,
+            originalKb: record?.originalKb || 0,
+            optimizedKb: status === "optimized" ? (record.optimizedKb || 0) : 0,
+            savingsKb: status === "optimized" ? (record.savingsKb || 0) : 0
+        };
+    },
+
+    // Scan/job item shape -> ImageIndex columns
+    fromItem(item) {
+        const width = item.width || 0;
+        const height = item.height || 0;
+        return {
+            resourceType: item.type || "Product",
+            url: item.url,
+            parentId: item.parentId || "",
+            parentTitle: item.parentTitle || "",
+            alt: item.alt || null,
+            productType: item.productType || null,
+            vendor: item.vendor || null,
+            tags: item.tags || [],
+            width,
+            height,
+            pixels: width * height,
+            status: item.status || "pending",
+            skipReason: item.skipReason || null,
+            originalKb: item.originalKb || 0,
+            optimizedKb: item.optimizedKb || 0,
+            savingsKb: item.savedKb || 0
+        };
+    },
+
+    // ImageIndex row -> the item shape the dashboard, jobs and commitImage use
+    toItem(row) {
+        const optimized = row.status === "optimized";
+        return {
+            id: row.shopifyImageId,
+            url: row.url,
+            parentId: row.parentId,
+            parentTitle: row.parentTitle,
+            type: row.resourceType,
+            width: row.width,
+            height: row.height,
+            alt: row.alt,
+            productType: row.productType,
+            vendor: row.vendor,
+            tags: row.tags,
+            optimized,
+            status: row.status,
+            skipReason: row.skipReason,
+            savedKb: row.savingsKb,
+            originalKb: row.originalKb,
+            optimizedKb: row.optimizedKb,
+            percent: (optimized && row.originalKb) ? Math.round(((row.originalKb - row.optimizedKb) / row.originalKb) * 100) : 0
+        };
+    },
+
+    async upsertItems(shop, items, passId = undefined) {
+        if (items.length === 0) return;
+
+        await prisma.$transaction(items.map((item) => {
+            const data = { ...this.fromItem(item), lastSeenPassId: passId };
+            return prisma.imageIndex.upsert({
+                where: { shop_shopifyImageId: { shop, shopifyImageId: item.id } },
+                update: data,
+                create: { ...data, shop, shopifyImageId: item.id }
+            });
+        }));
+    },
+
+    // Re-reads the image's ImageRecord after a commit or restore. `previousId` is dropped
+    // when Shopify gave the image a new ID.
+    async sync(shop, item, previousId = null) {
+        const record = await prisma.imageRecord.findUnique({
+            where: { shop_shopifyImageId: { shop, shopifyImageId: item.id } }
+        });
+        const data = { ...this.fromItem(item), ...this.stateFromRecord(record) };
+
+        await prisma.imageIndex.upsert({
+            where: { shop_shopifyImageId: { shop, shopifyImageId: item.id } },
+            update: data,
+            create: { ...data, shop, shopifyImageId: item.id }
+        });
+
+        if (previousId && previousId !== item.id) {
+            await prisma.imageIndex.deleteMany({ where: { shop, shopifyImageId: previousId } });
+        }
+    },
+
+    async rename(shop, oldId, newId) {
+        await prisma.imageIndex.updateMany({
+            where: { shop, shopifyImageId: oldId },
+            data: { shopifyImageId: newId }
+        });
+    },
+
+    // Same rule as stale ImageRecords: only rows neither seen by the pass nor touched since it began
+    async removeStale(shop, resourceType, pass) {
+        const { count } = await prisma.imageIndex.deleteMany({
+            where: {
+                shop,
+                resourceType,
+                updatedAt: { lt: pass.startedAt },
+                OR: [{ lastSeenPassId: null }, { lastSeenPassId: { not: pass.passId } }]
+            }
+        });
+        if (count > 0) console.log(`[Index] Removed ${count} stale ${resourceType} images`);
+    },
+
+    // Reads and validates the dashboard's URL parameters; unknown values fall back to defaults.
+    parseFilters(searchParams) {
+        const pick = (name, allowed, fallback) => {
+            const value = searchParams.get(name);
+            return allowed.includes(value) ? value : fallback;
+        };
+
+        return {
+            q: (searchParams.get("q") || "").trim().slice(0, 100),
+            status: pick("status", this.STATUSES, "all"),
+            type: pick("type", this.TYPES, "all"),
+            size: pick("size", Object.keys(this.SIZES), "all"),
+            savings: pick("savings", this.SAVINGS, "all"),
+            sort: pick("sort", Object.keys(this.SORTS), "newest"),
+            after: searchParams.get("after") || null,
+            before: searchParams.get("before") || null
+        };
+    },
+
+    whereFor(shop, filters) {
+        const where = { shop };
+        if (filters.q) {
+            where.OR = [
+                { parentTitle: { contains: filters.q, mode: "insensitive" } },
+                { alt: { contains: filters.q, mode: "insensitive" } }
+            ];
+        }
+        if (filters.status !== "all") where.status = filters.status;
+        if (filters.type !== "all") where.resourceType = filters.type;
+        if (filters.size !== "all") where.pixels = this.SIZES[filters.size];
+        if (filters.savings !== "all") where.savingsKb = { gte: Number(filters.savings) };
+        return where;
+    },
+
+    // Cursor pagination on the row ID; the ID also breaks ties so pages never overlap.
+    async query(shop, filters) {
+        const where = this.whereFor(shop, filters);
+        const orderBy = [this.SORTS[filters.sort], { id: "asc" }];
+
+        const fetchPage = (cursor, backwards) => prisma.imageIndex.findMany({
+            where,
+            orderBy,
+            take: backwards ? -(this.PAGE_SIZE + 1) : this.PAGE_SIZE + 1,
+            ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+        });
+
+        let backwards = Boolean(filters.before);
+        let cursorId = filters.before || filters.after;
+        let rows = await fetchPage(cursorId, backwards);
+        if (rows.length === 0 && cursorId) {
+            // The cursor row was deleted (e.g. by a rescan); start over from the first page
+            backwards = false;
+            cursorId = null;
+            rows = await fetchPage(null, false);
+        }
+
+        const hasMore = rows.length > this.PAGE_SIZE;
+        const page = backwards ? rows.slice(hasMore ? 1 : 0) : rows.slice(0, this.PAGE_SIZE);
+
+        const total = await prisma.imageIndex.count({ where });
+
+        return {
+            items: page.map(row => this.toItem(row)),
+            total,
+            pageInfo: {
+                hasNext: backwards || hasMore,
+                hasPrevious: backwards ? hasMore : Boolean(cursorId),
+                startCursor: page[0]?.id || null,
+                endCursor: page[page.length - 1]?.id || null
+            }
+        };
+    },
+
+    async stats(shop) {
+        const groups = await prisma.imageIndex.groupBy({
+            by: ["status"],
+            where: { shop },
+            _count: { _all: true },
+            _sum: { savingsKb: true }
+        });
+
+        const stats = { total: 0, pending: 0, optimized: 0, skipped: 0, savedKb: 0 };
+        for (const g of groups) {
+            stats[g.status] = g._count._all;
+            stats.total += g._count._all;
+            stats.savedKb += g._sum.savingsKb || 0;
+        }
+        return stats;
+    },
+
+    async listByStatus(shop, status) {
+        const rows = await prisma.imageIndex.findMany({
+            where: { shop, status },
+            orderBy: [this.SORTS.newest, { id: "asc" }]
+        });
+        return rows.map(row => this.toItem(row));
+    }
+};
@@ -0,0 +1,229 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { optimizer } from "./optimizer.server";
+import { failures } from "./failures.server";
+
+// Shops with a worker loop running in this process.
+const runningShops = new Set();
+
+export const jobs = {
+    KINDS: ["optimize", "restore", "auto"],
+    // Jobs the dashboard starts and tracks; "auto" jobs are queued by product webhooks and run quietly behind them.
+    BULK_KINDS: ["optimize", "restore"],
+    ACTIVE_STATUSES: ["queued", "running", "paused"],
+    // An item stuck in "processing" longer than this belongs to a worker that died.
+    LOCK_TIMEOUT_MS: 5 * 60 * 1000,
+
+    // `actor` ({ actor, actorId }) is the staff member who started the job, for the image history.
+    async createJob(shop, kind, items, { actor = null, actorId = null } = {}) {
+        if (!this.KINDS.includes(kind)) {
+            throw new Error(`Unknown job kind: ${kind}`);
+        }
+        if (items.length === 0) {
+            throw new Error("No images to process");
+        }
+
+        if (this.BULK_KINDS.includes(kind)) {
+            const active = await this.getActiveJob(shop);
+            if (active) {
+                throw new Error("A bulk job is already in progress for this shop");
+            }
+        }
+
+        const job = await prisma.job.create({
+            data: { shop, kind, status: "queued", total: items.length, actor, actorId }
+        });
+
+        await prisma.jobItem.createMany({
+            data: items.map((item, position) => ({
+                jobId: job.id,
+                imageId: item.id,
+                position,
+                payload: item
+            }))
+        });
+
+        console.log(`[Jobs] Created ${kind} job ${job.id} for ${shop} (${items.length} items)`);
+        this.kick(shop);
+        return job;
+    },
+
+    async getActiveJob(shop) {
+        return prisma.job.findFirst({
+            where: { shop, kind: { in: this.BULK_KINDS }, status: { in: this.ACTIVE_STATUSES } },
+            orderBy: { createdAt: "desc" }
+        });
+    },
+
+    async getLatestJob(shop) {
+        return prisma.job.findFirst({
+            where: { shop, kind: { in: this.BULK_KINDS } },
+            orderBy: { createdAt: "desc" }
+        });
+    },
+
+    async pause(shop, jobId) {
+        await prisma.job.updateMany({
+            where: { id: jobId, shop, status: { in: ["queued", "running"] } },
+            data: { status: "paused" }
+        });
+        return prisma.job.findFirst({ where: { id: jobId, shop } });
+    },
+
+    async resume(shop, jobId) {
+        await prisma.job.updateMany({
+            where: { id: jobId, shop, status: "paused" },
+            data: { status: "running" }
+        });
+        this.kick(shop);
+        return prisma.job.findFirst({ where: { id: jobId, shop } });
+    },
+
+    async cancel(shop, jobId) {
+        const { count } = await prisma.job.updateMany({
+            where: { id: jobId, shop, status: { in: this.ACTIVE_STATUSES } },
+            data: { status: "cancelled", finishedAt: new Date() }
+        });
+        if (count > 0) {
+            await prisma.jobItem.updateMany({
+                where: { jobId, status: "pending" },
+                data: { status: "cancelled" }
+            });
+        }
+        return prisma.job.findFirst({ where: { id: jobId, shop } });
+    },
+
+    // Start a worker for this shop unless one is already running in this process.
+    // Called on job creation, on resume and whenever the dashboard polls, so a job
+    // interrupted by a restart picks up again on the next request.
+    kick(shop) {
+        if (runningShops.has(shop)) return;
+        this.runWorker(shop).catch((err) => {
+            console.error(`[Jobs] Worker crashed for ${shop}:`, err);
+        });
+    },
+
+    async runWorker(shop) {
+        if (runningShops.has(shop)) return;
+        runningShops.add(shop);
+        console.log(`[Jobs] Worker started for ${shop}`);
+
+        try {
+            let context = null;
+            let job;
+
+            while ((job = await this.nextRunnableJob(shop))) {
+                if (job.status === "queued") {
+                    await prisma.job.update({ where: { id: job.id }, data: { status: "running" } });
+                }
+
+                const item = await this.claimNextItem(job.id);
+                if (!item) {
+                    const finished = await this.finishJob(job.id);
+                    if (!finished) break;
+                    continue;
+                }
+
+                // Offline session: the merchant does not need to keep the admin open.
+                context ??= await unauthenticated.admin(shop);
+                await this.processItem(job, item, context);
+            }
+        } finally {
+            runningShops.delete(shop);
+            console.log(`[Jobs] Worker stopped for ${shop}`);
+        }
+    },
+
+    async nextRunnableJob(shop) {
+        return prisma.job.findFirst({
+            where: { shop, status: { in: ["queued", "running"] } },
+            orderBy: { createdAt: "asc" }
+        });
+    },
+
+    async claimNextItem(jobId) {
+        await prisma.jobItem.updateMany({
+            where: {
+                jobId,
+                status: "processing",
+                lockedAt: { lt: new Date(Date.now() - this.LOCK_TIMEOUT_MS) }
+            },
+            data: { status: "pending", lockedAt: null }
+        });
+
+        // Another instance may claim the same row between find and update; retry on a lost race.
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const next = await prisma.jobItem.findFirst({
+                where: { jobId, status: "pending" },
+                orderBy: { position: "asc" }
+            });
+            if (!next) return null;
+
+            const { count } = await prisma.jobItem.updateMany({
+                where: { id: next.id, status: "pending" },
+                data: { status: "processing", lockedAt: new Date(), attempts: { increment: 1 } }
+            });
+            if (count === 1) return next;
+        }
+
+        return null;
+    },
+
+    async processItem(job, item, { admin, session }) {
+        const context = { actor: job.actor, actorId: job.actorId, source: job.kind === "auto" ? "auto" : "bulk" };
+        try {
+            const result = job.kind === "restore"
+                ? await optimizer.restoreImage(admin, session, item.payload, context)
+                : await optimizer.commitImage(admin, session, item.payload, context);
+
+            await prisma.$transaction([
+                prisma.jobItem.update({
+                    where: { id: item.id },
+                    data: { status: "done", result, error: null, lockedAt: null }
+                }),
+                prisma.job.update({
+                    where: { id: job.id },
+                    data: { processed: { increment: 1 } }
+                })
+            ]);
+        } catch (err) {
+            console.error(`[Jobs] ${job.kind} failed for ${item.imageId}:`, err);
+            await prisma.$transaction([
+                prisma.jobItem.update({
+                    where: { id: item.id },
+                    data: { status: "failed", error: err.message, errorClass: failures.classify(err), lockedAt: null }
+                }),
+                prisma.job.update({
+                    where: { id: job.id },
+                    data: { failed: { increment: 1 } }
+                })
+            ]);
+        }
+    },
+
+    // Returns false when items are still in flight elsewhere and the job must stay open.
+    async finishJob(jobId) {
+        const inFlight = await prisma.jobItem.count({ where: { jobId, status: "processing" } });
+        if (inFlight > 0) return false;
+
+        await prisma.job.updateMany({
+            where: { id: jobId, status: { in: ["queued", "running"] } },
+            data: { status: "completed", finishedAt: new Date() }
+        });
+        console.log(`[Jobs] Job ${jobId} completed`);
+        return true;
+    },
+
+    toStatus(job) {
+        if (!job) return null;
+        return {
+            id: job.id,
+            kind: job.kind,
+            status: job.status,
+            total: job.total,
+            processed: job.processed,
+            failed: job.failed,
+            active: this.ACTIVE_STATUSES.includes(job.status)
+        };
+    }
+};
@@ -0,0 +1,258 @@
+import { requests } from "./request.server";
+
+// GraphQL helpers for uploading replacement image bytes and attaching them to shop resources.
+
+export const media = {
+    FILE_POLL_INTERVAL_MS: 1000,
+    FILE_POLL_ATTEMPTS: 30,
+
+    // `idempotent` lets a mutation that is safe to repeat be retried after a 5xx or a dropped connection.
+    async graphql(admin, query, variables = {}, { idempotent } = {}) {
+        const body = await requests.graphql(admin, query, variables, { label: "Admin API", idempotent });
+        if (body.errors?.length) {
+            throw new Error(`GraphQL error: ${body.errors.map(e => e.message).join("; ")}`);
+        }
+        return body.data;
+    },
+
+    assertNoUserErrors(userErrors, label) {
+        if (userErrors?.length) {
+            throw new Error(`${label} failed: ${userErrors.map(e => e.message).join("; ")}`);
+        }
+    },
+
+    // Upload bytes to Shopify's staging bucket and return a resourceUrl mutations can reference.
+    async stagedUpload(admin, { buffer, filename, mimeType, resource = "IMAGE" }) {
+        const data = await this.graphql(admin, `#graphql
+            mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+                stagedUploadsCreate(input: $input) {
+                    stagedTargets { url resourceUrl parameters { name value } }
+                    userErrors { field message }
+                }
+            }`, {
+            input: [{
+                filename,
+                mimeType,
+                resource,
+                httpMethod: "POST",
+                fileSize: String(buffer.length)
+            }]
+        });
+
+        this.assertNoUserErrors(data.stagedUploadsCreate.userErrors, "Staged upload");
+        const target = data.stagedUploadsCreate.stagedTargets[0];
+
+        const buildForm = () => {
+            const form = new FormData();
+            for (const { name, value } of target.parameters) {
+                form.append(name, value);
+            }
+            form.append("file", new Blob([buffer], { type: mimeType }), filename);
+            return { method: "POST", body: form };
+        };
+
+        const uploadRes = await requests.fetchWithRetry(target.url, buildForm, { label: "Staged upload" });
+        if (!uploadRes.ok) {
+            const errText = await uploadRes.text();
+            console.error(`[Media] Staged upload failed: ${uploadRes.status}`, errText);
+            throw new Error(`Upload failed: ${uploadRes.status}`);
+        }
+
+        return target.resourceUrl;
+    },
+
+    async updateCollectionImage(admin, collectionId, src, altText) {
+        const data = await this.graphql(admin, `#graphql
+            mutation collectionUpdate($input: CollectionInput!) {
+                collectionUpdate(input: $input) {
+                    collection { id image { id url } }
+                    userErrors { field message }
+                }
+            }`, {
+            input: { id: collectionId, image: { src, altText: altText || null } }
+        }, { idempotent: true });
+
+        this.assertNoUserErrors(data.collectionUpdate.userErrors, "Collection update");
+        return data.collectionUpdate.collection.image;
+    },
+
+    async updateArticleImage(admin, articleId, url, altText) {
+        const data = await this.graphql(admin, `#graphql
+            mutation articleUpdate($id: ID!, $article: ArticleUpdateInput!) {
+                articleUpdate(id: $id, article: $article) {
+                    article { id image { id url } }
+                    userErrors { field message }
+                }
+            }`, {
+            id: articleId,
+            article: { image: { url, altText: altText || null } }
+        }, { idempotent: true });
+
+        this.assertNoUserErrors(data.articleUpdate.userErrors, "Article update");
+        return data.articleUpdate.article.image;
+    },
+
+    // Alt text for product media and shop files (both MediaImages), several at a time
+    async updateFileAlts(admin, files) {
+        const data = await this.graphql(admin, `#graphql
+            mutation fileAltUpdate($files: [FileUpdateInput!]!) {
+                fileUpdate(files: $files) {
+                    files { id alt }
+                    userErrors { field message }
+                }
+            }`, {
+            files: files.map(({ id, alt }) => ({ id, alt }))
+        }, { idempotent: true });
+
+        this.assertNoUserErrors(data.fileUpdate.userErrors, "Alt text update");
+        return data.fileUpdate.files;
+    },
+
+    // Changes only the alt text; without a src the image itself is left alone
+    async updateCollectionImageAlt(admin, collectionId, altText) {
+        const data = await this.graphql(admin, `#graphql
+            mutation collectionAltUpdate($input: CollectionInput!) {
+                collectionUpdate(input: $input) {
+                    collection { id image { id altText } }
+                    userErrors { field message }
+                }
+            }`, {
+            input: { id: collectionId, image: { altText } }
+        }, { idempotent: true });
+
+        this.assertNoUserErrors(data.collectionUpdate.userErrors, "Collection alt text update");
+        return data.collectionUpdate.collection.image;
+    },
+
+    async updateArticleImageAlt(admin, articleId, altText) {
+        const data = await this.graphql(admin, `#graphql
+            mutation articleAltUpdate($id: ID!, $article: ArticleUpdateInput!) {
+                articleUpdate(id: $id, article: $article) {
+                    article { id image { id altText } }
+                    userErrors { field message }
+                }
+            }`, {
+            id: articleId,
+            article: { image: { altText } }
+        }, { idempotent: true });
+
+        this.assertNoUserErrors(data.articleUpdate.userErrors, "Article alt text update");
+        return data.articleUpdate.article.image;
+    },
+
+    // Replaces the file behind a MediaImage in place; the ID stays the same. `filename` renames it too.
+    // `onUpdated` runs as soon as Shopify has taken the new file, before it is processed. With it, a file
+    // still processing after the last poll is returned as it is instead of failing the replacement.
+    async replaceFile(admin, fileId, originalSource, filename = null, { onUpdated = null } = {}) {
+        const data = await this.graphql(admin, `#graphql
+            mutation fileUpdate($files: [FileUpdateInput!]!) {
+                fileUpdate(files: $files) {
+                    files { id fileStatus }
+                    userErrors { field message }
+                }
+            }`, {
+            files: [{ id: fileId, originalSource, ...(filename ? { filename } : {}) }]
+        }, { idempotent: true });
+
+        this.assertNoUserErrors(data.fileUpdate.userErrors, "File update");
+        if (onUpdated) await onUpdated();
+        return this.waitForFile(admin, fileId, { allowPending: Boolean(onUpdated) });
+    },
+
+    // Adds files under Content > Files in one call and waits until each is processed.
+    // `files` is [{ originalSource, filename, alt }]; the result keeps their order.
+    async createFiles(admin, files) {
+        const data = await this.graphql(admin, `#graphql
+            mutation fileCreate($files: [FileCreateInput!]!) {
+                fileCreate(files: $files) {
+                    files { id fileStatus }
+                    userErrors { field message }
+                }
+            }`, {
+            files: files.map(({ originalSource, filename, alt }) => ({ originalSource, filename, alt: alt || null, contentType: "IMAGE" }))
+        });
+
+        this.assertNoUserErrors(data.fileCreate.userErrors, "File create");
+        const ready = [];
+        for (const file of data.fileCreate.files) {
+            ready.push(await this.waitForFile(admin, file.id));
+        }
+        return ready;
+    },
+
+    async deleteFiles(admin, fileIds) {
+        if (fileIds.length === 0) return [];
+        const data = await this.graphql(admin, `#graphql
+            mutation fileDelete($fileIds: [ID!]!) {
+                fileDelete(fileIds: $fileIds) {
+                    deletedFileIds
+                    userErrors { field message }
+                }
+            }`, { fileIds });
+
+        this.assertNoUserErrors(data.fileDelete.userErrors, "File delete");
+        return data.fileDelete.deletedFileIds;
+    },
+
+    async setJsonMetafield(admin, ownerId, namespace, key, value) {
+        const data = await this.graphql(admin, `#graphql
+            mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+                metafieldsSet(metafields: $metafields) {
+                    metafields { id }
+                    userErrors { field message }
+                }
+            }`, {
+            metafields: [{ ownerId, namespace, key, type: "json", value: JSON.stringify(value) }]
+        }, { idempotent: true });
+
+        this.assertNoUserErrors(data.metafieldsSet.userErrors, "Metafield update");
+        return data.metafieldsSet.metafields[0];
+    },
+
+    async deleteMetafield(admin, ownerId, namespace, key) {
+        const data = await this.graphql(admin, `#graphql
+            mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+                metafieldsDelete(metafields: $metafields) {
+                    deletedMetafields { key }
+                    userErrors { field message }
+                }
+            }`, {
+            metafields: [{ ownerId, namespace, key }]
+        }, { idempotent: true });
+
+        this.assertNoUserErrors(data.metafieldsDelete.userErrors, "Metafield delete");
+    },
+
+    // Shopify processes replaced files asynchronously; the new CDN URL exists once READY.
+    // With `allowPending`, running out of polls returns the file's last state rather than throwing.
+    async waitForFile(admin, fileId, { allowPending = false } = {}) {
+        let file = null;
+        for (let attempt = 0; attempt < this.FILE_POLL_ATTEMPTS; attempt++) {
+            const data = await this.graphql(admin, `#graphql
+                query fileStatus($id: ID!) {
+                    node(id: $id) {
+                        ... on MediaImage {
+                            id
+                            fileStatus
+                            fileErrors { message }
+                            image { url width height }
+                        }
+                    }
+                }`, { id: fileId });
+
+            file = data.node;
+            if (file?.fileStatus === "READY") return file;
+            if (file?.fileStatus === "FAILED") {
+                throw new Error(`File processing failed: ${file.fileErrors?.map(e => e.message).join("; ") || "unknown error"}`);
+            }
+
+            await requests.sleep(this.FILE_POLL_INTERVAL_MS);
+        }
+
+        if (allowPending) {
+            console.log(`[Media] File ${fileId} is still processing after ${this.FILE_POLL_ATTEMPTS} polls`);
+            return { id: fileId, image: null, ...file, fileStatus: file?.fileStatus || "PROCESSING" };
+        }
+        throw new Error(`Timed out waiting for file ${fileId} to process`);
+    }
+};
@@ -0,0 +1,154 @@
+// EXIF IFD0 ASCII tags that carry authorship
+const EXIF_COPYRIGHT_TAGS = { 0x013b: "Artist", 0x8298: "Copyright" };
+
+// XMP properties (Dublin Core, XMP Rights, Photoshop and IPTC Core) kept by the "copyright" policy
+const XMP_NAMESPACES = {
+    dc: "http://purl.org/dc/elements/1.1/",
+    xmpRights: "http://ns.adobe.com/xap/1.0/rights/",
+    photoshop: "http://ns.adobe.com/photoshop/1.0/",
+    Iptc4xmpCore: "http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/"
+};
+const XMP_RIGHTS_PROPERTIES = [
+    "dc:rights",
+    "dc:creator",
+    "xmpRights:Marked",
+    "xmpRights:UsageTerms",
+    "xmpRights:WebStatement",
+    "photoshop:Credit",
+    "photoshop:Source",
+    "Iptc4xmpCore:CreatorContactInfo"
+];
+
+// Metadata and color-profile handling for the encoder. Sharp drops EXIF, XMP and IPTC unless told
+// otherwise; these policies decide what survives and how embedded color profiles are treated.
+export const metadata = {
+    POLICIES: ["strip", "copyright", "all"],
+    // "srgb" converts to sRGB and embeds a compact sRGB profile, "srgb-untagged" converts without
+    // embedding one, "keep" leaves pixels and the source profile alone (Display P3 stays wide-gamut)
+    ICC_MODES: ["srgb", "srgb-untagged", "keep"],
+    POLICY_LABELS: { strip: "Strip all", copyright: "Keep copyright", all: "Keep all" },
+    ICC_LABELS: { "srgb": "Convert to sRGB", "srgb-untagged": "Convert to sRGB (untagged)", "keep": "Keep source profile" },
+
+    // Artist and Copyright from a raw EXIF block as sharp returns it ("Exif\0\0" + TIFF)
+    readExifCopyright(exif) {
+        if (!exif || exif.length < 14) return {};
+        const tiff = exif.subarray(0, 6).toString("latin1") === "Exif\0\0" ? exif.subarray(6) : exif;
+        const order = tiff.subarray(0, 2).toString("latin1");
+        if (order !== "II" && order !== "MM") return {};
+        const le = order === "II";
+        const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+        const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+
+        const fields = {};
+        try {
+            const ifd = u32(4);
+            const count = u16(ifd);
+            for (let i = 0; i < count; i++) {
+                const entry = ifd + 2 + i * 12;
+                const name = EXIF_COPYRIGHT_TAGS[u16(entry)];
+                // Type 2 is ASCII; values of up to four bytes are stored inline
+                if (!name || u16(entry + 2) !== 2) continue;
+                const length = u32(entry + 4);
+                const start = length <= 4 ? entry + 8 : u32(entry + 8);
+                const value = tiff.subarray(start, start + length).toString("utf8").replace(/\0+$/, "").trim();
+                if (value) fields[name] = value;
+            }
+        } catch {
+            // A truncated block: keep whatever was read before it ended
+        }
+        return fields;
+    },
+
+    // A fresh XMP packet holding only the rights properties of `xmp`, or null when it has none
+    readXmpRights(xmp) {
+        if (!xmp) return null;
+        const properties = [];
+        for (const name of XMP_RIGHTS_PROPERTIES) {
+            const escaped = name.replace(":", "\\:");
+            const element = xmp.match(new RegExp(`<${escaped}[\\s>][\\s\\S]*?</${escaped}>`));
+            if (element) {
+                properties.push(element[0]);
+                continue;
+            }
+            // Simple values are often written as attributes of rdf:Description
+            const attribute = xmp.match(new RegExp(`\\s${escaped}="([^"]*)"`));
+            if (attribute) properties.push(`<${name}>${attribute[1]}</${name}>`);
+        }
+        if (properties.length === 0) return null;
+
+        const namespaces = Object.entries(XMP_NAMESPACES).map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`).join(" ");
+        return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>` +
+            `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">` +
+            `<rdf:Description rdf:about="" ${namespaces}>${properties.join("")}</rdf:Description>` +
+            `</rdf:RDF></x:xmpmeta><?xpacket end="r"?>`;
+    },
+
+    // The profile's name ("Display P3", "sRGB IEC61966-2.1") from its desc tag, v2 or v4
+    iccDescription(icc) {
+        if (!icc || icc.length < 132) return null;
+        try {
+            const count = icc.readUInt32BE(128);
+            for (let i = 0; i < count; i++) {
+                const entry = 132 + i * 12;
+                if (icc.subarray(entry, entry + 4).toString("latin1") !== "desc") continue;
+                const offset = icc.readUInt32BE(entry + 4);
+                const type = icc.subarray(offset, offset + 4).toString("latin1");
+                if (type === "desc") {
+                    const length = icc.readUInt32BE(offset + 8);
+                    return icc.subarray(offset + 12, offset + 12 + length).toString("latin1").replace(/\0+$/, "").trim() || null;
+                }
+                if (type === "mluc") {
+                    const length = icc.readUInt32BE(offset + 20);
+                    const start = offset + icc.readUInt32BE(offset + 24);
+                    return icc.subarray(start, start + length).swap16().toString("utf16le").replace(/\0+$/, "").trim() || null;
+                }
+            }
+        } catch {
+            // Malformed profile; it still gets converted, just without a name to record
+        }
+        return null;
+    },
+
+    // What `apply` needs from the source's sharp metadata, as plain JSON (previews store it on disk)
+    inspect(meta) {
+        const exif = this.readExifCopyright(meta.exif);
+        return {
+            iccProfile: meta.icc ? (this.iccDescription(meta.icc) || "Embedded profile") : null,
+            copyright: {
+                exif: Object.keys(exif).length > 0 ? exif : null,
+                xmp: this.readXmpRights(meta.xmp ? meta.xmp.toString("utf8") : null)
+            }
+        };
+    },
+
+    // The ICC mode actually used: CMYK cannot be carried into web formats, so it is always converted
+    iccModeFor(profile, source) {
+        if (source?.cmyk && profile.iccMode === "keep") return "srgb";
+        return this.ICC_MODES.includes(profile.iccMode) ? profile.iccMode : "srgb";
+    },
+
+    // Applies the profile's metadata policy and ICC mode to a sharp pipeline
+    apply(sharpInstance, profile, source = null) {
+        let instance = sharpInstance;
+        const policy = this.POLICIES.includes(profile.metadataPolicy) ? profile.metadataPolicy : "strip";
+
+        if (policy === "all") {
+            instance = instance.keepMetadata();
+        } else if (policy === "copyright") {
+            const { exif, xmp } = source?.copyright || {};
+            if (exif) instance = instance.withExif({ IFD0: exif });
+            if (xmp) instance = instance.withXmp(xmp);
+        }
+
+        // Last, so it also decides the profile keepMetadata() would otherwise copy over
+        const iccMode = this.iccModeFor(profile, source);
+        if (iccMode === "keep") return instance.keepIccProfile();
+        return instance.withIccProfile("srgb", { attach: iccMode === "srgb" });
+    },
+
+    describe({ metadataPolicy, iccMode, sourceIccProfile }) {
+        if (!metadataPolicy) return null;
+        const icc = this.ICC_LABELS[iccMode] || iccMode;
+        return `Metadata: ${this.POLICY_LABELS[metadataPolicy] || metadataPolicy} · Color: ${sourceIccProfile ? `${sourceIccProfile}, ` : ""}${icc.charAt(0).toLowerCase()}${icc.slice(1)}`;
+    }
+};
@@ -1,244 +1,790 @@
+import { randomUUID } from "node:crypto";
 import sharp from "sharp";
+import { Prisma } from "@prisma/client";
 import prisma from "../db.server";
+import { backups } from "./backup.server";
+import { settings, DEFAULT_PROFILE } from "./settings.server";
+import { quality } from "./quality.server";
+import { media } from "./media.server";
+import { imageIndex } from "./imageIndex.server";
+import { history } from "./history.server";
+import { requests } from "./request.server";
+import { failures } from "./failures.server";
+import { sourceFormats } from "./sourceFormat.server";
+import { metadata } from "./metadata.server";
+import { filenames } from "./filenames.server";
+import { derivatives } from "./derivatives.server";
+import { focalPoints } from "./focalPoint.server";
+import { backgrounds } from "./background.server";
 
 export const optimizer = {
-    MAX_WIDTH: 2048,
-    WEBP_LIMIT_KB: 200,
+    // scanShop `type` -> ImageRecord.resourceType / result `type`
+    SCAN_TYPES: {
+        products: "Product",
+        collections: "Collection",
+        articles: "Article",
+        files: "File"
+    },
 
     async delay(ms) {
         return new Promise((resolve) => setTimeout(resolve, ms));
     },
 
-    async scanShop(admin, type = "all") {
-        console.log("[Scan] Starting...");
-        const results = [];
-        const currentShopImageIds = new Set();
+    stripQuery(url) {
+        return String(url || "").split("?")[0];
+    },
 
+    filenameFromUrl(url, fallback = "image") {
         try {
-            // First, get all existing DB records
-            const existingRecords = await prisma.imageRecord.findMany({
-                select: {
-                    shopifyImageId: true,
-                    status: true,
-                    savingsKb: true,
-                    originalKb: true,
-                    optimizedKb: true,
-                    originalUrl: true
+            const name = new URL(url).pathname.split("/").pop();
+            return name ? decodeURIComponent(name) : fallback;
+        } catch {
+            return fallback;
+        }
+    },
+
+    // Walks a connection page by page. `connection` is a dotted path into `data` (e.g. "product.images").
+    // `onPage(nextCursor)` runs after each page has been handled, with null once the last page is done.
+    async paginate(admin, query, connection, onNodes, { cursor = null, variables = {}, onPage } = {}) {
+        let hasNextPage = true;
+
+        while (hasNextPage) {
+            const data = await requests.graphql(admin, query, { ...variables, cursor }, { label: `Fetch ${connection}` });
+            const page = connection.split(".").reduce((node, key) => node?.[key], data.data);
+
+            // Never treat a failed page as the end of the connection: that would let stale cleanup run
+            if (!page) {
+                const message = data.errors?.map(e => e.message).join("; ") || "missing data";
+                throw new Error(`Failed to fetch ${connection}: ${message}`);
+            }
+
+            await onNodes(page.nodes || []);
+
+            hasNextPage = Boolean(page.pageInfo?.hasNextPage);
+            cursor = page.pageInfo?.endCursor || null;
+            if (onPage) await onPage(hasNextPage ? cursor : null);
+        }
+    },
+
+    // Products are fetched 25 at a time with their first 25 images (keeps the query under the cost limit);
+    // products with more images page through the rest individually. Image IDs are MediaImage GIDs,
+    // which fileUpdate can replace in place.
+    async scanProducts(admin, addImage, pagination) {
+        const addMedia = (product, nodes) => {
+            for (const m of nodes) {
+                if (!m.id || !m.image?.url) continue;
+                const img = { id: m.id, url: m.image.url, width: m.image.width, height: m.image.height, altText: m.alt };
+                addImage(img, product.id, product.title, "Product", { productType: product.productType, vendor: product.vendor, tags: product.tags });
+            }
+        };
+
+        await this.paginate(admin, `#graphql
+            query getProducts($cursor: String) {
+                products(first: 25, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        id
+                        title
+                        productType
+                        vendor
+                        tags
+                        media(first: 25, query: "media_type:IMAGE") {
+                            pageInfo { hasNextPage endCursor }
+                            nodes {
+                                ... on MediaImage { id alt image { url width height } }
+                            }
+                        }
+                    }
                 }
-            });
+            }`, "products", async (products) => {
+            for (const p of products) {
+                addMedia(p, p.media?.nodes || []);
 
-            const recordMap = new Map();
-            existingRecords.forEach(r => recordMap.set(r.shopifyImageId, r));
-
-            const optimizedCount = existingRecords.filter(r => r.status === "optimized").length;
-            console.log(`[Scan] DB has ${existingRecords.length} records, ${optimizedCount} optimized`);
-
-            if (type === "all" || type === "products") {
-                let hasNextPage = true;
-                let cursor = null;
-
-                while (hasNextPage) {
-                    const query = `#graphql
-                        query getProducts($cursor: String) {
-                            products(first: 50, after: $cursor) {
-                                pageInfo { hasNextPage endCursor }
-                                nodes {
-                                    id
-                                    title
-                                    images(first: 20) {
-                                        nodes { id url width height altText }
+                if (p.media?.pageInfo?.hasNextPage) {
+                    await this.paginate(admin, `#graphql
+                        query getProductMedia($id: ID!, $cursor: String) {
+                            product(id: $id) {
+                                media(first: 100, after: $cursor, query: "media_type:IMAGE") {
+                                    pageInfo { hasNextPage endCursor }
+                                    nodes {
+                                        ... on MediaImage { id alt image { url width height } }
                                     }
                                 }
                             }
-                        }`;
-
-                    const response = await admin.graphql(query, { variables: { cursor } });
-                    const data = await response.json();
-                    const products = data.data?.products?.nodes || [];
-
-                    for (const p of products) {
-                        for (const img of (p.images?.nodes || [])) {
-                            currentShopImageIds.add(img.id);
-
-                            const record = recordMap.get(img.id);
-                            const isOptimized = record?.status === "optimized";
-
-                            results.push({
-                                id: img.id,
-                                url: img.url,
-                                parentId: p.id,
-                                parentTitle: p.title,
-                                type: "Product",
-                                width: img.width,
-                                height: img.height,
-                                alt: img.altText,
-                                optimized: isOptimized,
-                                savedKb: isOptimized ? (record?.savingsKb || 0) : 0,
-                                originalKb: record?.originalKb || 0,
-                                optimizedKb: isOptimized ? (record?.optimizedKb || 0) : 0,
-                                percent: (isOptimized && record?.originalKb) ? Math.round(((record.originalKb - record.optimizedKb) / record.originalKb) * 100) : 0
-                            });
-                        }
+                        }`, "product.media", (nodes) => addMedia(p, nodes),
+                    { cursor: p.media.pageInfo.endCursor, variables: { id: p.id } });
+                }
+            }
+        }, pagination);
+    },
+
+    async scanCollections(admin, addImage, pagination) {
+        await this.paginate(admin, `#graphql
+            query getCollections($cursor: String) {
+                collections(first: 50, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        id
+                        title
+                        image { id url width height altText }
                     }
+                }
+            }`, "collections", (collections) => {
+            for (const c of collections) {
+                if (c.image) addImage(c.image, c.id, c.title, "Collection");
+            }
+        }, pagination);
+    },
 
-                    hasNextPage = data.data?.products?.pageInfo?.hasNextPage;
-                    cursor = data.data?.products?.pageInfo?.endCursor;
-                    if (results.length > 2500) hasNextPage = false;
+    async scanArticles(admin, addImage, pagination) {
+        await this.paginate(admin, `#graphql
+            query getArticles($cursor: String) {
+                articles(first: 50, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        id
+                        title
+                        image { id url width height altText }
+                    }
                 }
+            }`, "articles", (articles) => {
+            for (const a of articles) {
+                if (a.image) addImage(a.image, a.id, a.title, "Article");
             }
+        }, pagination);
+    },
 
-            // Clean up stale DB records (images no longer in shop)
-            const staleRecords = existingRecords.filter(r => !currentShopImageIds.has(r.shopifyImageId));
-            if (staleRecords.length > 0) {
-                console.log(`[Scan] Found ${staleRecords.length} stale DB records. Cleaning up...`);
-                await prisma.imageRecord.deleteMany({
-                    where: {
-                        shopifyImageId: {
-                            in: staleRecords.map(r => r.shopifyImageId)
+    // Content > Files. Only MediaImage nodes can be re-encoded.
+    async scanFiles(admin, addImage, pagination) {
+        await this.paginate(admin, `#graphql
+            query getFiles($cursor: String) {
+                files(first: 50, after: $cursor, query: "media_type:IMAGE") {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        ... on MediaImage {
+                            id
+                            alt
+                            image { url width height }
+                        }
+                    }
+                }
+            }`, "files", (files) => {
+            for (const f of files) {
+                if (!f.id || !f.image?.url) continue;
+                const img = { id: f.id, url: f.image.url, width: f.image.width, height: f.image.height, altText: f.alt };
+                addImage(img, f.id, this.filenameFromUrl(f.image.url), "File");
+            }
+        }, pagination);
+    },
+
+    // Resume an interrupted pass from its checkpoint, or start a fresh one.
+    async beginPass(shop, type) {
+        const existing = await prisma.scanState.findUnique({ where: { shop_type: { shop, type } } });
+        if (existing?.status === "running") {
+            console.log(`[Scan] Resuming ${type} pass ${existing.passId} from ${existing.cursor ? "checkpoint" : "start"}`);
+            return existing;
+        }
+
+        const fresh = { passId: randomUUID(), cursor: null, status: "running", startedAt: new Date(), completedAt: null };
+        return prisma.scanState.upsert({
+            where: { shop_type: { shop, type } },
+            update: fresh,
+            create: { ...fresh, shop, type }
+        });
+    },
+
+    async rekeyRecords(shop, rekeys) {
+        for (const [oldId, newId] of rekeys) {
+            await prisma.imageRecord.updateMany({
+                where: { shop: { in: [shop, ""] }, shopifyImageId: oldId },
+                data: { shop, shopifyImageId: newId }
+            });
+            console.log(`[Scan] Re-keyed ${oldId} -> ${newId}`);
+        }
+    },
+
+    async markSeen(shop, ids, passId) {
+        if (ids.length === 0) return;
+
+        await prisma.imageRecord.updateMany({
+            where: { shop, shopifyImageId: { in: ids } },
+            data: { lastSeenPassId: passId }
+        });
+
+        // Claim legacy records (no shop) whose image we just saw in this shop.
+        // Shopify GIDs are globally unique, so a match proves ownership.
+        const { count } = await prisma.imageRecord.updateMany({
+            where: { shop: "", shopifyImageId: { in: ids } },
+            data: { shop, lastSeenPassId: passId }
+        });
+        if (count > 0) console.log(`[Scan] Claimed ${count} legacy records for ${shop}`);
+    },
+
+    // Only a complete pass proves an image is gone. Records touched since the pass began
+    // (seen, optimized or restored meanwhile) are kept.
+    async completePass(shop, type, pass) {
+        await prisma.scanState.update({
+            where: { id: pass.id },
+            data: { status: "complete", cursor: null, lastError: null, completedAt: new Date() }
+        });
+
+        const { count } = await prisma.imageRecord.deleteMany({
+            where: {
+                shop,
+                resourceType: this.SCAN_TYPES[type],
+                updatedAt: { lt: pass.startedAt },
+                OR: [{ lastSeenPassId: null }, { lastSeenPassId: { not: pass.passId } }]
+            }
+        });
+        if (count > 0) console.log(`[Scan] Deleted ${count} stale ${type} records`);
+
+        await imageIndex.removeStale(shop, this.SCAN_TYPES[type], pass);
+    },
+
+    // Passes the last scan could not finish, so the dashboard can say its list is partial
+    async incompleteScans(shop) {
+        const states = await prisma.scanState.findMany({
+            where: { shop, status: "running", lastError: { not: null } },
+            select: { type: true, lastError: true, updatedAt: true }
+        });
+        return states.map(s => ({ type: s.type, message: s.lastError, at: s.updatedAt }));
+    },
+
+    async scanShop(admin, shop, type = "all") {
+        console.log(`[Scan] Starting for ${shop}...`);
+        const results = [];
+        // Types whose pass stopped early; their records and cursor are kept for the next scan
+        const failures = [];
+        const currentShopImageIds = new Set();
+
+        if (!shop) {
+            throw new Error("Missing shop");
+        }
+
+        const types = type === "all" ? Object.keys(this.SCAN_TYPES) : [type];
+        if (types.some(t => !this.SCAN_TYPES[t])) {
+            throw new Error(`Unknown scan type: ${type}`);
+        }
+
+        const scanners = {
+            products: this.scanProducts,
+            collections: this.scanCollections,
+            articles: this.scanArticles,
+            files: this.scanFiles
+        };
+
+        // First, get this shop's DB records plus any legacy rows that predate shop scoping
+        const existingRecords = await prisma.imageRecord.findMany({
+            where: { shop: { in: [shop, ""] } },
+            select: {
+                shopifyImageId: true,
+                status: true,
+                savingsKb: true,
+                originalKb: true,
+                optimizedKb: true,
+                optimizedUrl: true,
+                resourceType: true,
+                skipReason: true
+            }
+        });
+
+        const recordMap = new Map();
+        existingRecords.forEach(r => recordMap.set(r.shopifyImageId, r));
+
+        // Records keyed by REST ProductImage IDs (before the move to MediaImage) are matched
+        // by the CDN URL they left behind and re-keyed to the MediaImage ID.
+        const legacyByUrl = new Map();
+        existingRecords
+            .filter(r => r.shopifyImageId.startsWith("gid://shopify/ProductImage/") && r.optimizedUrl)
+            .forEach(r => legacyByUrl.set(this.stripQuery(r.optimizedUrl), r));
+        let rekeys = [];
+
+        // Product media also shows up in the Files list. A products pass that resumed from a checkpoint
+        // or stopped early has not seen all of it, so the stored product rows count too.
+        const productImageIds = new Set(existingRecords.filter(r => r.resourceType === "Product").map(r => r.shopifyImageId));
+        if (types.includes("files")) {
+            const indexed = await prisma.imageIndex.findMany({
+                where: { shop, resourceType: "Product" },
+                select: { shopifyImageId: true }
+            });
+            indexed.forEach(i => productImageIds.add(i.shopifyImageId));
+        }
+
+        const optimizedCount = existingRecords.filter(r => r.status === "optimized").length;
+        console.log(`[Scan] DB has ${existingRecords.length} records, ${optimizedCount} optimized`);
+
+        let pageIds = [];
+        let pageItems = [];
+
+        // `product` carries productType, vendor and tags for product images (reports, exclusion rules)
+        const addImage = (img, parentId, parentTitle, resourceType, product = {}) => {
+            // Collection and article images may have no ID of their own
+            const id = img.id || `${parentId}/image`;
+            if (currentShopImageIds.has(id)) return;
+            // Keep product media under its product (and its productType, vendor and tags)
+            if (resourceType === "File" && productImageIds.has(id)) return;
+            if (resourceType === "Product") productImageIds.add(id);
+            currentShopImageIds.add(id);
+            pageIds.push(id);
+
+            let record = recordMap.get(id);
+            if (!record && resourceType === "Product") {
+                record = legacyByUrl.get(this.stripQuery(img.url));
+                if (record) rekeys.push([record.shopifyImageId, id]);
+            }
+            const isOptimized = record?.status === "optimized";
+            const isSkipped = record?.status === "skipped";
+
+            const result = {
+                id,
+                url: img.url,
+                parentId,
+                parentTitle,
+                type: resourceType,
+                width: img.width,
+                height: img.height,
+                alt: img.altText,
+                productType: product.productType || null,
+                vendor: product.vendor || null,
+                tags: product.tags || [],
+                optimized: isOptimized,
+                status: isOptimized ? "optimized" : (isSkipped ? "skipped" : "pending"),
+                skipReason: isSkipped ? record.skipReason : null,
+                savedKb: isOptimized ? (record?.savingsKb || 0) : 0,
+                originalKb: record?.originalKb || 0,
+                optimizedKb: isOptimized ? (record?.optimizedKb || 0) : 0,
+                percent: (isOptimized && record?.originalKb) ? Math.round(((record.originalKb - record.optimizedKb) / record.originalKb) * 100) : 0
+            };
+            results.push(result);
+            pageItems.push(result);
+        };
+
+        for (const t of types) {
+            // A failing type (e.g. a missing scope) leaves its pass open without blocking the others
+            try {
+                const pass = await this.beginPass(shop, t);
+                pageIds = [];
+                pageItems = [];
+
+                await scanners[t].call(this, admin, addImage, {
+                    cursor: pass.cursor,
+                    // Checkpoint after every page so an interrupted crawl resumes here
+                    onPage: async (nextCursor) => {
+                        await this.rekeyRecords(shop, rekeys);
+                        rekeys = [];
+                        await this.settleUploads(shop, pageItems.filter(i => i.optimized && !recordMap.get(i.id)?.optimizedUrl));
+                        await this.markSeen(shop, pageIds, pass.passId);
+                        await imageIndex.upsertItems(shop, pageItems, pass.passId);
+                        pageIds = [];
+                        pageItems = [];
+                        if (nextCursor) {
+                            await prisma.scanState.update({ where: { id: pass.id }, data: { cursor: nextCursor } });
                         }
                     }
                 });
-                console.log(`[Scan] Deleted ${staleRecords.length} stale records`);
+
+                await this.completePass(shop, t, pass);
+            } catch (error) {
+                console.error(`[Scan Error] ${t}:`, error);
+                failures.push({ type: t, message: error.message });
+                await prisma.scanState.updateMany({
+                    where: { shop, type: t, status: "running" },
+                    data: { lastError: error.message }
+                });
             }
+        }
 
-        } catch (error) {
-            console.error("[Scan Error]", error);
+        const complete = failures.length === 0;
+        console.log(`[Scan] Found ${results.length} images in shop${complete ? "" : ` (incomplete: ${failures.map(f => f.type).join(", ")})`}`);
+        return { items: results, complete, failures };
+    },
+
+    qualityFor(format, profile) {
+        if (format === "avif") return profile.avifQuality;
+        if (format === "jpeg") return profile.jpegQuality;
+        return profile.webpQuality;
+    },
+
+    encode(sharpInstance, format, q) {
+        const instance = sharpInstance.clone();
+        if (format === "avif") return instance.avif({ quality: q, speed: 5 }).toBuffer();
+        if (format === "jpeg") return instance.jpeg({ quality: q, mozjpeg: true }).toBuffer();
+        return instance.webp({ quality: q }).toBuffer();
+    },
+
+    // Sources that bypass the lossy format race: one fixed encoding per policy
+    async encodeForPolicy(sharpInstance, policy, profile) {
+        const instance = sharpInstance.clone();
+        if (policy === "animated-webp") {
+            return { buffer: await instance.webp({ quality: profile.webpQuality }).toBuffer(), format: "webp", quality: profile.webpQuality, score: null };
+        }
+        if (policy === "lossless-webp") {
+            return { buffer: await instance.webp({ lossless: true }).toBuffer(), format: "webp", quality: null, score: null };
+        }
+        if (policy === "palette-png") {
+            return { buffer: await instance.png({ palette: true, compressionLevel: 9, effort: 10 }).toBuffer(), format: "png", quality: null, score: null };
+        }
+        throw new Error(`Unknown format policy: ${policy}`);
+    },
+
+    // Binary-search the lowest quality whose SSIM against the reference meets the profile's target
+    async encodeToTarget(sharpInstance, format, profile, reference) {
+        let low = profile.minQuality;
+        let high = profile.maxQuality;
+        let best = null;
+
+        while (low <= high) {
+            const q = Math.floor((low + high) / 2);
+            const buffer = await this.encode(sharpInstance, format, q);
+            const score = await quality.score(reference, buffer);
+
+            if (score >= profile.targetScore) {
+                best = { buffer, quality: q, score };
+                high = q - 1;
+            } else {
+                low = q + 1;
+            }
+        }
+
+        if (best) return best;
+
+        // Even the ceiling misses the target: keep the best quality the profile allows
+        const buffer = await this.encode(sharpInstance, format, profile.maxQuality);
+        return { buffer, quality: profile.maxQuality, score: await quality.score(reference, buffer) };
+    },
+
+    // The rotated/resized source every candidate is encoded from. Without `source` (the preview
+    // heatmap) an animated image is read as its first frame.
+    prepareSource(buffer, profile = DEFAULT_PROFILE, source = null) {
+        // Animations carry no EXIF orientation, and every frame has to be kept
+        let sharpInstance = source?.animated ? sharp(buffer, { animated: true }) : sharp(buffer).rotate();
+
+        // "inside" only ever scales the whole frame, so there is no crop for a focal point to steer
+        if (profile.maxWidth || profile.maxHeight) {
+            sharpInstance = sharpInstance.resize({
+                width: profile.maxWidth || undefined,
+                height: profile.maxHeight || undefined,
+                fit: "inside",
+                withoutEnlargement: true
+            });
         }
 
-        console.log(`[Scan] Found ${results.length} images in shop`);
-        return results;
+        // Metadata policy and ICC mode; CMYK sources are always converted to sRGB here
+        return metadata.apply(sharpInstance, profile, source);
     },
 
-    async optimizeImageLogic(buffer, width) {
+    // Returns the candidate plus the detected `source` and the format `decision` taken for it.
+    // Sources the policies leave alone come back with their original bytes and a skipReason.
+    // When the profile normalizes backgrounds and one was found, `background` describes it and
+    // `normalizedBuffer` holds the image that was encoded in place of the original.
+    async optimizeImageLogic(buffer, profile = DEFAULT_PROFILE) {
         const sizeKb = buffer.byteLength / 1024;
-        let sharpInstance = sharp(buffer).rotate();
 
-        if (width && width > this.MAX_WIDTH) {
-            sharpInstance = sharpInstance.resize({ width: this.MAX_WIDTH, withoutEnlargement: true });
+        // AVIF is slow to encode; below the threshold it rarely beats the other formats
+        let formats = profile.formats?.length ? profile.formats : DEFAULT_PROFILE.formats;
+        if (sizeKb < profile.avifMinKb && formats.some(f => f !== "avif")) {
+            formats = formats.filter(f => f !== "avif");
         }
 
-        let outputBuffer;
-        let format = 'webp';
+        let best = null;
 
         try {
-            if (sizeKb < this.WEBP_LIMIT_KB) {
-                outputBuffer = await sharpInstance.clone().webp({ quality: 80 }).toBuffer();
-            } else {
-                const webpBuffer = await sharpInstance.clone().webp({ quality: 80 }).toBuffer();
-                const avifBuffer = await sharpInstance.clone().avif({ quality: 60, speed: 5 }).toBuffer();
-                if (avifBuffer.byteLength < webpBuffer.byteLength) {
-                    outputBuffer = avifBuffer;
-                    format = 'avif';
+            let source = await sourceFormats.detect(buffer);
+
+            // Still images only; SVGs stay vector and every frame of an animation would need its own pass
+            const normalized = source.format !== "svg" && !source.animated
+                ? await backgrounds.normalize(buffer, profile)
+                : null;
+            if (normalized) {
+                source = { ...source, transparent: normalized.info.mode === "transparent" };
+            }
+            const working = normalized?.buffer || buffer;
+            const background = normalized?.info || null;
+
+            const decision = sourceFormats.decide(source, profile);
+            console.log(`[Optimize] Source ${source.format}${source.animated ? " (animated)" : ""}${source.transparent ? " (transparent)" : ""}${source.cmyk ? " (CMYK)" : ""}: ${decision.policy}`);
+
+            if (decision.skipReason) {
+                return { buffer, format: source.format, quality: null, score: null, source, decision, skipReason: decision.skipReason };
+            }
+
+            const sharpInstance = this.prepareSource(working, profile, source);
+            if (decision.policy !== "lossy") {
+                return { ...await this.encodeForPolicy(sharpInstance, decision.policy, profile), source, decision, background, normalizedBuffer: normalized?.buffer };
+            }
+
+            // JPEG would flatten transparency onto black
+            if (source.transparent && formats.some(f => f !== "jpeg")) {
+                formats = formats.filter(f => f !== "jpeg");
+            }
+
+            const reference = profile.qualityMode === "perceptual"
+                ? await quality.prepareReference(sharpInstance)
+                : null;
+
+            for (const candidate of formats) {
+                let result;
+                if (reference) {
+                    result = await this.encodeToTarget(sharpInstance, candidate, profile, reference);
                 } else {
-                    outputBuffer = webpBuffer;
+                    const q = this.qualityFor(candidate, profile);
+                    result = { buffer: await this.encode(sharpInstance, candidate, q), quality: q, score: null };
+                }
+
+                if (!best || result.buffer.byteLength < best.buffer.byteLength) {
+                    best = { ...result, format: candidate, source, decision, background, normalizedBuffer: normalized?.buffer };
                 }
             }
         } catch (err) {
             console.error("[Sharp Error]", err);
-            throw new Error("Image processing failed: " + err.message);
+            throw failures.tag(new Error("Image processing failed: " + err.message), failures.isDecodeError(err) ? "decode" : "encode");
         }
 
-        return { buffer: outputBuffer, format };
+        return best;
+    },
+
+    // Decide whether a candidate encode is worth uploading. Returns a reason string to skip, or null.
+    skipReason(originalBytes, candidateBytes, shopSettings) {
+        const savedBytes = originalBytes - candidateBytes;
+        const savedKb = savedBytes / 1024;
+        const savedPct = originalBytes > 0 ? (savedBytes / originalBytes) * 100 : 0;
+
+        if (savedBytes <= 0) {
+            return `Output is not smaller than the original (${Math.round(originalBytes / 1024)}KB -> ${Math.round(candidateBytes / 1024)}KB)`;
+        }
+        if (savedPct < shopSettings.minSavingsPct) {
+            return `Saves only ${savedPct.toFixed(1)}% (minimum ${shopSettings.minSavingsPct}%)`;
+        }
+        if (savedKb < shopSettings.minSavingsKb) {
+            return `Saves only ${savedKb.toFixed(1)}KB (minimum ${shopSettings.minSavingsKb}KB)`;
+        }
+        return null;
     },
 
     // SIMPLIFIED: No metafield backup, DB is source of truth
-    async commitImage(admin, session, item) {
+    // `context` ({ actor, actorId, source }) is written to the image's history.
+    async commitImage(admin, session, item, context = {}) {
         console.log(`[Optimize] Starting: ${item.id}`);
 
-        if (!session?.shop || !session?.accessToken) {
+        if (!session?.shop) {
             throw new Error("Invalid session");
         }
 
-        const productId = item.parentId;
-        const imageId = item.id;
-
-        // 1. Download original
-        console.log(`[Optimize] Downloading: ${item.url}`);
-        const res = await fetch(item.url);
-        if (!res.ok) throw new Error(`Download failed: ${res.status}`);
-        const originalBuffer = Buffer.from(await res.arrayBuffer());
-        const originalKb = Math.round(originalBuffer.length / 1024);
-        console.log(`[Optimize] Downloaded: ${originalKb}KB`);
+        try {
+            // 1. Download original
+            const { buffer: originalBuffer, contentType } = await this.downloadOriginal(item);
 
-        // 2. Optimize
-        console.log(`[Optimize] Processing...`);
-        const { buffer, format } = await this.optimizeImageLogic(originalBuffer, item.width);
-        const optimizedKb = Math.round(buffer.length / 1024);
-        console.log(`[Optimize] Compressed: ${originalKb}KB -> ${optimizedKb}KB (${format})`);
-
-        // 3. Upload to Shopify (creates NEW image ID)
-        console.log(`[Optimize] Uploading...`);
-        const productNumericId = productId.split("/").pop();
-        const imageNumericId = imageId.split("/").pop();
-
-        const uploadRes = await fetch(
-            `https://${session.shop}/admin/api/2024-10/products/${productNumericId}/images/${imageNumericId}.json`,
-            {
-                method: "PUT",
-                headers: {
-                    "X-Shopify-Access-Token": session.accessToken,
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify({
-                    image: {
-                        id: Number(imageNumericId),
-                        attachment: buffer.toString("base64"),
-                        filename: `optimized.${format}`
-                    }
-                })
-            }
-        );
+            // 2. Optimize with the shop's active profile
+            const profile = await settings.getActiveProfile(session.shop);
+            console.log(`[Optimize] Processing with profile "${profile.name}"...`);
+            const candidate = await this.optimizeImageLogic(originalBuffer, profile);
 
-        if (!uploadRes.ok) {
-            const errText = await uploadRes.text();
-            console.error(`[Optimize] Upload failed: ${uploadRes.status}`, errText);
-            throw new Error(`Upload failed: ${uploadRes.status}`);
+            return await this.commitCandidate(admin, session, item, {
+                originalBuffer,
+                contentType,
+                candidate,
+                profile
+            }, context);
+        } catch (error) {
+            await history.recordFailure(session.shop, item.id, context, error);
+            await failures.record(session.shop, item, "optimize", error);
+            throw error;
         }
+    },
 
-        const uploadData = await uploadRes.json();
-        const newImageId = uploadData.image?.id;
-
-        if (!newImageId) {
-            throw new Error("No image ID returned from upload");
+    async downloadOriginal(item) {
+        console.log(`[Optimize] Downloading: ${item.url}`);
+        try {
+            const res = await requests.fetchWithRetry(item.url, {}, { label: "Download" });
+            if (!res.ok) throw new Error(`Download failed: ${res.status}`);
+            const buffer = Buffer.from(await res.arrayBuffer());
+            console.log(`[Optimize] Downloaded: ${Math.round(buffer.length / 1024)}KB`);
+            return { buffer, contentType: res.headers.get("content-type") };
+        } catch (error) {
+            throw failures.tag(error, "download");
         }
+    },
 
-        const newGid = `gid://shopify/ProductImage/${newImageId}`;
-        console.log(`[Optimize] Uploaded. New GID: ${newGid}`);
+    // Uploads an encoded candidate (fresh, or cached by a preview) in place of the original,
+    // unless the shop's skip rules say it is not worth it.
+    async commitCandidate(admin, session, item, { originalBuffer, contentType, candidate, profile }, context = {}) {
+        const productId = item.parentId;
+        const imageId = item.id;
+        const { buffer, format, quality: encodeQuality, score } = candidate;
+        const profileName = profile.name;
+        const originalKb = Math.round(originalBuffer.length / 1024);
+        const optimizedKb = Math.round(buffer.length / 1024);
+        console.log(`[Optimize] Compressed: ${originalKb}KB -> ${optimizedKb}KB (${format}${encodeQuality !== null ? ` q${encodeQuality}` : ""}${score !== null ? `, SSIM ${score.toFixed(4)}` : ""})`);
+        // What the source was and how its format policy handled it
+        const formatDecision = {
+            sourceFormat: candidate.source?.format || null,
+            formatPolicy: candidate.decision?.policy || null,
+            convertedToSrgb: Boolean(candidate.decision?.convertToSrgb),
+            // Originals left in place keep all their metadata
+            metadataPolicy: candidate.source && !candidate.skipReason ? profile.metadataPolicy : null,
+            iccMode: candidate.source && !candidate.skipReason ? metadata.iccModeFor(profile, candidate.source) : null,
+            sourceIccProfile: candidate.source?.iccProfile || null
+        };
 
-        // 4. DB is the SOURCE OF TRUTH - store backup here
-        await prisma.imageRecord.upsert({
-            where: { shopifyImageId: newGid },
-            update: {
-                status: "optimized",
-                productId: productId,
-                originalUrl: item.url,
-                optimizedUrl: uploadData.image.src,
-                originalKb,
-                optimizedKb,
-                savingsKb: originalKb - optimizedKb
-            },
-            create: {
-                shopifyImageId: newGid,
+        // Leave Shopify untouched when a format policy keeps the original or the re-encode is not worth it.
+        // A replaced background is a wanted change, so the savings minimums do not apply to it.
+        const shopSettings = await settings.getSettings(session.shop);
+        const skipReason = candidate.skipReason || (candidate.background ? null : this.skipReason(originalBuffer.length, buffer.length, shopSettings));
+        const event = {
+            settings: history.settingsSnapshot(profile, shopSettings),
+            originalBytes: originalBuffer.length,
+            resultBytes: buffer.length,
+            format,
+            quality: encodeQuality,
+            qualityScore: score
+        };
+
+        if (skipReason) {
+            console.log(`[Optimize] Skipped: ${skipReason}`);
+            // Re-evaluating an optimized image must not make its optimized URL the "original"
+            const existing = await prisma.imageRecord.findUnique({
+                where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: imageId } },
+                select: { status: true }
+            });
+            const skipped = {
+                status: "skipped",
+                skipReason,
                 productId: productId,
+                resourceType: item.type || "Product",
                 originalUrl: item.url,
-                optimizedUrl: uploadData.image.src,
-                status: "optimized",
+                optimizedUrl: null,
+                optimizedAt: null,
                 originalKb,
                 optimizedKb,
-                savingsKb: originalKb - optimizedKb
+                savingsKb: 0,
+                profileName,
+                encodeQuality,
+                qualityScore: score,
+                ...formatDecision
+            };
+            if (existing?.status !== "optimized") {
+                await prisma.imageRecord.upsert({
+                    where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: imageId } },
+                    update: skipped,
+                    create: { ...skipped, shop: session.shop, shopifyImageId: imageId }
+                });
+                await imageIndex.sync(session.shop, item);
             }
+            await history.record(session.shop, imageId, "skip", context, { ...event, url: item.url, error: skipReason });
+            await failures.clear(session.shop, imageId);
+            await this.buildDerivatives(admin, session.shop, item, originalBuffer, candidate.source, shopSettings);
+
+            return {
+                skipped: true,
+                reason: skipReason,
+                beforeKb: originalKb,
+                afterKb: optimizedKb,
+                percent: 0,
+                newId: imageId
+            };
+        }
+
+        // Keep the exact original bytes before anything is replaced on Shopify
+        const backup = await backups.save(session.shop, imageId, originalBuffer, { contentType });
+
+        // Collection and article images come back under a new ID; their focal point moves with them.
+        // A normalized background trims and re-pads the frame, so the point is mapped into the new one.
+        const previousFocal = await focalPoints.get(session.shop, imageId);
+        const focal = previousFocal && candidate.background
+            ? focalPoints.toFrame(previousFocal, candidate.background.frame)
+            : previousFocal;
+        // Frames are relative to the backed-up original, which is this upload's input
+        const background = {
+            backgroundMode: candidate.background?.mode || null,
+            backgroundColor: candidate.background?.color || null,
+            backgroundFrame: candidate.background?.frame || Prisma.DbNull
+        };
+
+        // The record the upload leaves behind. DB is the SOURCE OF TRUTH - store backup here
+        const optimized = {
+            status: "optimized",
+            skipReason: null,
+            productId: productId,
+            resourceType: item.type || "Product",
+            originalUrl: item.url,
+            optimizedAt: new Date(),
+            originalKb,
+            optimizedKb,
+            savingsKb: originalKb - optimizedKb,
+            backupKey: backup.key,
+            backupChecksum: backup.checksum,
+            backupBytes: backup.bytes,
+            backupMimeType: backup.contentType,
+            focalX: focal?.x ?? null,
+            focalY: focal?.y ?? null,
+            profileName,
+            encodeQuality,
+            qualityScore: score,
+            ...formatDecision,
+            ...background
+        };
+
+        // 3. Upload to Shopify under the shop's file name template (collection and article images get a NEW image ID)
+        const filename = await filenames.forImage(admin, session.shop, item, shopSettings.filenameTemplate, format);
+        console.log(`[Optimize] Uploading as ${filename}...`);
+        // Once Shopify has the new file, the store no longer serves the original. The record points at the
+        // backup before waiting for processing, so a retry cannot back up our own output as the original.
+        const uploaded = await this.replaceImage(admin, session, item, {
+            buffer,
+            filename,
+            mimeType: `image/${format}`
+        }, {
+            onReplaced: () => prisma.imageRecord.upsert({
+                where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: imageId } },
+                update: { ...optimized, filename, optimizedUrl: null, liveUrl: null },
+                create: { ...optimized, filename, optimizedUrl: null, liveUrl: null, shop: session.shop, shopifyImageId: imageId }
+            })
+        });
+        const newGid = uploaded.id;
+        console.log(uploaded.processing
+            ? `[Optimize] Uploaded. Shopify is still processing ${newGid}; its URL is picked up by the next scan or webhook`
+            : `[Optimize] Uploaded. New GID: ${newGid}`);
+
+        // The uploaded bytes are a version the history can roll back to
+        const version = await backups.save(session.shop, imageId, buffer, { contentType: `image/${format}` });
+
+        // A URL that settleUploads already picked up while we were polling is kept
+        const urls = uploaded.processing ? {} : { optimizedUrl: uploaded.url, liveUrl: uploaded.url };
+        await prisma.imageRecord.upsert({
+            where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: newGid } },
+            update: { ...optimized, ...urls, filename, uploadStartedAt: null },
+            create: { ...optimized, ...urls, filename, uploadStartedAt: null, shop: session.shop, shopifyImageId: newGid }
         });
 
         // Cleanup old ID if changed
         if (newGid !== item.id) {
             console.log(`[Optimize] ID changed: ${item.id} -> ${newGid}`);
             try {
-                await prisma.imageRecord.deleteMany({ where: { shopifyImageId: item.id } });
+                await prisma.imageRecord.deleteMany({ where: { shop: session.shop, shopifyImageId: item.id } });
             } catch (e) {
                 console.error("[Optimize] Error deleting old record:", e);
             }
         }
 
+        await imageIndex.sync(session.shop, { ...item, id: newGid, url: uploaded.url || item.url }, item.id);
+        await history.rename(session.shop, item.id, newGid);
+        await derivatives.rename(session.shop, item.id, newGid);
+        await history.record(session.shop, newGid, "optimize", context, {
+            ...event,
+            url: uploaded.url,
+            versionKey: version.key,
+            versionChecksum: version.checksum,
+            versionMimeType: version.contentType,
+            background: candidate.background ?? undefined
+        });
+
+        await failures.clear(session.shop, item.id);
+        // The image is live by now, so the follow-up steps below log their failures rather than throw
+        if (focal && candidate.background) {
+            await this.followFrame(admin, session.shop, { ...item, id: newGid }, focal);
+        }
+        await this.buildDerivatives(admin, session.shop, { ...item, id: newGid }, originalBuffer, candidate.source, shopSettings);
+
         console.log(`[Optimize] Complete! Saved ${originalKb - optimizedKb}KB`);
 
         return {
@@ -249,58 +795,311 @@ export const optimizer = {
         };
     },
 
-    // SIMPLIFIED: DB-only restore, no metafield dependency
-    async restoreImage(admin, session, item) {
+    // After an upload changed the live frame (a background was normalized, or a restore or rollback
+    // undid one), syncs `point` to the focal point metafield and, with `rebuildDerivatives`, recrops
+    // the derivatives the image already has from the new live bytes.
+    async followFrame(admin, shop, item, point, { rebuildDerivatives = false } = {}) {
+        if (point) {
+            try {
+                await focalPoints.sync(admin, item, point);
+                console.log(`[Focal] Moved to ${point.x}, ${point.y} for ${item.id}`);
+            } catch (error) {
+                console.error(`[Focal] Could not sync ${item.id}:`, error.message);
+            }
+        }
+        if (!rebuildDerivatives || (await derivatives.list(shop, item.id)).length === 0) return;
+        try {
+            await derivatives.generate(admin, shop, item);
+        } catch (error) {
+            console.error(`[Derivatives] Failed for ${item.id}:`, error.message);
+        }
+    },
+
+    // Crops the original into the shop's derivatives when any ratios are selected. SVG and animated
+    // sources have no derivatives.
+    async buildDerivatives(admin, shop, item, originalBuffer, source, shopSettings) {
+        if (shopSettings.derivativeRatios.length === 0 || !derivatives.supports(item)) return;
+        if (source?.format === "svg" || source?.animated) return;
+        try {
+            await derivatives.generate(admin, shop, item, { buffer: originalBuffer });
+        } catch (error) {
+            console.error(`[Derivatives] Failed for ${item.id}:`, error.message);
+        }
+    },
+
+    // An upload Shopify was still processing when commitCandidate stopped waiting is recorded without
+    // its URL. The first scan or webhook that shows the image under a URL other than the one it was
+    // optimized from carries the processed file, so that URL becomes the optimized one.
+    async settleUploads(shop, images) {
+        if (images.length === 0) return;
+        const unsettled = await prisma.imageRecord.findMany({
+            where: { shop, shopifyImageId: { in: images.map(i => i.id) }, status: "optimized", optimizedUrl: null },
+            select: { id: true, shopifyImageId: true, originalUrl: true }
+        });
+
+        for (const record of unsettled) {
+            const url = images.find(i => i.id === record.shopifyImageId)?.url;
+            if (!url || this.stripQuery(url) === this.stripQuery(record.originalUrl)) continue;
+            await prisma.imageRecord.update({ where: { id: record.id }, data: { optimizedUrl: url, liveUrl: url } });
+            await prisma.imageIndex.updateMany({ where: { shop, shopifyImageId: record.shopifyImageId }, data: { url } });
+            console.log(`[Optimize] Processed upload settled for ${record.shopifyImageId}`);
+        }
+    },
+
+    // Puts new image bytes (or, for legacy restores, a source URL) in place of `item` on Shopify.
+    // Everything goes through admin.graphql, so the API version in shopify.server.js applies.
+    // Returns the image's ID afterwards, which changes for collection and article images, and its URL.
+    // For product media and files, `onReplaced` runs once Shopify has taken the new file. A caller that
+    // records the replacement there gets `processing: true` and no URL back when Shopify is still
+    // processing the file after the last poll, instead of an error.
+    async replaceImage(admin, session, item, source, { onReplaced = null } = {}) {
+        const type = item.type || "Product";
+        if (!["Product", "Collection", "Article", "File"].includes(type)) {
+            throw new Error(`Unsupported image type: ${type}`);
+        }
+        if ((type === "Product" || type === "File") && !item.id.startsWith("gid://shopify/MediaImage/")) {
+            throw new Error(`Legacy image ID ${item.id}. Rescan the shop and try again.`);
+        }
+
+        // Our fileUpdate fires products/update, which can arrive before the caller has stored the new
+        // URL. The mark keeps the auto optimizer from queueing the image until then; callers clear it.
+        await prisma.imageRecord.upsert({
+            where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: item.id } },
+            update: { uploadStartedAt: new Date() },
+            create: {
+                shop: session.shop,
+                shopifyImageId: item.id,
+                productId: item.parentId || "",
+                resourceType: type,
+                originalUrl: item.url,
+                status: "pending",
+                uploadStartedAt: new Date()
+            }
+        });
+
+        try {
+            const src = source.url || await media.stagedUpload(admin, {
+                buffer: source.buffer,
+                filename: source.filename,
+                mimeType: source.mimeType,
+                resource: type === "Collection" ? "COLLECTION_IMAGE" : "IMAGE"
+            });
+
+            if (type === "Collection") {
+                const image = await media.updateCollectionImage(admin, item.parentId, src, item.alt);
+                return { id: image?.id || item.id, url: image?.url || null };
+            }
+            if (type === "Article") {
+                const image = await media.updateArticleImage(admin, item.parentId, src, item.alt);
+                return { id: image?.id || item.id, url: image?.url || null };
+            }
+
+            // Product media and shop files are both MediaImages: replace the file in place
+            const file = await media.replaceFile(admin, item.id, src, source.filename, { onUpdated: onReplaced });
+            if (file.fileStatus !== "READY") {
+                return { id: item.id, url: null, processing: true };
+            }
+            return { id: item.id, url: file.image?.url || null };
+        } catch (error) {
+            throw failures.tag(error, "upload");
+        }
+    },
+
+    // Restores the backed-up original bytes; records from before backups existed fall back to the CDN URL.
+    // The record and backup are kept, so the history can still roll forward to an optimized version.
+    async restoreImage(admin, session, item, context = {}) {
         console.log(`[Restore] Starting: ${item.id}`);
 
-        if (!session?.shop || !session?.accessToken) {
+        if (!session?.shop) {
             throw new Error("Invalid session");
         }
 
-        // Get original URL from DB (source of truth)
-        const record = await prisma.imageRecord.findUnique({
-            where: { shopifyImageId: item.id }
-        });
+        try {
+            // Get original URL from DB (source of truth)
+            const record = await prisma.imageRecord.findUnique({
+                where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: item.id } }
+            });
+
+            if (!record || !record.originalUrl) {
+                throw new Error("Original image not found in DB. Cannot restore.");
+            }
+
+            let source;
+            if (record.backupKey) {
+                console.log(`[Restore] Loading backup: ${record.backupKey}`);
+                source = {
+                    buffer: await backups.load(record.backupKey, record.backupChecksum).catch(e => { throw failures.tag(e, "download"); }),
+                    filename: this.filenameFromUrl(record.originalUrl),
+                    mimeType: record.backupMimeType || "image/jpeg"
+                };
+            } else {
+                console.log(`[Restore] No backup stored, using original URL: ${record.originalUrl}`);
+                source = { url: record.originalUrl, filename: this.filenameFromUrl(record.originalUrl) };
+            }
+
+            const restored = await this.replaceImage(admin, session, item, source);
+            const newGid = restored.id;
+            console.log(`[Restore] Success. GID: ${newGid}`);
+
+            // The focal point goes back to the original's frame
+            const focal = focalPoints.fromRecord(record);
+            const restoredFocal = focal && record.backgroundFrame ? focalPoints.fromFrame(focal, record.backgroundFrame) : focal;
+
+            // Back to "pending" / original state
+            await prisma.imageRecord.update({
+                where: { id: record.id },
+                data: {
+                    shopifyImageId: newGid,
+                    status: "pending",
+                    skipReason: null,
+                    optimizedUrl: null,
+                    optimizedAt: null,
+                    liveUrl: restored.url,
+                    uploadStartedAt: null,
+                    filename: null,
+                    focalX: restoredFocal?.x ?? null,
+                    focalY: restoredFocal?.y ?? null,
+                    backgroundMode: null,
+                    backgroundColor: null,
+                    backgroundFrame: Prisma.DbNull,
+                    optimizedKb: 0,
+                    savingsKb: 0
+                }
+            });
+
+            await imageIndex.sync(session.shop, { ...item, id: newGid, url: restored.url || record.originalUrl }, item.id);
+            await history.rename(session.shop, item.id, newGid);
+            await derivatives.rename(session.shop, item.id, newGid);
+            await history.record(session.shop, newGid, "restore", context, {
+                originalBytes: record.backupBytes,
+                resultBytes: record.backupBytes,
+                url: restored.url,
+                versionKey: record.backupKey,
+                versionChecksum: record.backupChecksum,
+                versionMimeType: record.backupMimeType
+            });
 
-        if (!record || !record.originalUrl) {
-            throw new Error("Original image not found in DB. Cannot restore.");
+            await failures.clear(session.shop, item.id);
+            if (record.backgroundFrame) {
+                await this.followFrame(admin, session.shop, { ...item, id: newGid, url: restored.url || record.originalUrl }, restoredFocal, { rebuildDerivatives: true });
+            }
+            return { status: "restored", newId: newGid };
+        } catch (error) {
+            await history.recordFailure(session.shop, item.id, context, error);
+            await failures.record(session.shop, item, "restore", error);
+            throw error;
         }
+    },
 
-        console.log(`[Restore] Found original: ${record.originalUrl}`);
+    // Puts the bytes an earlier event left live back on Shopify. Rolling back to the original
+    // leaves the image pending, like a restore; any other version marks it optimized again.
+    async rollbackImage(admin, session, item, eventId, context = {}) {
+        console.log(`[Rollback] Starting: ${item.id} -> event ${eventId}`);
 
-        const productNumericId = item.parentId.split("/").pop();
-        const imageNumericId = item.id.split("/").pop();
+        if (!session?.shop) {
+            throw new Error("Invalid session");
+        }
 
-        const restoreRes = await fetch(
-            `https://${session.shop}/admin/api/2024-10/products/${productNumericId}/images/${imageNumericId}.json`,
-            {
-                method: "PUT",
-                headers: {
-                    "X-Shopify-Access-Token": session.accessToken,
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify({
-                    image: {
-                        id: Number(imageNumericId),
-                        src: record.originalUrl
-                    }
+        try {
+            const [record, target] = await Promise.all([
+                prisma.imageRecord.findUnique({
+                    where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: item.id } }
+                }),
+                prisma.imageEvent.findFirst({
+                    where: { id: eventId, shop: session.shop, shopifyImageId: item.id }
                 })
+            ]);
+
+            if (!record) {
+                throw new Error("Image not found in DB. Cannot roll back.");
+            }
+            if (!target?.versionKey) {
+                throw new Error("That version is not available to roll back to.");
             }
-        );
 
-        if (!restoreRes.ok) {
-            const errText = await restoreRes.text();
-            console.error(`[Restore] Failed: ${restoreRes.status}`, errText);
-            throw new Error(`Restore failed: ${restoreRes.status}`);
-        }
+            const isOriginal = history.isOriginal(target, record);
+            const buffer = await backups.load(target.versionKey, target.versionChecksum);
+            const mimeType = target.versionMimeType || "image/jpeg";
+
+            const replaced = await this.replaceImage(admin, session, item, {
+                buffer,
+                filename: isOriginal ? this.filenameFromUrl(record.originalUrl) : (record.filename || `optimized.${mimeType.split("/").pop()}`),
+                mimeType
+            });
+            const newGid = replaced.id;
+            console.log(`[Rollback] Success. GID: ${newGid}`);
 
-        console.log(`[Restore] Success.`);
+            // Map the focal point back to the original's frame, then into the version's own
+            const targetFrame = isOriginal ? null : target.background?.frame || null;
+            const focal = focalPoints.fromRecord(record);
+            const originalFocal = focal && record.backgroundFrame ? focalPoints.fromFrame(focal, record.backgroundFrame) : focal;
+            const targetFocal = originalFocal && targetFrame ? focalPoints.toFrame(originalFocal, targetFrame) : originalFocal;
 
-        // Delete DB record (image is now "pending" / original state)
-        await prisma.imageRecord.delete({
-            where: { shopifyImageId: item.id }
-        });
+            const resultKb = Math.round(buffer.length / 1024);
+            await prisma.imageRecord.update({
+                where: { id: record.id },
+                data: isOriginal
+                    ? {
+                        shopifyImageId: newGid,
+                        status: "pending",
+                        skipReason: null,
+                        optimizedUrl: null,
+                        optimizedAt: null,
+                        liveUrl: replaced.url,
+                        uploadStartedAt: null,
+                        filename: null,
+                        focalX: targetFocal?.x ?? null,
+                        focalY: targetFocal?.y ?? null,
+                        backgroundMode: null,
+                        backgroundColor: null,
+                        backgroundFrame: Prisma.DbNull,
+                        optimizedKb: 0,
+                        savingsKb: 0
+                    }
+                    : {
+                        shopifyImageId: newGid,
+                        status: "optimized",
+                        skipReason: null,
+                        optimizedUrl: replaced.url,
+                        liveUrl: replaced.url,
+                        uploadStartedAt: null,
+                        optimizedAt: new Date(),
+                        optimizedKb: resultKb,
+                        savingsKb: record.originalKb - resultKb,
+                        encodeQuality: target.quality,
+                        qualityScore: target.qualityScore,
+                        focalX: targetFocal?.x ?? null,
+                        focalY: targetFocal?.y ?? null,
+                        backgroundMode: target.background?.mode || null,
+                        backgroundColor: target.background?.color || null,
+                        backgroundFrame: targetFrame || Prisma.DbNull
+                    }
+            });
+
+            await imageIndex.sync(session.shop, { ...item, id: newGid, url: replaced.url || item.url }, item.id);
+            await history.rename(session.shop, item.id, newGid);
+            await derivatives.rename(session.shop, item.id, newGid);
+            await history.record(session.shop, newGid, "rollback", context, {
+                settings: target.settings ?? undefined,
+                originalBytes: target.originalBytes,
+                resultBytes: buffer.length,
+                format: target.format,
+                quality: target.quality,
+                qualityScore: target.qualityScore,
+                url: replaced.url,
+                versionKey: target.versionKey,
+                versionChecksum: target.versionChecksum,
+                versionMimeType: target.versionMimeType,
+                background: isOriginal ? undefined : target.background ?? undefined
+            });
 
-        return { status: "restored" };
+            if (record.backgroundFrame || targetFrame) {
+                await this.followFrame(admin, session.shop, { ...item, id: newGid, url: replaced.url || item.url }, targetFocal, { rebuildDerivatives: true });
+            }
+            return { status: isOriginal ? "restored" : "optimized", newId: newGid };
+        } catch (error) {
+            await history.recordFailure(session.shop, item.id, context, error);
+            throw error;
+        }
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,211 @@
+import { randomUUID } from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import prisma from "../db.server";
+import { optimizer } from "./optimizer.server";
+import { settings } from "./settings.server";
+import { quality } from "./quality.server";
+import { history } from "./history.server";
+import { failures } from "./failures.server";
+import { sourceFormats } from "./sourceFormat.server";
+import { metadata } from "./metadata.server";
+import { backgrounds } from "./background.server";
+
+const TOKEN_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Missing and timed-out previews look the same to callers; the code lets asset requests answer 404
+function expired() {
+    return Object.assign(new Error("Preview expired. Preview the image again."), { code: "PREVIEW_EXPIRED" });
+}
+
+// Encoded candidates waiting for the merchant to commit or discard them. Each preview is a
+// directory of original, candidate and heatmap bytes plus meta.json, under the temp dir.
+export const previews = {
+    TTL_MS: 30 * 60 * 1000,
+    ASSETS: ["original", "candidate", "heatmap"],
+
+    rootDir() {
+        return process.env.PREVIEW_DIR || path.join(os.tmpdir(), "image-optimizer-previews");
+    },
+
+    shopDir(shop) {
+        return path.join(this.rootDir(), shop.replace(/[^a-zA-Z0-9.-]/g, "_"));
+    },
+
+    dirFor(shop, token) {
+        if (!TOKEN_PATTERN.test(token || "")) {
+            throw new Error("Invalid preview token");
+        }
+        return path.join(this.shopDir(shop), token);
+    },
+
+    async create(session, item) {
+        await this.sweep();
+
+        const { buffer: originalBuffer, contentType } = await optimizer.downloadOriginal(item);
+        const profile = await settings.getActiveProfile(session.shop);
+        const candidate = await optimizer.optimizeImageLogic(originalBuffer, profile);
+        // A normalized background is meant to change; the heatmap shows what the encoder changed on top of it
+        const reference = candidate.normalizedBuffer || originalBuffer;
+        const heatmap = await quality.diffHeatmap(optimizer.prepareSource(reference, profile), candidate.buffer);
+
+        const [before, after] = await Promise.all([sharp(originalBuffer).metadata(), sharp(candidate.buffer).metadata()]);
+        const shopSettings = await settings.getSettings(session.shop);
+
+        const token = randomUUID();
+        const meta = {
+            token,
+            item,
+            profileName: profile.name,
+            // Committed later, so the history records the settings the candidate was encoded with
+            profile,
+            contentType,
+            original: { bytes: originalBuffer.length, format: before.format, width: before.width, height: before.height },
+            candidate: {
+                bytes: candidate.buffer.length,
+                format: candidate.format,
+                width: after.width,
+                height: after.height,
+                quality: candidate.quality,
+                score: candidate.score,
+                source: candidate.source,
+                decision: candidate.decision,
+                background: candidate.background
+            },
+            formatDecision: sourceFormats.describe({
+                sourceFormat: candidate.source.format,
+                formatPolicy: candidate.decision.policy,
+                convertedToSrgb: candidate.decision.convertToSrgb
+            }),
+            metadataDecision: candidate.skipReason ? null : metadata.describe({
+                metadataPolicy: profile.metadataPolicy,
+                iccMode: metadata.iccModeFor(profile, candidate.source),
+                sourceIccProfile: candidate.source.iccProfile
+            }),
+            backgroundDecision: backgrounds.describe(candidate.background),
+            changedPct: heatmap.changedPct,
+            skipReason: candidate.skipReason || (candidate.background ? null : optimizer.skipReason(originalBuffer.length, candidate.buffer.length, shopSettings)),
+            createdAt: Date.now()
+        };
+
+        const dir = this.dirFor(session.shop, token);
+        await fs.mkdir(dir, { recursive: true });
+        await Promise.all([
+            fs.writeFile(path.join(dir, "original"), originalBuffer),
+            fs.writeFile(path.join(dir, "candidate"), candidate.buffer),
+            fs.writeFile(path.join(dir, "heatmap"), heatmap.buffer),
+            fs.writeFile(path.join(dir, "meta.json"), JSON.stringify(meta))
+        ]);
+
+        console.log(`[Preview] Cached ${token} for ${item.id}`);
+        return meta;
+    },
+
+    async load(shop, token) {
+        const dir = this.dirFor(shop, token);
+        let meta;
+        try {
+            meta = JSON.parse(await fs.readFile(path.join(dir, "meta.json"), "utf8"));
+        } catch (err) {
+            if (err.code === "ENOENT") throw expired();
+            throw err;
+        }
+        if (Date.now() - meta.createdAt > this.TTL_MS) {
+            await this.discard(shop, token);
+            throw expired();
+        }
+        return meta;
+    },
+
+    // null when the token, the asset or the preview itself does not exist (or has expired)
+    async readAsset(shop, token, asset) {
+        if (!this.ASSETS.includes(asset) || !TOKEN_PATTERN.test(token || "")) return null;
+
+        let meta;
+        let buffer;
+        try {
+            meta = await this.load(shop, token);
+            buffer = await fs.readFile(path.join(this.dirFor(shop, token), asset));
+        } catch (err) {
+            if (err.code === "ENOENT" || err.code === "PREVIEW_EXPIRED") return null;
+            throw err;
+        }
+
+        // Only the original and the candidate are described in meta.json
+        const contentType = asset === "heatmap"
+            ? "image/png"
+            : `image/${{ jpg: "jpeg", svg: "svg+xml" }[meta[asset].format] || meta[asset].format}`;
+        return { buffer, contentType };
+    },
+
+    // Uploads the cached candidate exactly as previewed, then drops the cache.
+    async commit(admin, session, token, context = {}) {
+        const meta = await this.load(session.shop, token);
+        const dir = this.dirFor(session.shop, token);
+
+        const indexed = await prisma.imageIndex.findUnique({
+            where: { shop_shopifyImageId: { shop: session.shop, shopifyImageId: meta.item.id } }
+        });
+        if (indexed && optimizer.stripQuery(indexed.url) !== optimizer.stripQuery(meta.item.url)) {
+            await this.discard(session.shop, token);
+            throw new Error("The image changed since it was previewed. Preview it again.");
+        }
+
+        const [originalBuffer, candidateBuffer] = await Promise.all([
+            fs.readFile(path.join(dir, "original")),
+            fs.readFile(path.join(dir, "candidate"))
+        ]);
+
+        let result;
+        try {
+            result = await optimizer.commitCandidate(admin, session, meta.item, {
+                originalBuffer,
+                contentType: meta.contentType,
+                candidate: {
+                    buffer: candidateBuffer,
+                    format: meta.candidate.format,
+                    quality: meta.candidate.quality,
+                    score: meta.candidate.score,
+                    source: meta.candidate.source,
+                    decision: meta.candidate.decision,
+                    background: meta.candidate.background,
+                    skipReason: meta.candidate.decision?.skipReason
+                },
+                profile: meta.profile
+            }, context);
+        } catch (error) {
+            await history.recordFailure(session.shop, meta.item.id, context, error);
+            await failures.record(session.shop, meta.item, "optimize", error);
+            throw error;
+        }
+
+        await this.discard(session.shop, token);
+        return { item: meta.item, result };
+    },
+
+    async discard(shop, token) {
+        await fs.rm(this.dirFor(shop, token), { recursive: true, force: true });
+    },
+
+    async removeShop(shop) {
+        await fs.rm(this.shopDir(shop), { recursive: true, force: true });
+    },
+
+    // Drops previews nobody committed or discarded.
+    async sweep() {
+        const root = this.rootDir();
+        const shops = await fs.readdir(root).catch(() => []);
+        for (const shopDir of shops) {
+            const tokens = await fs.readdir(path.join(root, shopDir)).catch(() => []);
+            for (const token of tokens) {
+                const dir = path.join(root, shopDir, token);
+                const stat = await fs.stat(dir).catch(() => null);
+                if (stat && Date.now() - stat.mtimeMs > this.TTL_MS) {
+                    await fs.rm(dir, { recursive: true, force: true });
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,74 @@
+import prisma from "../db.server";
+import { backups } from "./backup.server";
+import { previews } from "./preview.server";
+
+// Removes everything the app stores for a shop. Every step is a no-op when there is nothing
+// left, so a repeated or retried delivery is safe.
+export const purge = {
+    async purgeShop(shop, { topic, webhookId = null } = {}) {
+        if (!shop) {
+            throw new Error("Missing shop");
+        }
+
+        if (webhookId) {
+            const done = await prisma.purgeAudit.findUnique({ where: { webhookId } });
+            if (done) {
+                console.log(`[Purge] Webhook ${webhookId} already handled for ${shop}`);
+                return done;
+            }
+        }
+
+        // Backups go first: if this fails, the records still point at them and a retry can finish the job
+        let backupCount = await backups.removeShop(shop);
+        const prefix = `${backups.prefixFor(shop)}/`;
+        const stray = await prisma.imageRecord.findMany({
+            where: { shop, backupKey: { not: null } },
+            select: { backupKey: true }
+        });
+        for (const { backupKey } of stray.filter(r => !r.backupKey.startsWith(prefix))) {
+            await backups.remove(backupKey);
+            backupCount++;
+        }
+
+        await previews.removeShop(shop);
+
+        // JobItems cascade with their jobs
+        const [imageRecords, indexedImages, imageEvents, imageFailures, exclusionRules, altTextChanges, imageDerivatives, jobs, scanStates, profiles, shopSettings, sessions] = await prisma.$transaction([
+            prisma.imageRecord.deleteMany({ where: { shop } }),
+            prisma.imageIndex.deleteMany({ where: { shop } }),
+            prisma.imageEvent.deleteMany({ where: { shop } }),
+            prisma.imageFailure.deleteMany({ where: { shop } }),
+            prisma.exclusionRule.deleteMany({ where: { shop } }),
+            prisma.altTextChange.deleteMany({ where: { shop } }),
+            prisma.imageDerivative.deleteMany({ where: { shop } }),
+            prisma.job.deleteMany({ where: { shop } }),
+            prisma.scanState.deleteMany({ where: { shop } }),
+            prisma.optimizationProfile.deleteMany({ where: { shop } }),
+            prisma.settings.deleteMany({ where: { shop } }),
+            prisma.session.deleteMany({ where: { shop } })
+        ]);
+
+        const counts = {
+            imageRecords: imageRecords.count,
+            indexedImages: indexedImages.count,
+            imageEvents: imageEvents.count,
+            imageFailures: imageFailures.count,
+            exclusionRules: exclusionRules.count,
+            altTextChanges: altTextChanges.count,
+            imageDerivatives: imageDerivatives.count,
+            backups: backupCount,
+            jobs: jobs.count,
+            scanStates: scanStates.count,
+            profiles: profiles.count,
+            settings: shopSettings.count,
+            sessions: sessions.count
+        };
+        console.log(`[Purge] ${topic} for ${shop}:`, counts);
+
+        const audit = { shop, topic, webhookId, counts };
+        // A concurrent duplicate delivery may have written the row first
+        return webhookId
+            ? prisma.purgeAudit.upsert({ where: { webhookId }, update: {}, create: audit })
+            : prisma.purgeAudit.create({ data: audit });
+    }
+};
@@ -0,0 +1,118 @@
+import sharp from "sharp";
+
+// SSIM constants for 8-bit samples: (k1 * L)^2 and (k2 * L)^2 with L = 255.
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+export const quality = {
+    // Scores are computed on a downscaled luma plane; fine texture loss still shows up at this size.
+    COMPARE_SIZE: 512,
+    WINDOW: 8,
+    STRIDE: 4,
+    HEATMAP_SIZE: 800,
+    // Per-channel differences are multiplied by this so subtle artifacts stay visible
+    HEATMAP_GAIN: 4,
+    // Both sides are composited onto this before comparing. Lossy encoders freely change the RGB
+    // hidden under fully transparent pixels, which must not count as a difference.
+    FLATTEN_BACKGROUND: "#ffffff",
+
+    // Render the processed (rotated/resized) source once, as the reference every candidate is scored against.
+    async prepareReference(sharpInstance) {
+        const { data, info } = await sharpInstance.clone().raw().toBuffer({ resolveWithObject: true });
+        const scale = Math.min(1, this.COMPARE_SIZE / Math.max(info.width, info.height));
+        const width = Math.max(1, Math.round(info.width * scale));
+        const height = Math.max(1, Math.round(info.height * scale));
+
+        const luma = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+            .flatten({ background: this.FLATTEN_BACKGROUND })
+            .resize(width, height, { fit: "fill" })
+            .greyscale()
+            .raw()
+            .toBuffer();
+
+        return { data: luma, width, height };
+    },
+
+    async score(reference, candidateBuffer) {
+        const luma = await sharp(candidateBuffer)
+            .flatten({ background: this.FLATTEN_BACKGROUND })
+            .resize(reference.width, reference.height, { fit: "fill" })
+            .greyscale()
+            .raw()
+            .toBuffer();
+
+        return this.ssim(reference.data, luma, reference.width, reference.height);
+    },
+
+    // PNG that goes from white (unchanged) to red (largest per-pixel difference), plus the
+    // share of pixels that changed noticeably.
+    async diffHeatmap(sharpInstance, candidateBuffer) {
+        const { data: source, info } = await sharpInstance.clone().raw().toBuffer({ resolveWithObject: true });
+        const scale = Math.min(1, this.HEATMAP_SIZE / Math.max(info.width, info.height));
+        const width = Math.max(1, Math.round(info.width * scale));
+        const height = Math.max(1, Math.round(info.height * scale));
+
+        const toRgb = (input, options) => sharp(input, options)
+            .flatten({ background: this.FLATTEN_BACKGROUND })
+            .toColourspace("srgb")
+            .resize(width, height, { fit: "fill" })
+            .raw()
+            .toBuffer();
+        const a = await toRgb(source, { raw: { width: info.width, height: info.height, channels: info.channels } });
+        const b = await toRgb(candidateBuffer);
+
+        const out = Buffer.alloc(width * height * 3);
+        let changed = 0;
+        for (let p = 0, i = 0; p < width * height; p++, i += 3) {
+            const diff = Math.max(Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]));
+            const heat = Math.min(255, diff * this.HEATMAP_GAIN);
+            if (heat >= 64) changed++;
+            out[i] = 255;
+            out[i + 1] = 255 - heat;
+            out[i + 2] = 255 - heat;
+        }
+
+        const buffer = await sharp(out, { raw: { width, height, channels: 3 } }).png().toBuffer();
+        return { buffer, changedPct: Math.round((changed / (width * height)) * 1000) / 10 };
+    },
+
+    // Mean structural similarity over sliding windows (1 = identical).
+    ssim(a, b, width, height) {
+        const win = Math.min(this.WINDOW, width, height);
+        const stride = Math.min(this.STRIDE, win);
+        let total = 0;
+        let windows = 0;
+
+        for (let y = 0; y + win <= height; y += stride) {
+            for (let x = 0; x + win <= width; x += stride) {
+                let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+                for (let wy = 0; wy < win; wy++) {
+                    const row = (y + wy) * width + x;
+                    for (let wx = 0; wx < win; wx++) {
+                        const va = a[row + wx];
+                        const vb = b[row + wx];
+                        sumA += va;
+                        sumB += vb;
+                        sumAA += va * va;
+                        sumBB += vb * vb;
+                        sumAB += va * vb;
+                    }
+                }
+
+                const n = win * win;
+                const meanA = sumA / n;
+                const meanB = sumB / n;
+                const varA = sumAA / n - meanA * meanA;
+                const varB = sumBB / n - meanB * meanB;
+                const cov = sumAB / n - meanA * meanB;
+
+                total += ((2 * meanA * meanB + C1) * (2 * cov + C2)) /
+                    ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+                windows++;
+            }
+        }
+
+        return windows > 0 ? total / windows : 1;
+    }
+};
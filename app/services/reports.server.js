@@ -0,0 +1,99 @@
+import prisma from "../db.server";
+
+const UNKNOWN = "(none)";
+
+// Savings reports built from the stored ImageRecords, so they survive rescans. Product type and
+// vendor come from the image index, which the crawler and product webhooks keep current.
+export const reports = {
+    GROUPS: ["day", "productType", "vendor"],
+
+    emptyRow(key) {
+        return { key, images: 0, originalKb: 0, optimizedKb: 0, savedKb: 0 };
+    },
+
+    add(row, record) {
+        row.images += 1;
+        row.originalKb += record.originalKb || 0;
+        row.optimizedKb += record.optimizedKb || 0;
+        row.savedKb += record.savingsKb || 0;
+    },
+
+    groupBy(records, keyFor) {
+        const rows = new Map();
+        for (const record of records) {
+            const key = keyFor(record);
+            if (!rows.has(key)) rows.set(key, this.emptyRow(key));
+            this.add(rows.get(key), record);
+        }
+        return [...rows.values()];
+    },
+
+    async load(shop) {
+        const [records, indexedImages] = await Promise.all([
+            prisma.imageRecord.findMany({
+                where: { shop, status: "optimized" },
+                select: { shopifyImageId: true, resourceType: true, originalKb: true, optimizedKb: true, savingsKb: true, optimizedAt: true }
+            }),
+            prisma.imageIndex.count({ where: { shop } })
+        ]);
+
+        const productRecords = records.filter(r => r.resourceType === "Product");
+        const products = await prisma.imageIndex.findMany({
+            where: { shop, shopifyImageId: { in: productRecords.map(r => r.shopifyImageId) } },
+            select: { shopifyImageId: true, productType: true, vendor: true }
+        });
+        const productMap = new Map(products.map(p => [p.shopifyImageId, p]));
+
+        // Days in UTC, oldest first, with the running total of KB saved. Records without an
+        // optimization date count in the totals only; no other timestamp says when they were optimized.
+        const byDay = this.groupBy(records.filter(r => r.optimizedAt), r => r.optimizedAt.toISOString().slice(0, 10))
+            .sort((a, b) => a.key.localeCompare(b.key));
+        let cumulativeKb = 0;
+        for (const row of byDay) {
+            cumulativeKb += row.savedKb;
+            row.cumulativeKb = cumulativeKb;
+        }
+
+        const bySavings = (a, b) => b.savedKb - a.savedKb;
+        const totals = records.reduce((row, r) => { this.add(row, r); return row; }, this.emptyRow("total"));
+
+        return {
+            totals: { ...totals, indexedImages },
+            byDay,
+            byProductType: this.groupBy(productRecords, r => productMap.get(r.shopifyImageId)?.productType || UNKNOWN).sort(bySavings),
+            byVendor: this.groupBy(productRecords, r => productMap.get(r.shopifyImageId)?.vendor || UNKNOWN).sort(bySavings)
+        };
+    },
+
+    // Every pageview loads `imagesPerPageview` images; each saves the shop's average per indexed
+    // image (pending images save nothing). Ignores browser and CDN caching, so it is an upper bound.
+    bandwidth(totals, { monthlyPageviews, imagesPerPageview }) {
+        const avgSavedKb = totals.indexedImages > 0 ? totals.savedKb / totals.indexedImages : 0;
+        return {
+            avgSavedKb,
+            monthlySavedKb: Math.round(monthlyPageviews * imagesPerPageview * avgSavedKb)
+        };
+    },
+
+    toCsv(report, group) {
+        const rows = {
+            day: report.byDay,
+            productType: report.byProductType,
+            vendor: report.byVendor
+        }[group];
+        if (!rows) {
+            throw new Error(`Unknown report group: ${group}`);
+        }
+
+        const columns = [group, "images", "originalKb", "optimizedKb", "savedKb"];
+        if (group === "day") columns.push("cumulativeKb");
+
+        const escape = (text) => {
+            // Vendor and type names are merchant input; keep spreadsheets from running them as formulas
+            if (/^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = rows.map(row => [escape(row.key), ...columns.slice(1).map(c => row[c])].join(","));
+        return [columns.join(","), ...lines].join("\r\n") + "\r\n";
+    }
+};
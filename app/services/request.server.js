@@ -0,0 +1,139 @@
+// Shared retry layer for Admin API calls and plain HTTP (CDN downloads, staged uploads).
+// Transient failures (throttling, 5xx, dropped connections) are retried with exponential
+// backoff and full jitter, honoring Retry-After and the GraphQL cost bucket when Shopify sends them.
+// A mutation is only sent again when Shopify turned it away unrun, unless the caller marks it idempotent.
+// `fetch`, `sleep` and `random` are swappable through configure(), so the layer can run against a
+// local mock Admin API (any object with a `graphql(query, { variables })` method) without real waits.
+export const requests = {
+    MAX_ATTEMPTS: 5,
+    BASE_DELAY_MS: 500,
+    MAX_DELAY_MS: 30000,
+
+    fetch: (...args) => fetch(...args),
+    sleep: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    random: Math.random,
+
+    configure({ fetch, sleep, random, maxAttempts } = {}) {
+        if (fetch) this.fetch = fetch;
+        if (sleep) this.sleep = sleep;
+        if (random) this.random = random;
+        if (maxAttempts) this.MAX_ATTEMPTS = maxAttempts;
+    },
+
+    // Exponential backoff with full jitter; a server-provided wait takes precedence.
+    backoff(attempt, waitMs = null) {
+        if (waitMs !== null) return Math.min(waitMs, this.MAX_DELAY_MS);
+        const ceiling = Math.min(this.MAX_DELAY_MS, this.BASE_DELAY_MS * 2 ** attempt);
+        return Math.round(this.random() * ceiling);
+    },
+
+    // Retry-After is either seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (value === null || value === undefined || value === "") return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    // Time until the cost bucket holds `needed` points again, from extensions.cost
+    throttleWait(cost, needed = cost?.requestedQueryCost) {
+        const status = cost?.throttleStatus;
+        if (!status?.restoreRate || !needed) return 0;
+        const missing = needed - status.currentlyAvailable;
+        return missing > 0 ? Math.ceil((missing / status.restoreRate) * 1000) : 0;
+    },
+
+    // Returns { retry, waitMs } for an error thrown by admin.graphql or by fetch.
+    classify(error) {
+        // 200 responses whose GraphQL errors say THROTTLED (cost bucket empty)
+        const graphQLErrors = error?.body?.errors?.graphQLErrors;
+        if (Array.isArray(graphQLErrors) && graphQLErrors.some(e => e.extensions?.code === "THROTTLED")) {
+            const wait = this.throttleWait(error.body.extensions?.cost);
+            return { retry: true, waitMs: wait || null };
+        }
+
+        // HttpResponseError from the Shopify API library, or our own HTTP errors below
+        const status = error?.response?.code ?? error?.status;
+        if (status === 429) {
+            const retryAfter = error.response?.retryAfter;
+            return {
+                retry: true,
+                waitMs: retryAfter !== undefined ? retryAfter * 1000 : this.parseRetryAfter(error.response?.headers?.["Retry-After"] ?? error.retryAfter)
+            };
+        }
+        if (status >= 500) return { retry: true, waitMs: this.parseRetryAfter(error.retryAfter) };
+        if (status) return { retry: false };
+
+        // Dropped connections and DNS hiccups (fetch throws TypeError; the library wraps them)
+        if (error?.name === "TypeError" || error?.name === "HttpRequestError" || error?.code === "ECONNRESET") {
+            return { retry: true, waitMs: null };
+        }
+        return { retry: false };
+    },
+
+    // THROTTLED and 429 mean Shopify refused the request before running it. After a 5xx or a
+    // dropped connection the request may already have run.
+    wasRejected(error) {
+        const graphQLErrors = error?.body?.errors?.graphQLErrors;
+        if (Array.isArray(graphQLErrors) && graphQLErrors.some(e => e.extensions?.code === "THROTTLED")) return true;
+        return (error?.response?.code ?? error?.status) === 429;
+    },
+
+    isMutation(query) {
+        return /^\s*mutation\b/.test(query.replace(/#[^\n]*/g, ""));
+    },
+
+    // Without `idempotent`, only requests Shopify rejected unrun are retried.
+    async withRetry(label, operation, { idempotent = true } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await operation(attempt);
+            } catch (error) {
+                const { retry, waitMs } = this.classify(error);
+                if (!retry || (!idempotent && !this.wasRejected(error))) throw error;
+                if (attempt + 1 >= this.MAX_ATTEMPTS) {
+                    throw new Error(`${label} failed after ${attempt + 1} attempts: ${error.message}`, { cause: error });
+                }
+
+                const delay = this.backoff(attempt, waitMs);
+                console.log(`[Request] ${label}: ${error.message}. Retrying in ${delay}ms (attempt ${attempt + 2}/${this.MAX_ATTEMPTS})`);
+                await this.sleep(delay);
+            }
+        }
+    },
+
+    // Runs a GraphQL operation through admin.graphql. Returns the parsed body ({ data, extensions }).
+    // After a success, waits until the cost bucket could pay for the same query again, so
+    // paginated crawls slow down before Shopify starts rejecting them.
+    // Mutations are treated as non-idempotent (a retried fileCreate would add a second file);
+    // pass `idempotent: true` for ones that are safe to repeat.
+    async graphql(admin, query, variables = {}, { label = "GraphQL request", idempotent = !this.isMutation(query) } = {}) {
+        const body = await this.withRetry(label, async () => {
+            const response = await admin.graphql(query, { variables });
+            return response.json();
+        }, { idempotent });
+
+        const wait = this.throttleWait(body.extensions?.cost);
+        if (wait > 0) {
+            console.log(`[Request] Query cost bucket low, pausing ${wait}ms`);
+            await this.sleep(Math.min(wait, this.MAX_DELAY_MS));
+        }
+        return body;
+    },
+
+    // fetch() that treats 429 and 5xx responses as retriable failures. `init` may be a function
+    // so a body can be rebuilt for each attempt.
+    async fetchWithRetry(url, init = {}, { label = "HTTP request" } = {}) {
+        return this.withRetry(label, async () => {
+            const res = await this.fetch(url, typeof init === "function" ? init() : init);
+            if (res.status === 429 || res.status >= 500) {
+                const error = new Error(`HTTP ${res.status}`);
+                error.status = res.status;
+                error.retryAfter = res.headers.get("retry-after");
+                throw error;
+            }
+            return res;
+        });
+    }
+};
@@ -0,0 +1,238 @@
+import prisma from "../db.server";
+import { sourceFormats } from "./sourceFormat.server";
+import { metadata } from "./metadata.server";
+import { filenames } from "./filenames.server";
+import { backgrounds } from "./background.server";
+
+// Matches the encoder defaults the app shipped with before profiles existed.
+export const DEFAULT_PROFILE = {
+    name: "Balanced",
+    maxWidth: 2048,
+    maxHeight: 0,
+    webpQuality: 80,
+    avifQuality: 60,
+    jpegQuality: 80,
+    formats: ["webp", "avif"],
+    avifMinKb: 200,
+    // "strip", "copyright" (EXIF Artist/Copyright and XMP rights) or "all"
+    metadataPolicy: "strip",
+    // "srgb", "srgb-untagged" or "keep"; see metadata.server.js
+    iccMode: "srgb",
+    // "perceptual" searches each format's quality until the SSIM score reaches targetScore
+    qualityMode: "fixed",
+    targetScore: 0.98,
+    minQuality: 40,
+    maxQuality: 95,
+    // Source-format policies: animated GIF/WebP and transparent PNG/GIF skip the lossy format race
+    animatedPolicy: "animated-webp",
+    alphaPolicy: "lossless-webp",
+    // Solid-background normalization for product shots: "off", "white" or "transparent".
+    // Tolerance is an RGB distance from the border color; the margin is a percentage of the product's longer edge.
+    backgroundMode: "off",
+    backgroundTolerance: 24,
+    backgroundMargin: 5
+};
+
+export const settings = {
+    FORMATS: ["webp", "avif", "jpeg"],
+    QUALITY_MODES: ["fixed", "perceptual"],
+
+    // Creates the shop's settings row and default profile on first use.
+    async getSettings(shop) {
+        const existing = await prisma.settings.findUnique({ where: { shop } });
+        if (existing) return existing;
+
+        const profile = await prisma.optimizationProfile.upsert({
+            where: { shop_name: { shop, name: DEFAULT_PROFILE.name } },
+            update: {},
+            create: { ...DEFAULT_PROFILE, shop }
+        });
+
+        return prisma.settings.upsert({
+            where: { shop },
+            update: {},
+            create: { shop, activeProfileId: profile.id }
+        });
+    },
+
+    async saveSettings(shop, input) {
+        const int = (field, min, max) => {
+            const value = Number(input[field]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`${field} must be a whole number between ${min} and ${max}`);
+            }
+            return value;
+        };
+
+        const data = {
+            minSavingsPct: int("minSavingsPct", 0, 100),
+            minSavingsKb: int("minSavingsKb", 0, 100000),
+            autoOptimize: Boolean(input.autoOptimize)
+        };
+
+        await this.getSettings(shop);
+        return prisma.settings.update({ where: { shop }, data });
+    },
+
+    // Pageview assumptions for the reports page's bandwidth estimate
+    async saveReportAssumptions(shop, input) {
+        const data = {};
+        for (const [field, max] of [["monthlyPageviews", 1000000000], ["imagesPerPageview", 1000]]) {
+            const value = Number(input[field]);
+            if (!Number.isInteger(value) || value < 0 || value > max) {
+                throw new Error(`${field} must be a whole number between 0 and ${max}`);
+            }
+            data[field] = value;
+        }
+
+        await this.getSettings(shop);
+        return prisma.settings.update({ where: { shop }, data });
+    },
+
+    async saveFilenameTemplate(shop, template) {
+        await this.getSettings(shop);
+        return prisma.settings.update({
+            where: { shop },
+            data: { filenameTemplate: filenames.validateTemplate(template) }
+        });
+    },
+
+    async saveAltTextTemplate(shop, template) {
+        await this.getSettings(shop);
+        return prisma.settings.update({
+            where: { shop },
+            data: { altTextTemplate: template }
+        });
+    },
+
+    // `data` comes from derivatives.validateSettings
+    async saveDerivativeSettings(shop, data) {
+        await this.getSettings(shop);
+        return prisma.settings.update({ where: { shop }, data });
+    },
+
+    async listProfiles(shop) {
+        return prisma.optimizationProfile.findMany({
+            where: { shop },
+            orderBy: { createdAt: "asc" }
+        });
+    },
+
+    async getActiveProfile(shop) {
+        const shopSettings = await this.getSettings(shop);
+        if (!shopSettings.activeProfileId) return DEFAULT_PROFILE;
+
+        const profile = await prisma.optimizationProfile.findFirst({
+            where: { id: shopSettings.activeProfileId, shop }
+        });
+        return profile || DEFAULT_PROFILE;
+    },
+
+    validateProfile(input) {
+        const name = String(input.name || "").trim();
+        if (!name) throw new Error("Profile name is required");
+        if (name.length > 60) throw new Error("Profile name must be 60 characters or fewer");
+
+        const int = (field, min, max) => {
+            const value = Number(input[field]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`${field} must be a whole number between ${min} and ${max}`);
+            }
+            return value;
+        };
+
+        const formats = [...new Set(input.formats || [])];
+        if (formats.length === 0) throw new Error("Select at least one output format");
+        const unknown = formats.filter(f => !this.FORMATS.includes(f));
+        if (unknown.length > 0) throw new Error(`Unsupported format: ${unknown.join(", ")}`);
+
+        if (!this.QUALITY_MODES.includes(input.qualityMode)) {
+            throw new Error(`Unknown quality mode: ${input.qualityMode}`);
+        }
+        const targetScore = Number(input.targetScore);
+        if (!Number.isFinite(targetScore) || targetScore < 0.5 || targetScore > 0.999) {
+            throw new Error("targetScore must be between 0.5 and 0.999");
+        }
+        if (!metadata.POLICIES.includes(input.metadataPolicy)) {
+            throw new Error(`Unknown metadata policy: ${input.metadataPolicy}`);
+        }
+        if (!metadata.ICC_MODES.includes(input.iccMode)) {
+            throw new Error(`Unknown color profile mode: ${input.iccMode}`);
+        }
+        if (!sourceFormats.ANIMATED_POLICIES.includes(input.animatedPolicy)) {
+            throw new Error(`Unknown animated image policy: ${input.animatedPolicy}`);
+        }
+        if (!sourceFormats.ALPHA_POLICIES.includes(input.alphaPolicy)) {
+            throw new Error(`Unknown transparency policy: ${input.alphaPolicy}`);
+        }
+        if (!backgrounds.MODES.includes(input.backgroundMode)) {
+            throw new Error(`Unknown background mode: ${input.backgroundMode}`);
+        }
+        const minQuality = int("minQuality", 1, 100);
+        const maxQuality = int("maxQuality", 1, 100);
+        if (minQuality > maxQuality) {
+            throw new Error("minQuality cannot be greater than maxQuality");
+        }
+
+        return {
+            name,
+            // 0 means "no limit" for either dimension
+            maxWidth: int("maxWidth", 0, 10000),
+            maxHeight: int("maxHeight", 0, 10000),
+            webpQuality: int("webpQuality", 1, 100),
+            avifQuality: int("avifQuality", 1, 100),
+            jpegQuality: int("jpegQuality", 1, 100),
+            avifMinKb: int("avifMinKb", 0, 100000),
+            formats,
+            metadataPolicy: input.metadataPolicy,
+            iccMode: input.iccMode,
+            qualityMode: input.qualityMode,
+            targetScore,
+            minQuality,
+            maxQuality,
+            animatedPolicy: input.animatedPolicy,
+            alphaPolicy: input.alphaPolicy,
+            backgroundMode: input.backgroundMode,
+            backgroundTolerance: int("backgroundTolerance", 1, 100),
+            backgroundMargin: int("backgroundMargin", 0, 50)
+        };
+    },
+
+    async saveProfile(shop, id, input) {
+        const data = this.validateProfile(input);
+
+        const clash = await prisma.optimizationProfile.findUnique({
+            where: { shop_name: { shop, name: data.name } }
+        });
+        if (clash && clash.id !== id) {
+            throw new Error(`A profile named "${data.name}" already exists`);
+        }
+
+        if (id) {
+            const { count } = await prisma.optimizationProfile.updateMany({ where: { id, shop }, data });
+            if (count === 0) throw new Error("Profile not found");
+            return prisma.optimizationProfile.findUnique({ where: { id } });
+        }
+
+        return prisma.optimizationProfile.create({ data: { ...data, shop } });
+    },
+
+    async deleteProfile(shop, id) {
+        const shopSettings = await this.getSettings(shop);
+        if (shopSettings.activeProfileId === id) {
+            throw new Error("The active profile cannot be deleted");
+        }
+        await prisma.optimizationProfile.deleteMany({ where: { id, shop } });
+    },
+
+    async setActiveProfile(shop, id) {
+        const profile = await prisma.optimizationProfile.findFirst({ where: { id, shop } });
+        if (!profile) throw new Error("Profile not found");
+
+        await this.getSettings(shop);
+        return prisma.settings.update({
+            where: { shop },
+            data: { activeProfileId: profile.id }
+        });
+    }
+};
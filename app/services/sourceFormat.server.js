@@ -0,0 +1,79 @@
+import sharp from "sharp";
+import { metadata } from "./metadata.server";
+
+const POLICY_LABELS = {
+    "lossy": "Lossy re-encode",
+    "animated-webp": "Animated WebP",
+    "lossless-webp": "Lossless WebP",
+    "palette-png": "Palette PNG",
+    "keep-svg": "SVG left as-is",
+    "keep-animated": "Animation left as-is"
+};
+
+// Formats where transparency usually means artwork (logos, cut-outs) rather than a photo
+const LOSSLESS_SOURCES = ["png", "gif"];
+
+// libvips builds without librsvg cannot read SVG, so fall back to the markup itself
+function looksLikeSvg(buffer) {
+    const head = buffer.subarray(0, 512).toString("utf8").trimStart();
+    return /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head);
+}
+
+// Per-source-format policies. Lossy WebP/AVIF suits photos, but it drops GIF animation, softens
+// the hard edges of transparent artwork and would rasterize SVGs, so those get their own handling.
+export const sourceFormats = {
+    ANIMATED_POLICIES: ["animated-webp", "keep"],
+    ALPHA_POLICIES: ["lossless-webp", "palette-png", "lossy"],
+    POLICY_LABELS,
+
+    async detect(buffer) {
+        let meta;
+        try {
+            meta = await sharp(buffer).metadata();
+        } catch (error) {
+            if (looksLikeSvg(buffer)) return { format: "svg", animated: false, transparent: false, cmyk: false, iccProfile: null, copyright: null };
+            throw error;
+        }
+
+        const source = {
+            format: meta.format,
+            animated: (meta.pages || 1) > 1,
+            transparent: false,
+            cmyk: meta.space === "cmyk",
+            ...metadata.inspect(meta)
+        };
+
+        // GIFs and many PNGs carry an alpha channel that is fully opaque
+        if (meta.hasAlpha && !source.animated && source.format !== "svg") {
+            const { isOpaque } = await sharp(buffer).stats();
+            source.transparent = !isOpaque;
+        }
+
+        return source;
+    },
+
+    // Returns { policy, convertToSrgb, skipReason }. A skipReason means the original stays on Shopify.
+    decide(source, profile) {
+        const decision = { policy: "lossy", convertToSrgb: source.cmyk, skipReason: null };
+
+        if (source.format === "svg") {
+            return { ...decision, policy: "keep-svg", skipReason: "SVG is vector artwork and is left as-is" };
+        }
+        if (source.animated) {
+            return profile.animatedPolicy === "keep"
+                ? { ...decision, policy: "keep-animated", skipReason: "Animated image left as-is" }
+                : { ...decision, policy: "animated-webp" };
+        }
+        if (source.transparent && LOSSLESS_SOURCES.includes(source.format) && profile.alphaPolicy !== "lossy") {
+            return { ...decision, policy: this.ALPHA_POLICIES.includes(profile.alphaPolicy) ? profile.alphaPolicy : "lossless-webp" };
+        }
+        return decision;
+    },
+
+    describe({ sourceFormat, formatPolicy, convertedToSrgb }) {
+        if (!formatPolicy) return null;
+        const parts = [`${(sourceFormat || "unknown").toUpperCase()}: ${POLICY_LABELS[formatPolicy] || formatPolicy}`];
+        if (convertedToSrgb) parts.push("CMYK converted to sRGB");
+        return parts.join(" · ");
+    }
+};
@@ -0,0 +1,21 @@
+-- DropIndex
+DROP INDEX "ImageRecord_shopifyImageId_key";
+
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- Backfill: installs that only ever served one shop can attribute every
+-- existing record to it. Anything left with an empty shop is claimed by the
+-- first scan of the shop that actually owns the image (see optimizer.scanShop).
+UPDATE "ImageRecord"
+SET "shop" = (SELECT MIN("shop") FROM "Session")
+WHERE "shop" = ''
+  AND (SELECT COUNT(DISTINCT "shop") FROM "Session") = 1;
+
+ALTER TABLE "ImageRecord" ALTER COLUMN "shop" DROP DEFAULT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImageRecord_shop_shopifyImageId_key" ON "ImageRecord"("shop", "shopifyImageId");
+
+-- CreateIndex
+CREATE INDEX "ImageRecord_shop_status_idx" ON "ImageRecord"("shop", "status");
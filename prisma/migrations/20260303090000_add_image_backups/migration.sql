@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "backupKey" TEXT,
+ADD COLUMN "backupChecksum" TEXT,
+ADD COLUMN "backupBytes" INTEGER,
+ADD COLUMN "backupMimeType" TEXT;
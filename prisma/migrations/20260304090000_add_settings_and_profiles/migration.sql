@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "profileName" TEXT;
+
+-- CreateTable
+CREATE TABLE "Settings" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "activeProfileId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Settings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OptimizationProfile" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "maxWidth" INTEGER NOT NULL DEFAULT 2048,
+    "maxHeight" INTEGER NOT NULL DEFAULT 0,
+    "webpQuality" INTEGER NOT NULL DEFAULT 80,
+    "avifQuality" INTEGER NOT NULL DEFAULT 60,
+    "jpegQuality" INTEGER NOT NULL DEFAULT 80,
+    "formats" TEXT[] DEFAULT ARRAY['webp', 'avif']::TEXT[],
+    "avifMinKb" INTEGER NOT NULL DEFAULT 200,
+    "stripMetadata" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OptimizationProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Settings_shop_key" ON "Settings"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OptimizationProfile_shop_name_key" ON "OptimizationProfile"("shop", "name");
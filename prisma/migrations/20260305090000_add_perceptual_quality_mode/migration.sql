@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "encodeQuality" INTEGER,
+ADD COLUMN "qualityScore" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "OptimizationProfile" ADD COLUMN "qualityMode" TEXT NOT NULL DEFAULT 'fixed',
+ADD COLUMN "targetScore" DOUBLE PRECISION NOT NULL DEFAULT 0.98,
+ADD COLUMN "minQuality" INTEGER NOT NULL DEFAULT 40,
+ADD COLUMN "maxQuality" INTEGER NOT NULL DEFAULT 95;
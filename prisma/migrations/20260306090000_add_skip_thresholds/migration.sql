@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "skipReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN "minSavingsPct" INTEGER NOT NULL DEFAULT 5,
+ADD COLUMN "minSavingsKb" INTEGER NOT NULL DEFAULT 2;
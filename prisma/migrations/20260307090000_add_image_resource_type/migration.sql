@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "resourceType" TEXT NOT NULL DEFAULT 'Product';
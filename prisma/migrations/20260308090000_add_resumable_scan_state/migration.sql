@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "lastSeenPassId" TEXT;
+
+-- CreateTable
+CREATE TABLE "ScanState" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "passId" TEXT NOT NULL,
+    "cursor" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScanState_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScanState_shop_type_key" ON "ScanState"("shop", "type");
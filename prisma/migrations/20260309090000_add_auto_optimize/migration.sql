@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN "autoOptimize" BOOLEAN NOT NULL DEFAULT false;
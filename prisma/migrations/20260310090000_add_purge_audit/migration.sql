@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "PurgeAudit" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "webhookId" TEXT,
+    "counts" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurgeAudit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PurgeAudit_webhookId_key" ON "PurgeAudit"("webhookId");
+
+-- CreateIndex
+CREATE INDEX "PurgeAudit_shop_idx" ON "PurgeAudit"("shop");
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "ImageIndex" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shopifyImageId" TEXT NOT NULL,
+    "resourceType" TEXT NOT NULL DEFAULT 'Product',
+    "url" TEXT NOT NULL,
+    "parentId" TEXT NOT NULL DEFAULT '',
+    "parentTitle" TEXT NOT NULL DEFAULT '',
+    "alt" TEXT,
+    "width" INTEGER NOT NULL DEFAULT 0,
+    "height" INTEGER NOT NULL DEFAULT 0,
+    "pixels" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "skipReason" TEXT,
+    "originalKb" INTEGER NOT NULL DEFAULT 0,
+    "optimizedKb" INTEGER NOT NULL DEFAULT 0,
+    "savingsKb" INTEGER NOT NULL DEFAULT 0,
+    "lastSeenPassId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ImageIndex_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImageIndex_shop_status_idx" ON "ImageIndex"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "ImageIndex_shop_resourceType_idx" ON "ImageIndex"("shop", "resourceType");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImageIndex_shop_shopifyImageId_key" ON "ImageIndex"("shop", "shopifyImageId");
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "liveUrl" TEXT;
+
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN "actor" TEXT,
+ADD COLUMN "actorId" TEXT;
+
+-- CreateTable
+CREATE TABLE "ImageEvent" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shopifyImageId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "actor" TEXT,
+    "actorId" TEXT,
+    "settings" JSONB,
+    "originalBytes" INTEGER,
+    "resultBytes" INTEGER,
+    "format" TEXT,
+    "quality" INTEGER,
+    "qualityScore" DOUBLE PRECISION,
+    "url" TEXT,
+    "versionKey" TEXT,
+    "versionChecksum" TEXT,
+    "versionMimeType" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ImageEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImageEvent_shop_shopifyImageId_createdAt_idx" ON "ImageEvent"("shop", "shopifyImageId", "createdAt");
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "optimizedAt" TIMESTAMP(3);
+
+-- Backfill from the newest optimize or rollback event, which put the current version live. Records
+-- optimized before events existed fall back to createdAt, as a record is created by its first
+-- optimization. updatedAt is no use here: every scan rewrites it.
+UPDATE "ImageRecord" r SET "optimizedAt" = COALESCE(
+    (SELECT MAX(e."createdAt") FROM "ImageEvent" e
+     WHERE e."shop" = r."shop" AND e."shopifyImageId" = r."shopifyImageId" AND e."action" IN ('optimize', 'rollback')),
+    r."createdAt"
+) WHERE r."status" = 'optimized';
+
+-- AlterTable
+ALTER TABLE "ImageIndex" ADD COLUMN "productType" TEXT,
+ADD COLUMN "vendor" TEXT;
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN "monthlyPageviews" INTEGER NOT NULL DEFAULT 10000,
+ADD COLUMN "imagesPerPageview" INTEGER NOT NULL DEFAULT 5;
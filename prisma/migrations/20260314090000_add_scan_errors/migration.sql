@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ScanState" ADD COLUMN "lastError" TEXT;
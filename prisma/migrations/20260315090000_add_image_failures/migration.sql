@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "JobItem" ADD COLUMN "errorClass" TEXT;
+
+-- CreateTable
+CREATE TABLE "ImageFailure" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shopifyImageId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL DEFAULT 'optimize',
+    "payload" JSONB NOT NULL,
+    "errorClass" TEXT NOT NULL,
+    "error" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "firstFailedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastFailedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ImageFailure_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImageFailure_shop_status_idx" ON "ImageFailure"("shop", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImageFailure_shop_shopifyImageId_key" ON "ImageFailure"("shop", "shopifyImageId");
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "ImageIndex" ADD COLUMN "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "ExclusionRule" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "label" TEXT,
+    "collectionId" TEXT,
+    "productIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExclusionRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExclusionRule_shop_idx" ON "ExclusionRule"("shop");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "sourceFormat" TEXT,
+ADD COLUMN "formatPolicy" TEXT,
+ADD COLUMN "convertedToSrgb" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "OptimizationProfile" ADD COLUMN "animatedPolicy" TEXT NOT NULL DEFAULT 'animated-webp',
+ADD COLUMN "alphaPolicy" TEXT NOT NULL DEFAULT 'lossless-webp';
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "metadataPolicy" TEXT,
+ADD COLUMN "iccMode" TEXT,
+ADD COLUMN "sourceIccProfile" TEXT;
+
+-- AlterTable
+ALTER TABLE "OptimizationProfile" ADD COLUMN "metadataPolicy" TEXT NOT NULL DEFAULT 'strip',
+ADD COLUMN "iccMode" TEXT NOT NULL DEFAULT 'srgb';
+
+-- Profiles that kept metadata kept everything, embedded color profile included
+UPDATE "OptimizationProfile" SET "metadataPolicy" = 'all', "iccMode" = 'keep' WHERE "stripMetadata" = false;
+
+-- AlterTable
+ALTER TABLE "OptimizationProfile" DROP COLUMN "stripMetadata";
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "filename" TEXT;
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN "filenameTemplate" TEXT NOT NULL DEFAULT '{original}';
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN "altTextTemplate" TEXT NOT NULL DEFAULT '{title}';
+
+-- CreateTable
+CREATE TABLE "AltTextChange" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "batchId" TEXT NOT NULL,
+    "shopifyImageId" TEXT NOT NULL,
+    "resourceType" TEXT NOT NULL DEFAULT 'Product',
+    "parentId" TEXT NOT NULL DEFAULT '',
+    "previousAlt" TEXT,
+    "newAlt" TEXT,
+    "actor" TEXT,
+    "actorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "undoneAt" TIMESTAMP(3),
+
+    CONSTRAINT "AltTextChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AltTextChange_shop_batchId_idx" ON "AltTextChange"("shop", "batchId");
+
+-- CreateIndex
+CREATE INDEX "AltTextChange_shop_createdAt_idx" ON "AltTextChange"("shop", "createdAt");
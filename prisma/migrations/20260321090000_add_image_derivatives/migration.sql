@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN "derivativeRatios" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "derivativeWidths" INTEGER[] DEFAULT ARRAY[480, 960, 1600]::INTEGER[],
+ADD COLUMN "derivativeCrop" TEXT NOT NULL DEFAULT 'attention';
+
+-- CreateTable
+CREATE TABLE "ImageDerivative" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shopifyImageId" TEXT NOT NULL,
+    "resourceType" TEXT NOT NULL DEFAULT 'Product',
+    "parentId" TEXT NOT NULL DEFAULT '',
+    "ratio" TEXT NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "url" TEXT,
+    "bytes" INTEGER NOT NULL DEFAULT 0,
+    "cropStrategy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ImageDerivative_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImageDerivative_shop_parentId_idx" ON "ImageDerivative"("shop", "parentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImageDerivative_shop_shopifyImageId_ratio_width_key" ON "ImageDerivative"("shop", "shopifyImageId", "ratio", "width");
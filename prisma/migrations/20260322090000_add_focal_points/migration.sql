@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "focalX" DOUBLE PRECISION,
+ADD COLUMN "focalY" DOUBLE PRECISION;
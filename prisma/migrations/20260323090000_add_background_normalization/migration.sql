@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "OptimizationProfile" ADD COLUMN "backgroundMode" TEXT NOT NULL DEFAULT 'off',
+ADD COLUMN "backgroundTolerance" INTEGER NOT NULL DEFAULT 24,
+ADD COLUMN "backgroundMargin" INTEGER NOT NULL DEFAULT 5;
+
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "backgroundMode" TEXT,
+ADD COLUMN "backgroundColor" TEXT;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "backgroundFrame" JSONB;
+
+-- AlterTable
+ALTER TABLE "ImageEvent" ADD COLUMN "background" JSONB;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ImageRecord" ADD COLUMN "uploadStartedAt" TIMESTAMP(3);
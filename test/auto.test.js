@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import prisma from "../app/db.server";
+import { autoOptimizer } from "../app/services/auto.server";
+
+vi.mock("../app/db.server", async () => {
+    const { createPrisma } = await import("./support/prisma");
+    return {
+        default: createPrisma({
+            defaults: {
+                imageRecord: { liveUrl: null, optimizedUrl: null, uploadStartedAt: null },
+                jobItem: { status: "pending" }
+            },
+            relations: { jobItem: { job: { model: "job", foreignKey: "jobId" } } }
+        })
+    };
+});
+vi.mock("../app/shopify.server", () => ({ unauthenticated: { admin: vi.fn() } }));
+
+const SHOP = "test-shop.myshopify.com";
+const ID = "gid://shopify/MediaImage/1";
+
+const image = (url, id = ID) => ({ id, url, type: "Product" });
+const record = (data) => prisma.imageRecord.create({ data: { shop: SHOP, shopifyImageId: ID, ...data } });
+const select = (...images) => autoOptimizer.selectNewImages(SHOP, images);
+
+describe("selectNewImages", () => {
+    beforeEach(() => {
+        prisma.$reset();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("queues images the app has never seen", async () => {
+        expect(await select(image("https://cdn.shopify.com/a.jpg"))).toHaveLength(1);
+    });
+
+    it("ignores indexed images whose URL did not change", async () => {
+        await prisma.imageIndex.create({ data: { shop: SHOP, shopifyImageId: ID, url: "https://cdn.shopify.com/a.jpg?v=1" } });
+
+        expect(await select(image("https://cdn.shopify.com/a.jpg?v=2"))).toEqual([]);
+        expect(await select(image("https://cdn.shopify.com/b.jpg"))).toHaveLength(1);
+    });
+
+    it("ignores the file the app uploaded but queues a replacement", async () => {
+        await record({ status: "optimized", originalUrl: "https://cdn.shopify.com/a.jpg", optimizedUrl: "https://cdn.shopify.com/a.webp" });
+
+        expect(await select(image("https://cdn.shopify.com/a.webp?v=3"))).toEqual([]);
+        expect(await select(image("https://cdn.shopify.com/new.jpg"))).toHaveLength(1);
+    });
+
+    it("does not re-evaluate a skipped image until it is replaced", async () => {
+        await record({ status: "skipped", originalUrl: "https://cdn.shopify.com/a.jpg" });
+
+        expect(await select(image("https://cdn.shopify.com/a.jpg"))).toEqual([]);
+        expect(await select(image("https://cdn.shopify.com/new.jpg"))).toHaveLength(1);
+    });
+
+    it("ignores the original the app put back by a restore", async () => {
+        await record({ status: "restored", originalUrl: "https://cdn.shopify.com/a.jpg", liveUrl: "https://cdn.shopify.com/a_restored.jpg" });
+
+        expect(await select(image("https://cdn.shopify.com/a_restored.jpg?v=4"))).toEqual([]);
+    });
+
+    it("ignores images while an upload of ours is in flight", async () => {
+        vi.useFakeTimers({ now: new Date("2026-03-25T12:00:00Z") });
+        await record({ status: "optimized", optimizedUrl: "https://cdn.shopify.com/a.webp", uploadStartedAt: new Date("2026-03-25T11:55:00Z") });
+
+        expect(await select(image("https://cdn.shopify.com/a_new.webp"))).toEqual([]);
+
+        // A mark this old belongs to an upload that died before clearing it
+        vi.setSystemTime(new Date("2026-03-25T12:10:00Z"));
+        expect(await select(image("https://cdn.shopify.com/a_new.webp"))).toHaveLength(1);
+    });
+
+    it("skips images an active job is about to process", async () => {
+        const job = await prisma.job.create({ data: { shop: SHOP, kind: "auto", status: "running" } });
+        await prisma.jobItem.create({ data: { jobId: job.id, imageId: ID, status: "pending" } });
+
+        expect(await select(image("https://cdn.shopify.com/a.jpg"), image("https://cdn.shopify.com/b.jpg", "gid://shopify/MediaImage/2")))
+            .toEqual([expect.objectContaining({ id: "gid://shopify/MediaImage/2" })]);
+    });
+
+    it("queues images whose earlier job has ended", async () => {
+        const job = await prisma.job.create({ data: { shop: SHOP, kind: "auto", status: "cancelled" } });
+        await prisma.jobItem.create({ data: { jobId: job.id, imageId: ID, status: "pending" } });
+        const done = await prisma.job.create({ data: { shop: SHOP, kind: "auto", status: "running" } });
+        await prisma.jobItem.create({ data: { jobId: done.id, imageId: ID, status: "done" } });
+
+        expect(await select(image("https://cdn.shopify.com/a.jpg"))).toHaveLength(1);
+    });
+
+    it("does not count another shop's queue", async () => {
+        const job = await prisma.job.create({ data: { shop: "other-shop.myshopify.com", kind: "auto", status: "running" } });
+        await prisma.jobItem.create({ data: { jobId: job.id, imageId: ID, status: "pending" } });
+
+        expect(await select(image("https://cdn.shopify.com/a.jpg"))).toHaveLength(1);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Buffer } from "node:buffer";
+import sharp from "sharp";
+import { backgrounds } from "../app/services/background.server";
+
+const GREY = [240, 240, 240];
+const profile = (backgroundMode) => ({ backgroundMode, backgroundTolerance: 24, backgroundMargin: 5 });
+
+// RGBA pixels on a grey background; `paint(x, y)` returns a color for product pixels, or null
+function pixels(width, height, paint) {
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const [r, g, b] = paint(x, y) || GREY;
+            data.set([r, g, b, 255], i);
+        }
+    }
+    return data;
+}
+
+// A 100x100 product shot: a dark 40x20 box at (10, 10) on light grey
+const shot = (background = GREY) => sharp({ create: { width: 100, height: 100, channels: 3, background: { r: background[0], g: background[1], b: background[2] } } })
+    .composite([{ input: { create: { width: 40, height: 20, channels: 3, background: { r: 30, g: 30, b: 60 } } }, left: 10, top: 10 }])
+    .png()
+    .toBuffer();
+
+describe("floodFill", () => {
+    it("marks only the background connected to the border", () => {
+        // A 4x4 ring of dark pixels around a grey centre that the fill cannot reach
+        const ring = (x, y) => (x >= 2 && x <= 5 && y >= 2 && y <= 5 && !(x >= 3 && x <= 4 && y >= 3 && y <= 4) ? [20, 20, 20] : null);
+        const mask = backgrounds.floodFill(pixels(8, 8, ring), 8, 8, GREY, 24);
+
+        expect(mask[0]).toBe(1);
+        expect(mask[2 * 8 + 2]).toBe(0);
+        expect(mask[3 * 8 + 3]).toBe(0);
+        expect(mask.reduce((sum, v) => sum + v, 0)).toBe(64 - 16);
+    });
+
+    it("measures the tolerance against the border color, so a soft gradient does not leak", () => {
+        const gradient = (x) => [240 - x * 3, 240 - x * 3, 240 - x * 3];
+        const mask = backgrounds.floodFill(pixels(8, 1, gradient), 8, 1, GREY, 24);
+        expect([...mask]).toEqual([1, 1, 1, 1, 1, 0, 0, 0]);
+    });
+});
+
+describe("borderColor", () => {
+    it("finds the median border color and how much of the border matches it", () => {
+        const corner = (x, y) => (x === 0 && y === 0 ? [0, 0, 0] : null);
+        const { color, match } = backgrounds.borderColor(pixels(10, 10, corner), 10, 10, 24);
+        expect(color).toEqual(GREY);
+        expect(match).toBeCloseTo(35 / 36);
+    });
+});
+
+describe("boundingBox", () => {
+    it("returns the box around every unmasked pixel, or null when everything is background", () => {
+        const mask = new Uint8Array(25).fill(1);
+        expect(backgrounds.boundingBox(mask, 5, 5)).toBeNull();
+        mask[1 * 5 + 1] = 0;
+        mask[3 * 5 + 2] = 0;
+        expect(backgrounds.boundingBox(mask, 5, 5)).toEqual({ left: 1, top: 1, width: 2, height: 3 });
+    });
+});
+
+describe("normalize", () => {
+    beforeEach(() => {
+        vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    it("does nothing when the profile has it off", async () => {
+        expect(await backgrounds.normalize(await shot(), profile("off"))).toBeNull();
+    });
+
+    it("replaces a solid background with white and re-pads the product", async () => {
+        const { buffer, info } = await backgrounds.normalize(await shot(), profile("white"));
+
+        // 40x20 product plus a 2px margin (5% of its longer edge) on every side
+        expect(info).toMatchObject({ mode: "white", color: "#f0f0f0", width: 44, height: 24, replacedPct: 92 });
+        expect(info.frame).toEqual({ x: 0.08, y: 0.08, width: 0.44, height: 0.24 });
+
+        const { data, info: raw } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+        expect([raw.width, raw.height, raw.channels]).toEqual([44, 24, 3]);
+        expect([...data.subarray(0, 3)]).toEqual([255, 255, 255]);
+        const centre = (12 * 44 + 22) * 3;
+        expect([...data.subarray(centre, centre + 3)]).toEqual([30, 30, 60]);
+    });
+
+    it("clears the background to transparency", async () => {
+        const { buffer } = await backgrounds.normalize(await shot(), profile("transparent"));
+        const { data } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        expect(data[3]).toBe(0);
+        expect(data[(12 * 44 + 22) * 4 + 3]).toBe(255);
+    });
+
+    it("leaves images without a uniform border alone", async () => {
+        const busy = await sharp(Buffer.from(pixels(50, 50, (x, y) => ((x + y) % 2 ? [0, 0, 0] : null))), { raw: { width: 50, height: 50, channels: 4 } })
+            .png()
+            .toBuffer();
+        expect(await backgrounds.normalize(busy, profile("white"))).toBeNull();
+    });
+});
+
+describe("describe", () => {
+    it("summarizes the replaced color and share", () => {
+        expect(backgrounds.describe({ mode: "white", color: "#f0f0f0", replacedPct: 92 })).toBe("Background: #f0f0f0 → pure white (92% replaced)");
+        expect(backgrounds.describe(null)).toBeNull();
+    });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import { Buffer } from "node:buffer";
+import { S3Client } from "@aws-sdk/client-s3";
+import { backups, createS3Store } from "../app/services/backup.server";
+
+// An in-memory bucket behind the commands the store sends; each command keeps its input as-is
+vi.mock("@aws-sdk/client-s3", async () => {
+    const { Buffer } = await import("node:buffer");
+    const objects = new Map();
+    const command = (name) => class {
+        constructor(input) {
+            this.name = name;
+            this.input = input;
+        }
+    };
+    const PAGE_SIZE = 2;
+
+    class FakeS3Client {
+        constructor(config) {
+            this.config = config;
+            FakeS3Client.instances.push(this);
+        }
+
+        async send({ name, input }) {
+            const key = `${input.Bucket}/${input.Key}`;
+            switch (name) {
+                case "PutObject":
+                    objects.set(key, { body: Buffer.from(input.Body), metadata: input.Metadata, contentType: input.ContentType });
+                    return {};
+                case "GetObject": {
+                    const object = objects.get(key);
+                    if (!object) throw Object.assign(new Error("The specified key does not exist."), { name: "NoSuchKey" });
+                    return { Body: { transformToByteArray: async () => new Uint8Array(object.body) } };
+                }
+                case "DeleteObject":
+                    objects.delete(key);
+                    return {};
+                case "DeleteObjects":
+                    for (const { Key } of input.Delete.Objects) objects.delete(`${input.Bucket}/${Key}`);
+                    return {};
+                case "ListObjectsV2": {
+                    const keys = [...objects.keys()]
+                        .filter(k => k.startsWith(`${input.Bucket}/${input.Prefix}`))
+                        .map(k => k.slice(input.Bucket.length + 1));
+                    // The store deletes each page before asking for the next, so every page starts at the front
+                    const page = keys.slice(0, PAGE_SIZE);
+                    const truncated = keys.length > PAGE_SIZE;
+                    return { Contents: page.map(Key => ({ Key })), IsTruncated: truncated, NextContinuationToken: truncated ? "next" : undefined };
+                }
+                default:
+                    throw new Error(`Unexpected command ${name}`);
+            }
+        }
+    }
+    FakeS3Client.instances = [];
+    FakeS3Client.objects = objects;
+
+    return {
+        S3Client: FakeS3Client,
+        PutObjectCommand: command("PutObject"),
+        GetObjectCommand: command("GetObject"),
+        DeleteObjectCommand: command("DeleteObject"),
+        DeleteObjectsCommand: command("DeleteObjects"),
+        ListObjectsV2Command: command("ListObjectsV2")
+    };
+});
+
+const SHOP = "test-shop.myshopify.com";
+
+describe("keyFor", () => {
+    it("keys backups by shop, image id and checksum", () => {
+        expect(backups.keyFor(SHOP, "gid://shopify/MediaImage/123", "abc")).toBe("test-shop.myshopify.com/123-abc");
+    });
+
+    it("keeps ids and shop names from escaping their prefix", () => {
+        expect(backups.keyFor("../evil shop", "gid://shopify/MediaImage/..%2F1", "abc")).toBe(".._evil_shop/___2F1-abc");
+        expect(backups.prefixFor("a/b\\c")).toBe("a_b_c");
+    });
+});
+
+describe("S3 store", () => {
+    const original = backups.store;
+
+    beforeEach(() => {
+        S3Client.objects.clear();
+        S3Client.instances.length = 0;
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        backups.setStore(createS3Store({ bucket: "backups", endpoint: "http://localhost:9000", forcePathStyle: true }));
+    });
+
+    afterAll(() => {
+        backups.setStore(original);
+    });
+
+    it("requires a bucket", () => {
+        expect(() => createS3Store({})).toThrow("S3 backup store requires a bucket");
+    });
+
+    it("configures the client for S3-compatible endpoints", () => {
+        expect(S3Client.instances[0].config).toEqual({
+            region: "us-east-1",
+            endpoint: "http://localhost:9000",
+            forcePathStyle: true,
+            credentials: undefined
+        });
+    });
+
+    it("round-trips a backup and records its checksum on the object", async () => {
+        const image = Buffer.from("original image bytes");
+        const saved = await backups.save(SHOP, "gid://shopify/MediaImage/1", image, { contentType: "image/jpeg" });
+
+        expect(saved).toEqual({ key: `${SHOP}/1-${saved.checksum}`, checksum: backups.checksum(image), bytes: image.length, contentType: "image/jpeg" });
+        expect(S3Client.objects.get(`backups/${saved.key}`)).toMatchObject({ contentType: "image/jpeg", metadata: { sha256: saved.checksum } });
+
+        const loaded = await backups.load(saved.key, saved.checksum);
+        expect(loaded.equals(image)).toBe(true);
+    });
+
+    it("refuses a backup whose bytes no longer match the checksum", async () => {
+        const saved = await backups.save(SHOP, "gid://shopify/MediaImage/1", Buffer.from("original"));
+        S3Client.objects.get(`backups/${saved.key}`).body = Buffer.from("tampered");
+
+        await expect(backups.load(saved.key, saved.checksum)).rejects.toThrow("Backup checksum mismatch");
+    });
+
+    it("removes single backups and every backup of a shop, across listing pages", async () => {
+        const first = await backups.save(SHOP, "gid://shopify/MediaImage/1", Buffer.from("one"));
+        for (const id of [2, 3, 4]) await backups.save(SHOP, `gid://shopify/MediaImage/${id}`, Buffer.from(`image ${id}`));
+        await backups.save("other-shop.myshopify.com", "gid://shopify/MediaImage/1", Buffer.from("one"));
+
+        await backups.remove(first.key);
+        await expect(backups.load(first.key)).rejects.toThrow("does not exist");
+
+        expect(await backups.removeShop(SHOP)).toBe(3);
+        expect([...S3Client.objects.keys()]).toEqual([`backups/other-shop.myshopify.com/1-${first.checksum}`]);
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import prisma from "../app/db.server";
+import { filenames } from "../app/services/filenames.server";
+
+vi.mock("../app/db.server", async () => {
+    const { createPrisma } = await import("./support/prisma");
+    return { default: createPrisma() };
+});
+
+const SHOP = "test-shop.myshopify.com";
+const IMAGE = "gid://shopify/MediaImage/1";
+
+describe("slugify", () => {
+    it("folds accents, lowercases and joins words with single hyphens", () => {
+        expect(filenames.slugify("Crème Brûlée Mug / 12oz")).toBe("creme-brulee-mug-12oz");
+        expect(filenames.slugify("  --Hello,   World!--  ")).toBe("hello-world");
+    });
+
+    it("returns an empty string for text without letters or digits", () => {
+        expect(filenames.slugify("☕ — ✨")).toBe("");
+        expect(filenames.slugify(null)).toBe("");
+    });
+
+    it("caps the length without leaving a trailing hyphen", () => {
+        const slug = filenames.slugify(`${"a".repeat(79)} b`);
+        expect(slug).toBe("a".repeat(79));
+    });
+});
+
+describe("render", () => {
+    it("fills tokens and drops the separators around empty ones", () => {
+        expect(filenames.render("{handle}-{variant}-{position}", { handle: "linen-shirt", variant: "", position: "2" }))
+            .toBe("linen-shirt-2");
+    });
+
+    it("falls back to the original name, then to 'image'", () => {
+        expect(filenames.render("{alt}", { alt: "", original: "IMG_0042" })).toBe("img-0042");
+        expect(filenames.render("{alt}", { alt: "", original: "" })).toBe("image");
+    });
+});
+
+describe("validateTemplate", () => {
+    it("rejects empty templates, unknown tokens and templates without tokens", () => {
+        expect(() => filenames.validateTemplate("  ")).toThrow("cannot be empty");
+        expect(() => filenames.validateTemplate("{handle}-{colour}")).toThrow("Unknown token: {colour}");
+        expect(() => filenames.validateTemplate("product")).toThrow("at least one token");
+    });
+
+    it("returns the trimmed template", () => {
+        expect(filenames.validateTemplate(" {handle}-{position} ")).toBe("{handle}-{position}");
+    });
+});
+
+describe("unique", () => {
+    beforeEach(() => {
+        prisma.$reset();
+    });
+
+    it("appends a counter while another image already has the name", async () => {
+        await prisma.imageRecord.create({ data: { shop: SHOP, shopifyImageId: "gid://shopify/MediaImage/2", filename: "linen-shirt.webp" } });
+        await prisma.imageRecord.create({ data: { shop: SHOP, shopifyImageId: "gid://shopify/MediaImage/3", filename: "linen-shirt-2.avif" } });
+
+        expect(await filenames.unique(SHOP, IMAGE, "linen-shirt")).toBe("linen-shirt-3");
+    });
+
+    it("lets an image keep its own name and ignores other shops", async () => {
+        await prisma.imageRecord.create({ data: { shop: SHOP, shopifyImageId: IMAGE, filename: "linen-shirt.webp" } });
+        await prisma.imageRecord.create({ data: { shop: "other-shop.myshopify.com", shopifyImageId: "gid://shopify/MediaImage/2", filename: "linen-shirt.webp" } });
+
+        expect(await filenames.unique(SHOP, IMAGE, "linen-shirt")).toBe("linen-shirt");
+    });
+
+    it("keeps names reserved earlier in the same batch unique", async () => {
+        const reserved = new Set();
+        const item = (id) => ({ id, type: "Product", parentTitle: "Linen Shirt", url: "https://cdn.shopify.com/s/files/1/a.jpg" });
+
+        expect(await filenames.forImage(null, SHOP, item("gid://shopify/MediaImage/1"), "{title}", "jpeg", reserved)).toBe("linen-shirt.jpg");
+        expect(await filenames.forImage(null, SHOP, item("gid://shopify/MediaImage/2"), "{title}", "webp", reserved)).toBe("linen-shirt-2.webp");
+        expect([...reserved]).toEqual(["linen-shirt", "linen-shirt-2"]);
+    });
+});
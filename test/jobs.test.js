@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import prisma from "../app/db.server";
+import { optimizer } from "../app/services/optimizer.server";
+import { jobs } from "../app/services/jobs.server";
+
+vi.mock("../app/db.server", async () => {
+    const { createPrisma } = await import("./support/prisma");
+    return {
+        default: createPrisma({
+            defaults: {
+                job: { processed: 0, failed: 0, finishedAt: null },
+                jobItem: { status: "pending", attempts: 0, lockedAt: null, error: null }
+            },
+            relations: { jobItem: { job: { model: "job", foreignKey: "jobId" } } }
+        })
+    };
+});
+vi.mock("../app/shopify.server", () => ({ unauthenticated: { admin: vi.fn() } }));
+vi.mock("../app/services/optimizer.server", () => ({
+    optimizer: { commitImage: vi.fn(), restoreImage: vi.fn() }
+}));
+
+const SHOP = "test-shop.myshopify.com";
+
+const image = (n) => ({ id: `gid://shopify/MediaImage/${n}`, url: `https://cdn.shopify.com/${n}.jpg`, type: "Product" });
+
+// A job with its items, without starting a worker
+async function seedJob(count, { status = "running", kind = "optimize" } = {}) {
+    const job = await prisma.job.create({ data: { shop: SHOP, kind, status, total: count } });
+    await prisma.jobItem.createMany({
+        data: Array.from({ length: count }, (_, position) => ({ jobId: job.id, imageId: image(position).id, position, payload: image(position) }))
+    });
+    return job;
+}
+
+const items = () => [...prisma.$rows("jobItem")].sort((a, b) => a.position - b.position);
+
+describe("jobs", () => {
+    beforeEach(() => {
+        prisma.$reset();
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    describe("claimNextItem", () => {
+        it("claims pending items in order and locks them", async () => {
+            const job = await seedJob(2);
+
+            const first = await jobs.claimNextItem(job.id);
+            const second = await jobs.claimNextItem(job.id);
+
+            expect([first.position, second.position]).toEqual([0, 1]);
+            expect(items().map(i => i.status)).toEqual(["processing", "processing"]);
+            expect(items().every(i => i.lockedAt instanceof Date && i.attempts === 1)).toBe(true);
+            expect(await jobs.claimNextItem(job.id)).toBeNull();
+        });
+
+        it("never hands the same item to two workers", async () => {
+            const job = await seedJob(3);
+
+            const claimed = await Promise.all([jobs.claimNextItem(job.id), jobs.claimNextItem(job.id)]);
+
+            expect(new Set(claimed.map(i => i.id)).size).toBe(2);
+            expect(items().filter(i => i.status === "processing")).toHaveLength(2);
+        });
+
+        it("only claims items of its own job", async () => {
+            const other = await seedJob(1);
+            const job = await seedJob(1);
+
+            const claimed = await jobs.claimNextItem(job.id);
+            expect(claimed.jobId).toBe(job.id);
+            expect(prisma.$rows("jobItem").find(i => i.jobId === other.id).status).toBe("pending");
+        });
+
+        it("takes back items whose worker died holding the lock", async () => {
+            const job = await seedJob(1);
+            await jobs.claimNextItem(job.id);
+            items()[0].lockedAt = new Date(Date.now() - jobs.LOCK_TIMEOUT_MS - 1000);
+
+            const reclaimed = await jobs.claimNextItem(job.id);
+
+            expect(reclaimed.position).toBe(0);
+            expect(items()[0]).toMatchObject({ status: "processing", attempts: 2 });
+        });
+
+        it("leaves items alone while their lock is fresh", async () => {
+            const job = await seedJob(1);
+            await jobs.claimNextItem(job.id);
+            items()[0].lockedAt = new Date(Date.now() - 60 * 1000);
+
+            expect(await jobs.claimNextItem(job.id)).toBeNull();
+            expect(items()[0].attempts).toBe(1);
+        });
+    });
+
+    describe("processItem", () => {
+        const context = { admin: {}, session: { shop: SHOP } };
+
+        it("marks the item done and counts it", async () => {
+            optimizer.commitImage.mockResolvedValue({ beforeKb: 100, afterKb: 60, percent: 40, newId: image(0).id });
+            const job = await seedJob(1);
+            const item = await jobs.claimNextItem(job.id);
+
+            await jobs.processItem(job, item, context);
+
+            expect(optimizer.commitImage).toHaveBeenCalledWith(context.admin, context.session, image(0), expect.objectContaining({ source: "bulk" }));
+            expect(items()[0]).toMatchObject({ status: "done", lockedAt: null, result: { percent: 40 } });
+            expect(prisma.$rows("job")[0]).toMatchObject({ processed: 1, failed: 0 });
+        });
+
+        it("records a failure with its error class and moves on", async () => {
+            optimizer.commitImage.mockRejectedValue(Object.assign(new Error("Download failed: 404"), { errorClass: "download" }));
+            const job = await seedJob(1);
+            const item = await jobs.claimNextItem(job.id);
+
+            await jobs.processItem(job, item, context);
+
+            expect(items()[0]).toMatchObject({ status: "failed", error: "Download failed: 404", errorClass: "download", lockedAt: null });
+            expect(prisma.$rows("job")[0]).toMatchObject({ processed: 0, failed: 1 });
+        });
+
+        it("runs restores for restore jobs", async () => {
+            optimizer.restoreImage.mockResolvedValue({ status: "restored" });
+            const job = await seedJob(1, { kind: "restore" });
+
+            await jobs.processItem(job, await jobs.claimNextItem(job.id), context);
+
+            expect(optimizer.restoreImage).toHaveBeenCalled();
+            expect(optimizer.commitImage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("finishJob", () => {
+        it("completes a job once no item is in flight", async () => {
+            const job = await seedJob(1);
+            const item = await jobs.claimNextItem(job.id);
+            items()[0].status = "done";
+
+            expect(item).not.toBeNull();
+            expect(await jobs.finishJob(job.id)).toBe(true);
+            expect(prisma.$rows("job")[0]).toMatchObject({ status: "completed" });
+            expect(prisma.$rows("job")[0].finishedAt).toBeInstanceOf(Date);
+        });
+
+        it("keeps the job open while another worker holds an item", async () => {
+            const job = await seedJob(1);
+            await jobs.claimNextItem(job.id);
+
+            expect(await jobs.finishJob(job.id)).toBe(false);
+            expect(prisma.$rows("job")[0].status).toBe("running");
+        });
+
+        it("does not reopen a cancelled job as completed", async () => {
+            const job = await seedJob(1);
+            await jobs.cancel(SHOP, job.id);
+
+            expect(await jobs.finishJob(job.id)).toBe(true);
+            expect(prisma.$rows("job")[0].status).toBe("cancelled");
+            expect(items()[0].status).toBe("cancelled");
+        });
+    });
+});
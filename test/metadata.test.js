@@ -0,0 +1,118 @@
+import { describe, it, expect, vi } from "vitest";
+import { Buffer } from "node:buffer";
+import sharp from "sharp";
+import { metadata } from "../app/services/metadata.server";
+import { DEFAULT_PROFILE } from "../app/services/settings.server";
+
+vi.mock("../app/db.server", () => ({ default: {} }));
+
+const XMP = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+ xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/" xmp:CreatorTool="Camera App" photoshop:Credit="Studio North">
+<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">© Studio North</rdf:li></rdf:Alt></dc:rights>
+<dc:description><rdf:Alt><rdf:li xml:lang="x-default">Holiday shoot</rdf:li></rdf:Alt></dc:description>
+</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="r"?>`;
+
+const photo = () => sharp({ create: { width: 8, height: 8, channels: 3, background: { r: 200, g: 40, b: 40 } } });
+
+// A JPEG carrying authorship in EXIF and XMP plus a camera model that the copyright policy should drop
+async function tagged() {
+    return photo()
+        .withExif({ IFD0: { Artist: "Jane Doe", Copyright: "Copyright Studio North", Model: "Camera X" } })
+        .withXmp(XMP)
+        .jpeg()
+        .toBuffer();
+}
+
+async function encode(buffer, profile) {
+    const source = { cmyk: false, ...metadata.inspect(await sharp(buffer).metadata()) };
+    const output = await metadata.apply(sharp(buffer), { ...DEFAULT_PROFILE, ...profile }, source).webp().toBuffer();
+    return sharp(output).metadata();
+}
+
+describe("readExifCopyright", () => {
+    it("reads Artist and Copyright from the EXIF block", async () => {
+        const meta = await sharp(await tagged()).metadata();
+        expect(metadata.readExifCopyright(meta.exif)).toEqual({ Artist: "Jane Doe", Copyright: "Copyright Studio North" });
+    });
+
+    it("ignores missing or malformed blocks", () => {
+        expect(metadata.readExifCopyright(null)).toEqual({});
+        expect(metadata.readExifCopyright(Buffer.from("Exif\0\0XX not a tiff header"))).toEqual({});
+    });
+});
+
+describe("readXmpRights", () => {
+    it("keeps rights elements and attributes and drops everything else", () => {
+        const rights = metadata.readXmpRights(XMP);
+        expect(rights).toContain("<dc:rights><rdf:Alt><rdf:li xml:lang=\"x-default\">© Studio North</rdf:li></rdf:Alt></dc:rights>");
+        expect(rights).toContain("<photoshop:Credit>Studio North</photoshop:Credit>");
+        expect(rights).not.toContain("Holiday shoot");
+        expect(rights).not.toContain("Camera App");
+    });
+
+    it("returns null when the packet has no rights properties", () => {
+        expect(metadata.readXmpRights(XMP.replace(/<dc:rights>[\s\S]*?<\/dc:rights>/, "").replace(/ photoshop:Credit="[^"]*"/, ""))).toBeNull();
+        expect(metadata.readXmpRights(null)).toBeNull();
+    });
+});
+
+describe("apply", () => {
+    it("strips all metadata by default", async () => {
+        const meta = await encode(await tagged(), { metadataPolicy: "strip" });
+        expect(meta.exif).toBeUndefined();
+        expect(meta.xmp).toBeUndefined();
+    });
+
+    it("keeps only authorship under the copyright policy", async () => {
+        const meta = await encode(await tagged(), { metadataPolicy: "copyright" });
+        expect(metadata.readExifCopyright(meta.exif)).toEqual({ Artist: "Jane Doe", Copyright: "Copyright Studio North" });
+        expect(meta.exif.toString("latin1")).not.toContain("Camera X");
+        const xmp = meta.xmp.toString("utf8");
+        expect(xmp).toContain("© Studio North");
+        expect(xmp).not.toContain("Holiday shoot");
+    });
+
+    it("keeps everything under the all policy", async () => {
+        const meta = await encode(await tagged(), { metadataPolicy: "all" });
+        expect(meta.exif.toString("latin1")).toContain("Camera X");
+        expect(meta.xmp.toString("utf8")).toContain("Holiday shoot");
+    });
+
+    it("converts a Display P3 source to sRGB or keeps its profile depending on the ICC mode", async () => {
+        const p3 = await photo().withIccProfile("p3").jpeg().toBuffer();
+        expect(metadata.inspect(await sharp(p3).metadata()).iccProfile).toMatch(/P3/);
+
+        const converted = await encode(p3, { iccMode: "srgb" });
+        expect(metadata.iccDescription(converted.icc)).toMatch(/sRGB/i);
+
+        const untagged = await encode(p3, { iccMode: "srgb-untagged" });
+        expect(untagged.icc).toBeUndefined();
+
+        const kept = await encode(p3, { iccMode: "keep" });
+        expect(metadata.iccDescription(kept.icc)).toMatch(/P3/);
+    });
+});
+
+describe("iccModeFor", () => {
+    it("always converts CMYK sources, whatever the mode", () => {
+        expect(metadata.iccModeFor({ iccMode: "keep" }, { cmyk: true })).toBe("srgb");
+        expect(metadata.iccModeFor({ iccMode: "srgb-untagged" }, { cmyk: true })).toBe("srgb-untagged");
+        expect(metadata.iccModeFor({ iccMode: "keep" }, { cmyk: false })).toBe("keep");
+    });
+
+    it("falls back to sRGB for an unknown mode", () => {
+        expect(metadata.iccModeFor({ iccMode: "bogus" }, null)).toBe("srgb");
+    });
+});
+
+describe("describe", () => {
+    it("summarizes the policy, the source profile and the ICC mode", () => {
+        expect(metadata.describe({ metadataPolicy: "copyright", iccMode: "srgb", sourceIccProfile: "Display P3" }))
+            .toBe("Metadata: Keep copyright · Color: Display P3, convert to sRGB");
+        expect(metadata.describe({ metadataPolicy: "strip", iccMode: "keep", sourceIccProfile: null }))
+            .toBe("Metadata: Strip all · Color: keep source profile");
+        expect(metadata.describe({ metadataPolicy: null })).toBeNull();
+    });
+});
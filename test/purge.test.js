@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import prisma from "../app/db.server";
+import { backups } from "../app/services/backup.server";
+import { previews } from "../app/services/preview.server";
+import { purge } from "../app/services/purge.server";
+
+vi.mock("../app/db.server", async () => {
+    const { createPrisma } = await import("./support/prisma");
+    return { default: createPrisma() };
+});
+vi.mock("../app/services/backup.server", () => ({
+    backups: {
+        removeShop: vi.fn(async () => 2),
+        prefixFor: (shop) => shop.replace(/[^a-zA-Z0-9.-]/g, "_"),
+        remove: vi.fn()
+    }
+}));
+vi.mock("../app/services/preview.server", () => ({
+    previews: { removeShop: vi.fn() }
+}));
+
+const SHOP = "test-shop.myshopify.com";
+const OTHER = "other-shop.myshopify.com";
+
+async function seed(shop) {
+    await prisma.imageRecord.create({ data: { shop, shopifyImageId: "gid://shopify/MediaImage/1", status: "optimized", backupKey: `${shop}/1-abc` } });
+    await prisma.imageEvent.create({ data: { shop, shopifyImageId: "gid://shopify/MediaImage/1", action: "optimize" } });
+    await prisma.settings.create({ data: { shop } });
+    await prisma.session.create({ data: { shop } });
+}
+
+describe("purgeShop", () => {
+    beforeEach(async () => {
+        prisma.$reset();
+        vi.clearAllMocks();
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        await seed(SHOP);
+        await seed(OTHER);
+    });
+
+    it("deletes only the shop's data and records what it removed", async () => {
+        const audit = await purge.purgeShop(SHOP, { topic: "shop/redact", webhookId: "wh-1" });
+
+        expect(audit).toMatchObject({ shop: SHOP, topic: "shop/redact", webhookId: "wh-1" });
+        expect(audit.counts).toMatchObject({ imageRecords: 1, imageEvents: 1, settings: 1, sessions: 1, backups: 2, jobs: 0 });
+        expect(backups.removeShop).toHaveBeenCalledWith(SHOP);
+        expect(previews.removeShop).toHaveBeenCalledWith(SHOP);
+
+        expect(prisma.$rows("imageRecord").map(r => r.shop)).toEqual([OTHER]);
+        expect(prisma.$rows("session").map(r => r.shop)).toEqual([OTHER]);
+    });
+
+    it("removes backups stored outside the shop's prefix", async () => {
+        await prisma.imageRecord.create({ data: { shop: SHOP, shopifyImageId: "gid://shopify/MediaImage/2", status: "optimized", backupKey: "legacy/2-def" } });
+
+        const audit = await purge.purgeShop(SHOP, { topic: "shop/redact" });
+
+        expect(backups.remove).toHaveBeenCalledWith("legacy/2-def");
+        expect(audit.counts.backups).toBe(3);
+    });
+
+    it("returns the earlier audit for a repeated delivery of the same webhook", async () => {
+        const first = await purge.purgeShop(SHOP, { topic: "shop/redact", webhookId: "wh-1" });
+        await seed(SHOP);
+
+        const second = await purge.purgeShop(SHOP, { topic: "shop/redact", webhookId: "wh-1" });
+
+        expect(second).toEqual(first);
+        expect(backups.removeShop).toHaveBeenCalledTimes(1);
+        expect(prisma.$rows("purgeAudit")).toHaveLength(1);
+        // The redelivery touched nothing
+        expect(prisma.$rows("imageRecord").filter(r => r.shop === SHOP)).toHaveLength(1);
+    });
+
+    it("purges again for a different webhook", async () => {
+        await purge.purgeShop(SHOP, { topic: "app/uninstalled", webhookId: "wh-1" });
+        await seed(SHOP);
+
+        const audit = await purge.purgeShop(SHOP, { topic: "shop/redact", webhookId: "wh-2" });
+
+        expect(audit.counts.imageRecords).toBe(1);
+        expect(prisma.$rows("purgeAudit").map(a => a.webhookId)).toEqual(["wh-1", "wh-2"]);
+    });
+
+    it("writes an audit for every call without a webhook id", async () => {
+        await purge.purgeShop(SHOP, { topic: "manual" });
+        const audit = await purge.purgeShop(SHOP, { topic: "manual" });
+
+        expect(audit.counts).toMatchObject({ imageRecords: 0, sessions: 0 });
+        expect(backups.removeShop).toHaveBeenCalledTimes(2);
+        expect(prisma.$rows("purgeAudit")).toHaveLength(2);
+    });
+
+    it("refuses to run without a shop", async () => {
+        await expect(purge.purgeShop("", { topic: "shop/redact", webhookId: "wh-1" })).rejects.toThrow("Missing shop");
+        expect(backups.removeShop).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { Buffer } from "node:buffer";
+import sharp from "sharp";
+import { quality } from "../app/services/quality.server";
+import { optimizer } from "../app/services/optimizer.server";
+import { DEFAULT_PROFILE } from "../app/services/settings.server";
+
+vi.mock("../app/db.server", () => ({ default: {} }));
+
+// A 96x96 RGB gradient with a diagonal stripe pattern, so there is structure for SSIM to compare
+function photo() {
+    const size = 96;
+    const data = Buffer.alloc(size * size * 3);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const i = (y * size + x) * 3;
+            const stripe = (x + y) % 12 < 6 ? 60 : 0;
+            data[i] = (x * 2 + stripe) & 0xff;
+            data[i + 1] = (y * 2 + stripe) & 0xff;
+            data[i + 2] = 128;
+        }
+    }
+    return sharp(data, { raw: { width: size, height: size, channels: 3 } });
+}
+
+describe("ssim", () => {
+    const plane = (values) => Uint8Array.from(values);
+
+    it("is 1 for identical planes", () => {
+        const a = plane(Array.from({ length: 256 }, (_, i) => i));
+        expect(quality.ssim(a, a, 16, 16)).toBeCloseTo(1, 10);
+    });
+
+    it("drops as the planes differ more", () => {
+        const a = plane(Array.from({ length: 256 }, (_, i) => (i * 7) % 256));
+        const slightly = plane(a.map(v => Math.min(255, v + ((v % 3) - 1) * 4)));
+        const inverted = plane(a.map(v => 255 - v));
+
+        const close = quality.ssim(a, slightly, 16, 16);
+        const far = quality.ssim(a, inverted, 16, 16);
+        expect(close).toBeLessThan(1);
+        expect(far).toBeLessThan(close);
+        expect(far).toBeLessThan(0);
+    });
+
+    it("shrinks the window for images smaller than it", () => {
+        const a = plane([10, 20, 30, 40]);
+        expect(quality.ssim(a, a, 2, 2)).toBeCloseTo(1, 10);
+    });
+});
+
+describe("score", () => {
+    it("rates a heavier compression lower", async () => {
+        const reference = await quality.prepareReference(photo());
+        const high = await quality.score(reference, await photo().jpeg({ quality: 95 }).toBuffer());
+        const low = await quality.score(reference, await photo().jpeg({ quality: 5 }).toBuffer());
+
+        expect(high).toBeGreaterThan(0.95);
+        expect(low).toBeLessThan(high);
+    });
+
+    it("ignores the color hidden under fully transparent pixels", async () => {
+        // Same visible image; only the RGB under alpha 0 differs
+        const pixels = (hidden) => {
+            const data = Buffer.alloc(32 * 32 * 4);
+            for (let p = 0; p < 32 * 32; p++) {
+                const visible = p % 32 < 16;
+                data.set(visible ? [200, 40, 40, 255] : [...hidden, 0], p * 4);
+            }
+            return sharp(data, { raw: { width: 32, height: 32, channels: 4 } });
+        };
+
+        const reference = await quality.prepareReference(pixels([255, 255, 255]));
+        const score = await quality.score(reference, await pixels([0, 0, 0]).png().toBuffer());
+        expect(score).toBeCloseTo(1, 5);
+    });
+});
+
+describe("encodeToTarget", () => {
+    const profile = { ...DEFAULT_PROFILE, qualityMode: "perceptual", targetScore: 0.97, minQuality: 40, maxQuality: 95 };
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    // Each "encode" carries its quality; the score rises with it and meets the target from `threshold` up
+    function stubEncoder(threshold) {
+        vi.spyOn(optimizer, "encode").mockImplementation(async (instance, format, q) => Buffer.from([q]));
+        vi.spyOn(quality, "score").mockImplementation(async (reference, buffer) => (buffer[0] >= threshold ? 0.98 : 0.9));
+    }
+
+    it("finds the lowest quality that meets the target", async () => {
+        stubEncoder(73);
+
+        const result = await optimizer.encodeToTarget(null, "webp", profile, {});
+
+        expect(result).toMatchObject({ quality: 73, score: 0.98 });
+        // A binary search over 40..95, not a walk through every quality
+        expect(optimizer.encode.mock.calls.length).toBeLessThanOrEqual(7);
+    });
+
+    it("settles on the minimum when even that meets the target", async () => {
+        stubEncoder(0);
+
+        expect(await optimizer.encodeToTarget(null, "webp", profile, {})).toMatchObject({ quality: 40 });
+    });
+
+    it("falls back to the maximum quality when nothing meets the target", async () => {
+        stubEncoder(200);
+
+        expect(await optimizer.encodeToTarget(null, "webp", profile, {})).toMatchObject({ quality: 95, score: 0.9 });
+    });
+});
+
+describe("perceptual quality mode", () => {
+    it("encodes each format to the target score", async () => {
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        const buffer = await photo().png().toBuffer();
+        const profile = { ...DEFAULT_PROFILE, qualityMode: "perceptual", formats: ["webp"], targetScore: 0.95 };
+
+        const result = await optimizer.optimizeImageLogic(buffer, profile);
+
+        expect(result.format).toBe("webp");
+        expect(result.quality).toBeGreaterThanOrEqual(profile.minQuality);
+        expect(result.quality).toBeLessThanOrEqual(profile.maxQuality);
+        expect(result.score).toBeGreaterThanOrEqual(0.95);
+    });
+});
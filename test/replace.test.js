@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { Buffer } from "node:buffer";
+import prisma from "../app/db.server";
+import { optimizer } from "../app/services/optimizer.server";
+import { autoOptimizer } from "../app/services/auto.server";
+import { media } from "../app/services/media.server";
+import { requests } from "../app/services/request.server";
+import { backups } from "../app/services/backup.server";
+import { filenames } from "../app/services/filenames.server";
+import { DEFAULT_PROFILE } from "../app/services/settings.server";
+
+vi.mock("../app/db.server", async () => {
+    const { createPrisma } = await import("./support/prisma");
+    return {
+        default: createPrisma({
+            defaults: { imageRecord: { optimizedUrl: null, liveUrl: null, uploadStartedAt: null, backupKey: null } }
+        })
+    };
+});
+vi.mock("../app/shopify.server", () => ({ unauthenticated: { admin: vi.fn() } }));
+
+const SHOP = "test-shop.myshopify.com";
+const KB = 1024;
+const ORIGINAL_URL = "https://cdn.shopify.com/shirt.jpg?v=1";
+const PROCESSED_URL = "https://cdn.shopify.com/shirt.webp?v=2";
+const item = { id: "gid://shopify/MediaImage/1", url: ORIGINAL_URL, parentId: "gid://shopify/Product/1", type: "Product" };
+
+// A local mock Admin API for fileUpdate and the file status polls; `statuses` are answered in turn
+function mockFileApi(...statuses) {
+    const polls = [];
+    vi.spyOn(media, "graphql").mockImplementation(async (admin, query) => {
+        if (query.includes("fileUpdate(")) {
+            return { fileUpdate: { files: [{ id: item.id, fileStatus: "UPLOADED" }], userErrors: [] } };
+        }
+        // What the store knew about the image while Shopify was processing it
+        polls.push(prisma.$rows("imageRecord").map(r => ({ ...r })));
+        const fileStatus = statuses.shift() || "PROCESSING";
+        return { node: { id: item.id, fileStatus, image: fileStatus === "READY" ? { url: PROCESSED_URL } : null } };
+    });
+    return polls;
+}
+
+const commit = () => optimizer.commitCandidate({}, { shop: SHOP }, item, {
+    originalBuffer: Buffer.alloc(100 * KB),
+    contentType: "image/jpeg",
+    candidate: { buffer: Buffer.alloc(40 * KB), format: "webp", quality: 80, score: null },
+    profile: DEFAULT_PROFILE
+});
+
+describe("replacing a product image", () => {
+    const pollAttempts = media.FILE_POLL_ATTEMPTS;
+    const sleep = requests.sleep;
+
+    beforeEach(async () => {
+        prisma.$reset();
+        await prisma.settings.create({ data: { shop: SHOP, minSavingsPct: 5, minSavingsKb: 2, derivativeRatios: [], filenameTemplate: "{original}" } });
+        media.FILE_POLL_ATTEMPTS = 3;
+        requests.configure({ sleep: async () => {} });
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(media, "stagedUpload").mockResolvedValue("https://shopify-staged-uploads.storage.googleapis.com/shirt.webp");
+        vi.spyOn(backups, "save").mockImplementation(async (shop, id, buffer, { contentType }) => ({ key: `backups/${buffer.length}`, checksum: "abc", bytes: buffer.length, contentType }));
+        vi.spyOn(filenames, "forImage").mockResolvedValue("shirt.webp");
+    });
+
+    afterEach(() => {
+        media.FILE_POLL_ATTEMPTS = pollAttempts;
+        requests.configure({ sleep });
+        vi.restoreAllMocks();
+    });
+
+    it("stores the processed URL when the file is ready in time", async () => {
+        mockFileApi("PROCESSING", "READY");
+
+        await commit();
+
+        expect(prisma.$rows("imageRecord")[0]).toMatchObject({ status: "optimized", optimizedUrl: PROCESSED_URL, liveUrl: PROCESSED_URL, uploadStartedAt: null });
+    });
+
+    it("points the record at the backup before waiting for Shopify to process the file", async () => {
+        const polls = mockFileApi("READY");
+
+        await commit();
+
+        expect(polls[0]).toEqual([expect.objectContaining({ status: "optimized", backupKey: `backups/${100 * KB}`, originalUrl: ORIGINAL_URL })]);
+    });
+
+    describe("when processing outlasts the polls", () => {
+        it("keeps the upload as optimized but without a URL instead of failing", async () => {
+            mockFileApi();
+
+            const result = await commit();
+
+            expect(result).toMatchObject({ newId: item.id, beforeKb: 100, afterKb: 40 });
+            expect(media.graphql).toHaveBeenCalledTimes(1 + 3);
+            expect(prisma.$rows("imageRecord")).toEqual([expect.objectContaining({
+                status: "optimized",
+                originalUrl: ORIGINAL_URL,
+                optimizedUrl: null,
+                backupKey: `backups/${100 * KB}`,
+                uploadStartedAt: null
+            })]);
+            expect(prisma.$rows("imageFailure")).toEqual([]);
+        });
+
+        it("does not queue the image from webhooks until its processed URL shows up", async () => {
+            mockFileApi();
+            await commit();
+
+            // Still the original while Shopify processes, then the processed file
+            expect(await autoOptimizer.selectNewImages(SHOP, [{ ...item, url: ORIGINAL_URL }])).toEqual([]);
+            expect(await autoOptimizer.selectNewImages(SHOP, [{ ...item, url: PROCESSED_URL }])).toEqual([]);
+        });
+
+        it("takes the first new URL a scan or webhook shows as the optimized one", async () => {
+            mockFileApi();
+            await commit();
+
+            await optimizer.settleUploads(SHOP, [{ ...item, url: ORIGINAL_URL }]);
+            expect(prisma.$rows("imageRecord")[0].optimizedUrl).toBeNull();
+
+            await optimizer.settleUploads(SHOP, [{ ...item, url: PROCESSED_URL }]);
+            expect(prisma.$rows("imageRecord")[0]).toMatchObject({ optimizedUrl: PROCESSED_URL, liveUrl: PROCESSED_URL });
+            expect(prisma.$rows("imageIndex")[0].url).toBe(PROCESSED_URL);
+
+            // From then on a different URL is a replacement by the merchant
+            expect(await autoOptimizer.selectNewImages(SHOP, [{ ...item, url: PROCESSED_URL }])).toEqual([]);
+            expect(await autoOptimizer.selectNewImages(SHOP, [{ ...item, url: "https://cdn.shopify.com/new.jpg" }])).toHaveLength(1);
+        });
+
+        it("still fails a replacement whose caller does not record it", async () => {
+            mockFileApi();
+
+            await expect(optimizer.replaceImage({}, { shop: SHOP }, item, { url: ORIGINAL_URL, filename: "shirt.jpg" }))
+                .rejects.toThrow(`Timed out waiting for file ${item.id} to process`);
+        });
+    });
+});
@@ -0,0 +1,309 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { requests } from "../app/services/request.server";
+
+// A fetch Response-alike; only what fetchWithRetry and its callers read
+const response = (status, headers = {}) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    headers: new Headers(headers)
+});
+
+// A local mock Admin API: admin.graphql answers with the next queued result (a body, or an error to throw)
+const mockAdmin = (...results) => ({
+    graphql: vi.fn(async () => {
+        const next = results.shift();
+        if (next instanceof Error) throw next;
+        return { json: async () => next };
+    })
+});
+
+const throttledError = (cost) => Object.assign(new Error("Throttled"), {
+    body: { errors: { graphQLErrors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] }, extensions: { cost } }
+});
+
+const httpError = (code, extra = {}) => Object.assign(new Error(`Received an error response (${code})`), {
+    name: "HttpResponseError",
+    response: { code, headers: {}, ...extra }
+});
+
+describe("requests", () => {
+    const original = {};
+    let sleeps;
+
+    beforeEach(() => {
+        Object.assign(original, { fetch: requests.fetch, sleep: requests.sleep, random: requests.random, maxAttempts: requests.MAX_ATTEMPTS });
+        sleeps = [];
+        requests.configure({ sleep: async (ms) => { sleeps.push(ms); }, random: () => 0.5, maxAttempts: 5 });
+        vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        requests.configure(original);
+        vi.useRealTimers();
+    });
+
+    describe("parseRetryAfter", () => {
+        it("reads seconds", () => {
+            expect(requests.parseRetryAfter("2")).toBe(2000);
+            expect(requests.parseRetryAfter("0.5")).toBe(500);
+        });
+
+        it("reads an HTTP date as the time left until it", () => {
+            vi.useFakeTimers();
+            vi.setSystemTime(new Date("2026-03-01T12:00:00Z"));
+            expect(requests.parseRetryAfter("Sun, 01 Mar 2026 12:00:03 GMT")).toBe(3000);
+            expect(requests.parseRetryAfter("Sun, 01 Mar 2026 11:59:00 GMT")).toBe(0);
+        });
+
+        it("returns null when there is nothing usable", () => {
+            expect(requests.parseRetryAfter(null)).toBeNull();
+            expect(requests.parseRetryAfter(undefined)).toBeNull();
+            expect(requests.parseRetryAfter("")).toBeNull();
+            expect(requests.parseRetryAfter("soon")).toBeNull();
+        });
+    });
+
+    describe("throttleWait", () => {
+        const cost = (available, requested = 100) => ({
+            requestedQueryCost: requested,
+            throttleStatus: { maximumAvailable: 1000, currentlyAvailable: available, restoreRate: 50 }
+        });
+
+        it("is the time the bucket needs to refill the missing points", () => {
+            expect(requests.throttleWait(cost(20))).toBe(1600);
+            expect(requests.throttleWait(cost(20), 45)).toBe(500);
+        });
+
+        it("is zero while the bucket can pay for the query", () => {
+            expect(requests.throttleWait(cost(100))).toBe(0);
+            expect(requests.throttleWait(cost(900))).toBe(0);
+        });
+
+        it("is zero without cost information", () => {
+            expect(requests.throttleWait(undefined)).toBe(0);
+            expect(requests.throttleWait({ requestedQueryCost: 10 })).toBe(0);
+        });
+    });
+
+    describe("classify", () => {
+        it("retries THROTTLED GraphQL errors after the bucket refills", () => {
+            const error = throttledError({ requestedQueryCost: 100, throttleStatus: { currentlyAvailable: 0, restoreRate: 50 } });
+            expect(requests.classify(error)).toEqual({ retry: true, waitMs: 2000 });
+        });
+
+        it("retries THROTTLED errors with plain backoff when there is no cost", () => {
+            expect(requests.classify(throttledError(undefined))).toEqual({ retry: true, waitMs: null });
+        });
+
+        it("retries 429s, honoring the library's retryAfter or the Retry-After header", () => {
+            expect(requests.classify(httpError(429, { retryAfter: 3 }))).toEqual({ retry: true, waitMs: 3000 });
+            expect(requests.classify(httpError(429, { headers: { "Retry-After": "4" } }))).toEqual({ retry: true, waitMs: 4000 });
+            expect(requests.classify(Object.assign(new Error("HTTP 429"), { status: 429, retryAfter: "1" }))).toEqual({ retry: true, waitMs: 1000 });
+        });
+
+        it("retries 5xx responses", () => {
+            expect(requests.classify(httpError(502))).toEqual({ retry: true, waitMs: null });
+            expect(requests.classify(Object.assign(new Error("HTTP 503"), { status: 503, retryAfter: "2" }))).toEqual({ retry: true, waitMs: 2000 });
+        });
+
+        it("does not retry other HTTP errors", () => {
+            expect(requests.classify(httpError(401))).toEqual({ retry: false });
+            expect(requests.classify(Object.assign(new Error("HTTP 404"), { status: 404 }))).toEqual({ retry: false });
+        });
+
+        it("retries dropped connections", () => {
+            expect(requests.classify(new TypeError("fetch failed"))).toEqual({ retry: true, waitMs: null });
+            expect(requests.classify(Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }))).toEqual({ retry: true, waitMs: null });
+            expect(requests.classify(Object.assign(new Error("Request failed"), { name: "HttpRequestError" }))).toEqual({ retry: true, waitMs: null });
+        });
+
+        it("does not retry anything else", () => {
+            expect(requests.classify(new Error("Product not found"))).toEqual({ retry: false });
+        });
+    });
+
+    describe("withRetry", () => {
+        it("retries transient failures with jittered exponential backoff", async () => {
+            const operation = vi.fn()
+                .mockRejectedValueOnce(httpError(500))
+                .mockRejectedValueOnce(httpError(503))
+                .mockResolvedValueOnce("done");
+
+            await expect(requests.withRetry("Test", operation)).resolves.toBe("done");
+            expect(operation).toHaveBeenCalledTimes(3);
+            // random() = 0.5 of 500ms, then of 1000ms
+            expect(sleeps).toEqual([250, 500]);
+        });
+
+        it("waits as long as the server asks, capped at MAX_DELAY_MS", async () => {
+            const operation = vi.fn()
+                .mockRejectedValueOnce(httpError(429, { retryAfter: 2 }))
+                .mockRejectedValueOnce(httpError(429, { retryAfter: 600 }))
+                .mockResolvedValueOnce("done");
+
+            await requests.withRetry("Test", operation);
+            expect(sleeps).toEqual([2000, requests.MAX_DELAY_MS]);
+        });
+
+        it("passes the attempt number to the operation", async () => {
+            const attempts = [];
+            await requests.withRetry("Test", async (attempt) => {
+                attempts.push(attempt);
+                if (attempt < 2) throw httpError(500);
+            });
+            expect(attempts).toEqual([0, 1, 2]);
+        });
+
+        it("gives up after MAX_ATTEMPTS and keeps the last error as the cause", async () => {
+            requests.configure({ maxAttempts: 3 });
+            const last = httpError(503);
+            const operation = vi.fn()
+                .mockRejectedValueOnce(httpError(500))
+                .mockRejectedValueOnce(httpError(502))
+                .mockRejectedValueOnce(last);
+
+            const error = await requests.withRetry("Fetch products", operation).catch(e => e);
+            expect(error.message).toBe("Fetch products failed after 3 attempts: Received an error response (503)");
+            expect(error.cause).toBe(last);
+            expect(operation).toHaveBeenCalledTimes(3);
+            expect(sleeps).toHaveLength(2);
+        });
+
+        it("rethrows errors that are not worth retrying right away", async () => {
+            const error = httpError(403);
+            const operation = vi.fn().mockRejectedValue(error);
+
+            await expect(requests.withRetry("Test", operation)).rejects.toBe(error);
+            expect(operation).toHaveBeenCalledTimes(1);
+            expect(sleeps).toEqual([]);
+        });
+    });
+
+    describe("fetchWithRetry", () => {
+        it("retries 5xx and 429 responses and returns the first good one", async () => {
+            const fetch = vi.fn()
+                .mockResolvedValueOnce(response(503))
+                .mockResolvedValueOnce(response(429, { "Retry-After": "1" }))
+                .mockResolvedValueOnce(response(200));
+            requests.configure({ fetch });
+
+            const res = await requests.fetchWithRetry("https://cdn.shopify.com/a.jpg");
+            expect(res.status).toBe(200);
+            expect(fetch).toHaveBeenCalledTimes(3);
+            expect(sleeps).toEqual([250, 1000]);
+        });
+
+        it("hands back other error responses for the caller to handle", async () => {
+            const fetch = vi.fn().mockResolvedValue(response(404));
+            requests.configure({ fetch });
+
+            const res = await requests.fetchWithRetry("https://cdn.shopify.com/missing.jpg");
+            expect(res.status).toBe(404);
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it("retries dropped connections", async () => {
+            const fetch = vi.fn()
+                .mockRejectedValueOnce(new TypeError("fetch failed"))
+                .mockResolvedValueOnce(response(200));
+            requests.configure({ fetch });
+
+            expect((await requests.fetchWithRetry("https://cdn.shopify.com/a.jpg")).ok).toBe(true);
+        });
+
+        it("rebuilds the request for every attempt when init is a function", async () => {
+            const fetch = vi.fn()
+                .mockResolvedValueOnce(response(500))
+                .mockResolvedValueOnce(response(201));
+            requests.configure({ fetch });
+            const init = vi.fn(() => ({ method: "POST", body: "form" }));
+
+            await requests.fetchWithRetry("https://uploads.example/staged", init);
+            expect(init).toHaveBeenCalledTimes(2);
+            expect(fetch).toHaveBeenLastCalledWith("https://uploads.example/staged", { method: "POST", body: "form" });
+        });
+
+        it("names the request when it gives up", async () => {
+            requests.configure({ fetch: vi.fn().mockResolvedValue(response(502)), maxAttempts: 2 });
+
+            await expect(requests.fetchWithRetry("https://cdn.shopify.com/a.jpg", {}, { label: "Download" }))
+                .rejects.toThrow("Download failed after 2 attempts: HTTP 502");
+        });
+    });
+
+    describe("graphql", () => {
+        const cost = (available) => ({
+            requestedQueryCost: 50,
+            throttleStatus: { maximumAvailable: 1000, currentlyAvailable: available, restoreRate: 50 }
+        });
+
+        it("retries a THROTTLED call once the bucket has refilled", async () => {
+            const admin = mockAdmin(
+                throttledError({ requestedQueryCost: 50, throttleStatus: { currentlyAvailable: 0, restoreRate: 50 } }),
+                { data: { shop: { name: "Test" } }, extensions: { cost: cost(950) } }
+            );
+
+            const body = await requests.graphql(admin, "query { shop { name } }", { first: 1 });
+            expect(body.data.shop.name).toBe("Test");
+            expect(admin.graphql).toHaveBeenCalledTimes(2);
+            expect(admin.graphql).toHaveBeenCalledWith("query { shop { name } }", { variables: { first: 1 } });
+            expect(sleeps).toEqual([1000]);
+        });
+
+        it("pauses after a call that left too little in the bucket for the next one", async () => {
+            const admin = mockAdmin({ data: {}, extensions: { cost: cost(10) } });
+
+            await requests.graphql(admin, "query { shop { name } }");
+            expect(sleeps).toEqual([800]);
+        });
+
+        it("does not pause while the bucket is healthy", async () => {
+            const admin = mockAdmin({ data: {}, extensions: { cost: cost(500) } });
+
+            await requests.graphql(admin, "query { shop { name } }");
+            expect(sleeps).toEqual([]);
+        });
+
+        describe("mutations", () => {
+            const mutation = `#graphql
+                mutation fileCreate($files: [FileCreateInput!]!) {
+                    fileCreate(files: $files) { files { id } }
+                }`;
+
+            it("are not sent again after a 5xx or a dropped connection, which may come after they ran", async () => {
+                await expect(requests.graphql(mockAdmin(httpError(502)), mutation)).rejects.toThrow("(502)");
+                const admin = mockAdmin(new TypeError("fetch failed"));
+                await expect(requests.graphql(admin, mutation)).rejects.toThrow("fetch failed");
+                expect(admin.graphql).toHaveBeenCalledTimes(1);
+            });
+
+            it("are retried when Shopify rejected them unrun", async () => {
+                const admin = mockAdmin(httpError(429, { retryAfter: 1 }), throttledError(undefined), { data: { fileCreate: { files: [] } } });
+
+                await requests.graphql(admin, mutation);
+                expect(admin.graphql).toHaveBeenCalledTimes(3);
+            });
+
+            it("are retried like queries when the caller marks them idempotent", async () => {
+                const admin = mockAdmin(httpError(502), { data: {} });
+
+                await requests.graphql(admin, mutation, {}, { idempotent: true });
+                expect(admin.graphql).toHaveBeenCalledTimes(2);
+            });
+
+            it("are told apart from queries", () => {
+                expect(requests.isMutation(mutation)).toBe(true);
+                expect(requests.isMutation("mutation { fileDelete(fileIds: []) { deletedFileIds } }")).toBe(true);
+                expect(requests.isMutation("#graphql\n query { shop { name } }")).toBe(false);
+                expect(requests.isMutation("{ shop { name } }")).toBe(false);
+            });
+        });
+
+        it("retries queries after a 5xx", async () => {
+            const admin = mockAdmin(httpError(503), { data: {} });
+
+            await requests.graphql(admin, "query { shop { name } }");
+            expect(admin.graphql).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import prisma from "../app/db.server";
+import { requests } from "../app/services/request.server";
+import { optimizer } from "../app/services/optimizer.server";
+
+vi.mock("../app/db.server", async () => {
+    const { createPrisma } = await import("./support/prisma");
+    return { default: createPrisma() };
+});
+
+const SHOP = "test-shop.myshopify.com";
+
+const collectionsPage = (nodes, endCursor = null) => ({
+    data: {
+        collections: {
+            pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+            nodes
+        }
+    }
+});
+
+const collection = (n) => ({
+    id: `gid://shopify/Collection/${n}`,
+    title: `Collection ${n}`,
+    image: { id: `gid://shopify/CollectionImage/${n}`, url: `https://cdn.shopify.com/c${n}.jpg`, width: 800, height: 600, altText: null }
+});
+
+// A local mock Admin API answering each call with the next queued body, or throwing a queued error
+const mockAdmin = (...results) => ({
+    graphql: vi.fn(async () => {
+        const next = results.shift();
+        if (next instanceof Error) throw next;
+        return { json: async () => next };
+    })
+});
+
+describe("paginate", () => {
+    beforeEach(() => {
+        requests.configure({ sleep: async () => {} });
+    });
+
+    it("walks every page and reports each next cursor", async () => {
+        const admin = mockAdmin(collectionsPage([collection(1)], "c1"), collectionsPage([collection(2)]));
+        const seen = [];
+        const cursors = [];
+
+        await optimizer.paginate(admin, "query", "collections", async (nodes) => { seen.push(...nodes.map(n => n.id)); }, {
+            onPage: async (cursor) => { cursors.push(cursor); }
+        });
+
+        expect(seen).toEqual([collection(1).id, collection(2).id]);
+        expect(cursors).toEqual(["c1", null]);
+        expect(admin.graphql.mock.calls.map(([, { variables }]) => variables.cursor)).toEqual([null, "c1"]);
+    });
+
+    it("throws on a page without data instead of treating it as the end", async () => {
+        const admin = mockAdmin(collectionsPage([collection(1)], "c1"), { data: { collections: null }, errors: [{ message: "Access denied for collections field" }] });
+        const onPage = vi.fn();
+
+        await expect(optimizer.paginate(admin, "query", "collections", async () => {}, { onPage }))
+            .rejects.toThrow("Failed to fetch collections: Access denied for collections field");
+        // Only the first page was checkpointed
+        expect(onPage.mock.calls).toEqual([["c1"]]);
+    });
+});
+
+describe("scanShop with a failing page", () => {
+    beforeEach(async () => {
+        prisma.$reset();
+        requests.configure({ sleep: async () => {}, maxAttempts: 2 });
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(console, "error").mockImplementation(() => {});
+
+        // An image from an earlier scan that is no longer in the shop
+        await prisma.imageRecord.create({
+            data: {
+                shop: SHOP,
+                shopifyImageId: "gid://shopify/CollectionImage/99",
+                resourceType: "Collection",
+                originalUrl: "https://cdn.shopify.com/c99.jpg",
+                status: "optimized",
+                lastSeenPassId: null,
+                updatedAt: new Date("2026-01-01T00:00:00Z")
+            }
+        });
+    });
+
+    afterEach(() => {
+        requests.configure({ maxAttempts: 5 });
+    });
+
+    it("reports the scan as incomplete and keeps the pass open at its checkpoint", async () => {
+        const admin = mockAdmin(collectionsPage([collection(1)], "c1"), { data: {}, errors: [{ message: "Internal error" }] });
+
+        const result = await optimizer.scanShop(admin, SHOP, "collections");
+
+        expect(result.complete).toBe(false);
+        expect(result.failures).toEqual([{ type: "collections", message: "Failed to fetch collections: Internal error" }]);
+        expect(result.items.map(i => i.id)).toEqual([collection(1).image.id]);
+
+        const [state] = prisma.$rows("scanState");
+        expect(state).toMatchObject({ type: "collections", status: "running", cursor: "c1", lastError: "Failed to fetch collections: Internal error" });
+        expect(await optimizer.incompleteScans(SHOP)).toEqual([
+            expect.objectContaining({ type: "collections", message: "Failed to fetch collections: Internal error" })
+        ]);
+
+        // Nothing is cleaned up on a partial pass
+        expect(await prisma.imageRecord.count({ where: { shopifyImageId: "gid://shopify/CollectionImage/99" } })).toBe(1);
+    });
+
+    it("treats exhausted retries the same way", async () => {
+        const serverError = Object.assign(new Error("Received an error response (502)"), { response: { code: 502 } });
+        const admin = mockAdmin(serverError, serverError);
+
+        const result = await optimizer.scanShop(admin, SHOP, "collections");
+
+        expect(result.complete).toBe(false);
+        expect(result.failures[0].message).toBe("Fetch collections failed after 2 attempts: Received an error response (502)");
+        expect(await optimizer.incompleteScans(SHOP)).toHaveLength(1);
+        expect(await prisma.imageRecord.count({ where: { shopifyImageId: "gid://shopify/CollectionImage/99" } })).toBe(1);
+    });
+
+    it("resumes from the checkpoint on the next scan and then cleans up", async () => {
+        await optimizer.scanShop(mockAdmin(collectionsPage([collection(1)], "c1"), { data: {}, errors: [{ message: "Internal error" }] }), SHOP, "collections");
+
+        const admin = mockAdmin(collectionsPage([collection(2)]));
+        const result = await optimizer.scanShop(admin, SHOP, "collections");
+
+        expect(result.complete).toBe(true);
+        expect(admin.graphql.mock.calls[0][1].variables.cursor).toBe("c1");
+        expect(prisma.$rows("scanState")[0]).toMatchObject({ status: "complete", cursor: null, lastError: null });
+        expect(await optimizer.incompleteScans(SHOP)).toEqual([]);
+        expect(await prisma.imageRecord.count({ where: { shopifyImageId: "gid://shopify/CollectionImage/99" } })).toBe(0);
+    });
+});
+
+describe("scanShop with product media in the Files list", () => {
+    const media = (n) => ({ id: `gid://shopify/MediaImage/${n}`, alt: null, image: { url: `https://cdn.shopify.com/m${n}.jpg`, width: 800, height: 800 } });
+    const product = (n, mediaIds) => ({
+        id: `gid://shopify/Product/${n}`,
+        title: `Product ${n}`,
+        productType: "Shirts",
+        vendor: "Acme",
+        tags: ["summer"],
+        media: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: mediaIds.map(media) }
+    });
+    const page = (connection, nodes, endCursor = null) => ({
+        data: { [connection]: { pageInfo: { hasNextPage: Boolean(endCursor), endCursor }, nodes } }
+    });
+    const failedPage = { data: {}, errors: [{ message: "Internal error" }] };
+    const indexed = async (n) => prisma.imageIndex.findUnique({
+        where: { shop_shopifyImageId: { shop: SHOP, shopifyImageId: `gid://shopify/MediaImage/${n}` } }
+    });
+
+    beforeEach(() => {
+        prisma.$reset();
+        requests.configure({ sleep: async () => {}, maxAttempts: 1 });
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        requests.configure({ maxAttempts: 5 });
+    });
+
+    it("keeps product media from pages before a resumed checkpoint under its product", async () => {
+        await optimizer.scanShop(mockAdmin(page("products", [product(1, [1])], "p1"), failedPage), SHOP, "products");
+
+        // Products resume after page one, so this run never sees media 1 as a product image
+        const admin = mockAdmin(
+            page("products", [product(2, [2])]),
+            page("collections", []),
+            page("articles", []),
+            page("files", [media(1), media(2), media(3)])
+        );
+        const result = await optimizer.scanShop(admin, SHOP, "all");
+
+        expect(result.complete).toBe(true);
+        expect(admin.graphql.mock.calls[0][1].variables.cursor).toBe("p1");
+        expect(await indexed(1)).toMatchObject({ resourceType: "Product", parentId: "gid://shopify/Product/1", productType: "Shirts", vendor: "Acme", tags: ["summer"] });
+        expect(await indexed(2)).toMatchObject({ resourceType: "Product", parentId: "gid://shopify/Product/2" });
+        expect(await indexed(3)).toMatchObject({ resourceType: "File" });
+        expect(result.items.filter(i => i.type === "File").map(i => i.id)).toEqual(["gid://shopify/MediaImage/3"]);
+    });
+
+    it("keeps them under their product when the products pass fails in the same run", async () => {
+        await optimizer.scanShop(mockAdmin(page("products", [product(1, [1])])), SHOP, "products");
+
+        const admin = mockAdmin(failedPage, page("collections", []), page("articles", []), page("files", [media(1)]));
+        const result = await optimizer.scanShop(admin, SHOP, "all");
+
+        expect(result.failures.map(f => f.type)).toEqual(["products"]);
+        expect(await indexed(1)).toMatchObject({ resourceType: "Product", vendor: "Acme" });
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Buffer } from "node:buffer";
+import prisma from "../app/db.server";
+import { optimizer } from "../app/services/optimizer.server";
+import { backups } from "../app/services/backup.server";
+import { filenames } from "../app/services/filenames.server";
+import { DEFAULT_PROFILE } from "../app/services/settings.server";
+
+vi.mock("../app/db.server", async () => {
+    const { createPrisma } = await import("./support/prisma");
+    return { default: createPrisma() };
+});
+
+const SHOP = "test-shop.myshopify.com";
+const KB = 1024;
+const item = { id: "gid://shopify/MediaImage/1", url: "https://cdn.shopify.com/shirt.jpg", parentId: "gid://shopify/Product/1", type: "Product" };
+const settingsRow = { shop: SHOP, minSavingsPct: 5, minSavingsKb: 2, derivativeRatios: [], derivativeWidths: [], filenameTemplate: "{original}" };
+
+// A candidate as optimizeImageLogic returns it, `kb` in size
+const candidate = (kb, extra = {}) => ({
+    buffer: Buffer.alloc(kb * KB),
+    format: "webp",
+    quality: 80,
+    score: null,
+    source: { format: "jpeg", animated: false, transparent: false, cmyk: false, iccProfile: null },
+    decision: { policy: "lossy", convertToSrgb: false, skipReason: null },
+    ...extra
+});
+
+const commit = (originalKb, result) => optimizer.commitCandidate({}, { shop: SHOP }, item, {
+    originalBuffer: Buffer.alloc(originalKb * KB),
+    contentType: "image/jpeg",
+    candidate: result,
+    profile: DEFAULT_PROFILE
+});
+
+describe("skipReason", () => {
+    const shopSettings = { minSavingsPct: 5, minSavingsKb: 2 };
+
+    it("skips output that is not smaller", () => {
+        expect(optimizer.skipReason(100 * KB, 100 * KB, shopSettings)).toBe("Output is not smaller than the original (100KB -> 100KB)");
+        expect(optimizer.skipReason(100 * KB, 120 * KB, shopSettings)).toBe("Output is not smaller than the original (100KB -> 120KB)");
+    });
+
+    it("skips savings under the minimum percentage", () => {
+        expect(optimizer.skipReason(200 * KB, 194 * KB, shopSettings)).toBe("Saves only 3.0% (minimum 5%)");
+    });
+
+    it("skips savings under the minimum size", () => {
+        expect(optimizer.skipReason(20 * KB, 19 * KB, shopSettings)).toBe("Saves only 1.0KB (minimum 2KB)");
+    });
+
+    it("accepts savings that meet both minimums", () => {
+        expect(optimizer.skipReason(100 * KB, 95 * KB, shopSettings)).toBeNull();
+        expect(optimizer.skipReason(100 * KB, 40 * KB, { minSavingsPct: 0, minSavingsKb: 0 })).toBeNull();
+    });
+});
+
+describe("commitCandidate skip decision", () => {
+    beforeEach(async () => {
+        prisma.$reset();
+        await prisma.settings.create({ data: settingsRow });
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        vi.spyOn(optimizer, "replaceImage").mockResolvedValue({ id: item.id, url: "https://cdn.shopify.com/shirt.webp" });
+        vi.spyOn(backups, "save").mockImplementation(async (shop, id, buffer) => ({ key: `backups/${buffer.length}`, checksum: "abc", bytes: buffer.length, contentType: "image/jpeg" }));
+        vi.spyOn(filenames, "forImage").mockResolvedValue("shirt.webp");
+    });
+
+    it("leaves Shopify alone and records the skip when savings are under the minimum", async () => {
+        const result = await commit(100, candidate(98));
+
+        expect(result).toMatchObject({ skipped: true, reason: "Saves only 2.0% (minimum 5%)", newId: item.id });
+        expect(optimizer.replaceImage).not.toHaveBeenCalled();
+        expect(backups.save).not.toHaveBeenCalled();
+
+        const [record] = prisma.$rows("imageRecord");
+        expect(record).toMatchObject({ status: "skipped", skipReason: "Saves only 2.0% (minimum 5%)", originalUrl: item.url, savingsKb: 0 });
+        expect(prisma.$rows("imageEvent")).toEqual([expect.objectContaining({ action: "skip", error: "Saves only 2.0% (minimum 5%)" })]);
+    });
+
+    it("uploads when the savings meet the minimums", async () => {
+        const result = await commit(100, candidate(60));
+
+        expect(result).toMatchObject({ beforeKb: 100, afterKb: 60, percent: 40 });
+        expect(optimizer.replaceImage).toHaveBeenCalledTimes(1);
+        expect(prisma.$rows("imageRecord")[0]).toMatchObject({ status: "optimized", savingsKb: 40, uploadStartedAt: null });
+    });
+
+    it("takes a format policy's own skip reason over the savings check", async () => {
+        const result = await commit(100, candidate(100, { format: "svg", skipReason: "SVG is vector artwork and is left as-is" }));
+
+        expect(result.reason).toBe("SVG is vector artwork and is left as-is");
+        expect(optimizer.replaceImage).not.toHaveBeenCalled();
+    });
+
+    it("uploads a replaced background even when it saves nothing", async () => {
+        const background = { mode: "white", color: "#f4f4f4", replacedPct: 60, frame: { x: 0.1, y: 0.1, width: 0.8, height: 0.8 } };
+        const result = await commit(100, candidate(110, { background }));
+
+        expect(result.skipped).toBeUndefined();
+        expect(optimizer.replaceImage).toHaveBeenCalledTimes(1);
+        expect(prisma.$rows("imageRecord")[0]).toMatchObject({ status: "optimized", backgroundMode: "white", backgroundColor: "#f4f4f4" });
+    });
+
+    it("does not turn an optimized image into a skipped one", async () => {
+        await prisma.imageRecord.create({
+            data: { shop: SHOP, shopifyImageId: item.id, status: "optimized", originalUrl: "https://cdn.shopify.com/original.jpg", optimizedUrl: item.url, savingsKb: 50 }
+        });
+
+        const result = await commit(50, candidate(49));
+
+        expect(result.skipped).toBe(true);
+        expect(prisma.$rows("imageRecord")[0]).toMatchObject({ status: "optimized", originalUrl: "https://cdn.shopify.com/original.jpg", savingsKb: 50 });
+        expect(prisma.$rows("imageEvent")).toEqual([expect.objectContaining({ action: "skip" })]);
+    });
+});
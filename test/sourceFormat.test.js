@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from "vitest";
+import { Buffer } from "node:buffer";
+import sharp from "sharp";
+import { sourceFormats } from "../app/services/sourceFormat.server";
+import { DEFAULT_PROFILE } from "../app/services/settings.server";
+
+vi.mock("../app/db.server", () => ({ default: {} }));
+
+const still = (format, extra = {}) => ({ format, animated: false, transparent: false, cmyk: false, ...extra });
+
+describe("decide", () => {
+    const profile = DEFAULT_PROFILE;
+
+    it("races lossy formats for opaque photos", () => {
+        expect(sourceFormats.decide(still("jpeg"), profile)).toEqual({ policy: "lossy", convertToSrgb: false, skipReason: null });
+        expect(sourceFormats.decide(still("png"), profile).policy).toBe("lossy");
+    });
+
+    it("converts CMYK sources to sRGB", () => {
+        expect(sourceFormats.decide(still("jpeg", { cmyk: true }), profile)).toMatchObject({ policy: "lossy", convertToSrgb: true });
+    });
+
+    it("leaves SVGs alone", () => {
+        expect(sourceFormats.decide(still("svg"), profile)).toEqual({
+            policy: "keep-svg",
+            convertToSrgb: false,
+            skipReason: "SVG is vector artwork and is left as-is"
+        });
+    });
+
+    it("follows the animated policy", () => {
+        const gif = still("gif", { animated: true });
+        expect(sourceFormats.decide(gif, { ...profile, animatedPolicy: "animated-webp" })).toMatchObject({ policy: "animated-webp", skipReason: null });
+        expect(sourceFormats.decide(gif, { ...profile, animatedPolicy: "keep" })).toMatchObject({ policy: "keep-animated", skipReason: "Animated image left as-is" });
+    });
+
+    it("follows the alpha policy for transparent PNG and GIF artwork", () => {
+        const png = still("png", { transparent: true });
+        expect(sourceFormats.decide(png, { ...profile, alphaPolicy: "lossless-webp" }).policy).toBe("lossless-webp");
+        expect(sourceFormats.decide(png, { ...profile, alphaPolicy: "palette-png" }).policy).toBe("palette-png");
+        expect(sourceFormats.decide(still("gif", { transparent: true }), { ...profile, alphaPolicy: "palette-png" }).policy).toBe("palette-png");
+        expect(sourceFormats.decide(png, { ...profile, alphaPolicy: "lossy" }).policy).toBe("lossy");
+    });
+
+    it("falls back to lossless WebP for an unknown alpha policy", () => {
+        expect(sourceFormats.decide(still("png", { transparent: true }), { ...profile, alphaPolicy: "bogus" }).policy).toBe("lossless-webp");
+    });
+
+    it("keeps transparent WebP sources in the lossy race", () => {
+        expect(sourceFormats.decide(still("webp", { transparent: true }), profile).policy).toBe("lossy");
+    });
+});
+
+describe("detect", () => {
+    const rgba = (alpha) => sharp({ create: { width: 8, height: 8, channels: 4, background: { r: 10, g: 20, b: 30, alpha } } }).png().toBuffer();
+
+    it("tells a transparent PNG from one with an opaque alpha channel", async () => {
+        expect(await sourceFormats.detect(await rgba(0.5))).toMatchObject({ format: "png", transparent: true, animated: false });
+        expect(await sourceFormats.detect(await rgba(1))).toMatchObject({ format: "png", transparent: false });
+    });
+
+    it("recognizes SVG markup", async () => {
+        const svg = Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4"><rect width="4" height="4"/></svg>');
+        expect(await sourceFormats.detect(svg)).toMatchObject({ format: "svg", animated: false, transparent: false });
+    });
+
+    it("reports multi-page GIFs as animated", async () => {
+        // Identical frames get merged by the encoder, so give each one its own colour
+        const frame = (background) => sharp({ create: { width: 4, height: 4, channels: 3, background } }).png().toBuffer();
+        const gif = await sharp([await frame("#f00"), await frame("#00f")], { join: { animated: true } })
+            .gif({ loop: 0 })
+            .toBuffer();
+        expect(await sourceFormats.detect(gif)).toMatchObject({ format: "gif", animated: true, transparent: false });
+    });
+});
+
+describe("describe", () => {
+    it("labels the policy with the source format", () => {
+        expect(sourceFormats.describe({ sourceFormat: "png", formatPolicy: "lossless-webp" })).toBe("PNG: Lossless WebP");
+        expect(sourceFormats.describe({ sourceFormat: "jpeg", formatPolicy: "lossy", convertedToSrgb: true }))
+            .toBe("JPEG: Lossy re-encode · CMYK converted to sRGB");
+    });
+
+    it("returns null for records optimized before format policies existed", () => {
+        expect(sourceFormats.describe({ sourceFormat: "jpeg", formatPolicy: null })).toBeNull();
+    });
+});
@@ -0,0 +1,176 @@
+import { randomUUID } from "node:crypto";
+
+const WRITE_OPS = ["increment", "decrement", "set"];
+
+const plain = (v) => (v instanceof Date ? v.getTime() : v);
+const isObject = (v) => v !== null && typeof v === "object" && !(v instanceof Date) && !Array.isArray(v);
+
+// In-memory stand-in for the parts of the Prisma client the services use, so their database logic
+// runs without Postgres. Filters cover equality, in/notIn, lt/lte/gt/gte, not, startsWith, OR/AND/NOT, compound
+// unique keys (shop_shopifyImageId) and the to-one relations named in `relations`
+// ({ jobItem: { job: { model: "job", foreignKey: "jobId" } } }). Writes understand increment/decrement.
+// `defaults` fills in a model's column defaults on create. `$rows(model)` exposes a table to assertions.
+export function createPrisma({ defaults = {}, relations = {} } = {}) {
+    const tables = new Map();
+    const table = (model) => {
+        if (!tables.has(model)) tables.set(model, []);
+        return tables.get(model);
+    };
+
+    const matchValue = (actual, condition) => {
+        if (condition === undefined) return true;
+        if (condition === null) return actual === null || actual === undefined;
+        if (!isObject(condition)) return plain(actual) === plain(condition);
+
+        return Object.entries(condition).every(([op, operand]) => {
+            switch (op) {
+                case "equals": return matchValue(actual, operand);
+                case "in": return operand.map(plain).includes(plain(actual));
+                case "notIn": return !operand.map(plain).includes(plain(actual));
+                case "lt": return actual != null && plain(actual) < plain(operand);
+                case "lte": return actual != null && plain(actual) <= plain(operand);
+                case "gt": return actual != null && plain(actual) > plain(operand);
+                case "gte": return actual != null && plain(actual) >= plain(operand);
+                case "not": return !matchValue(actual, operand);
+                case "has": return Array.isArray(actual) && actual.includes(operand);
+                case "startsWith": return typeof actual === "string" && actual.startsWith(operand);
+                default: throw new Error(`Fake Prisma does not support the "${op}" filter`);
+            }
+        });
+    };
+
+    const matches = (model, row, where = {}) => Object.entries(where).every(([key, condition]) => {
+        if (key === "OR") return condition.some(w => matches(model, row, w));
+        if (key === "AND") return [condition].flat().every(w => matches(model, row, w));
+        if (key === "NOT") return !matches(model, row, condition);
+
+        const relation = relations[model]?.[key];
+        if (relation) {
+            const parent = table(relation.model).find(r => r.id === row[relation.foreignKey]);
+            return Boolean(parent) && matches(relation.model, parent, condition);
+        }
+        // Compound unique inputs name their columns joined by "_"
+        if (!(key in row) && key.includes("_") && isObject(condition)) return matches(model, row, condition);
+        return matchValue(row[key], condition);
+    });
+
+    const apply = (row, data) => {
+        for (const [key, value] of Object.entries(data)) {
+            if (value === undefined) continue;
+            if (isObject(value) && Object.keys(value).length === 1 && WRITE_OPS.includes(Object.keys(value)[0])) {
+                const [[op, amount]] = Object.entries(value);
+                if (op === "increment") row[key] = (row[key] || 0) + amount;
+                else if (op === "decrement") row[key] = (row[key] || 0) - amount;
+                else row[key] = amount;
+            } else {
+                row[key] = value;
+            }
+        }
+        return row;
+    };
+
+    const output = (row, select) => {
+        const copy = structuredClone(row);
+        if (!select) return copy;
+        return Object.fromEntries(Object.keys(select).filter(k => select[k]).map(k => [k, copy[k]]));
+    };
+
+    const sorted = (rows, orderBy) => {
+        const keys = [orderBy].flat().filter(Boolean).flatMap(o => Object.entries(o));
+        return [...rows].sort((a, b) => {
+            for (const [key, dir] of keys) {
+                const x = plain(a[key]);
+                const y = plain(b[key]);
+                if (x === y) continue;
+                return (x < y ? -1 : 1) * (dir === "desc" ? -1 : 1);
+            }
+            return 0;
+        });
+    };
+
+    const delegate = (model) => {
+        const rows = table(model);
+        const find = (where) => rows.filter(r => matches(model, r, where));
+        const create = (data) => {
+            const now = new Date();
+            const row = apply({ id: randomUUID(), createdAt: now, updatedAt: now, ...structuredClone(defaults[model] || {}) }, data);
+            rows.push(row);
+            return row;
+        };
+        const update = (row, data) => apply(row, { updatedAt: new Date(), ...data });
+
+        return {
+            async findMany({ where, orderBy, select, take } = {}) {
+                const found = sorted(find(where), orderBy);
+                return found.slice(0, take ?? found.length).map(r => output(r, select));
+            },
+            async findFirst({ where, orderBy, select } = {}) {
+                const [row] = sorted(find(where), orderBy);
+                return row ? output(row, select) : null;
+            },
+            async findUnique({ where, select }) {
+                const [row] = find(where);
+                return row ? output(row, select) : null;
+            },
+            async count({ where } = {}) {
+                return find(where).length;
+            },
+            async create({ data, select }) {
+                return output(create(data), select);
+            },
+            async createMany({ data }) {
+                data.forEach(create);
+                return { count: data.length };
+            },
+            async update({ where, data, select }) {
+                const [row] = find(where);
+                if (!row) throw new Error(`No ${model} record to update`);
+                return output(update(row, data), select);
+            },
+            async updateMany({ where, data }) {
+                const found = find(where);
+                found.forEach(row => update(row, data));
+                return { count: found.length };
+            },
+            async upsert({ where, update: updateData, create: createData, select }) {
+                const [row] = find(where);
+                return output(row ? update(row, updateData) : create(createData), select);
+            },
+            async delete({ where }) {
+                const [row] = find(where);
+                if (!row) throw new Error(`No ${model} record to delete`);
+                rows.splice(rows.indexOf(row), 1);
+                return output(row);
+            },
+            async deleteMany({ where } = {}) {
+                const found = find(where);
+                for (const row of found) rows.splice(rows.indexOf(row), 1);
+                return { count: found.length };
+            }
+        };
+    };
+
+    const delegates = new Map();
+    const client = {
+        async $transaction(operations) {
+            return typeof operations === "function" ? operations(proxy) : Promise.all(operations);
+        },
+        $rows(model) {
+            return table(model);
+        },
+        $reset() {
+            tables.clear();
+            delegates.clear();
+        }
+    };
+    const proxy = new Proxy(client, {
+        get(target, prop) {
+            if (prop in target) return target[prop];
+            // Never look like a promise, or `await prisma` would try to resolve it
+            if (typeof prop !== "string" || prop === "then") return undefined;
+            if (!delegates.has(prop)) delegates.set(prop, delegate(prop));
+            return delegates.get(prop);
+        }
+    });
+    return proxy;
+}
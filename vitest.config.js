@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Kept apart from vite.config.js, whose React Router plugin expects to build the app
+export default defineConfig({
+  test: {
+    include: ["test/**/*.test.js"],
+    environment: "node",
+    restoreMocks: true
+  }
+});